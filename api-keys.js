@@ -0,0 +1,309 @@
+// api-keys.js
+// API keys for team and partner integrations
+// - Keys are random tokens shown once when issued; only their SHA-256 hash is stored
+// - Each key has its own rate limit, daily page-crawl quota and maximum crawl size
+// - Usage ledger: crawls and pages crawled per key per UTC day
+// - Crawls hold their share of the daily quota while they run (reserveUsage), so
+//   concurrent crawls of one key can't spend the same pages
+// Keys and usage are kept in a JSON file (API_KEYS_FILE), written atomically.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CRAWL_LIMITS } = require('./security');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+
+// When true, crawl endpoints reject requests without a valid key (401);
+// otherwise anonymous requests keep the per-IP rate limit
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === 'true';
+
+// Bearer token for the /api/admin endpoints; they are disabled when unset
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+// Limits of keys issued without their own
+const API_KEY_DEFAULT_LIMITS = {
+  requestsPer15Min: Number(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 100,
+  dailyPageQuota: Number(process.env.API_KEY_DEFAULT_DAILY_PAGES) || 5000,
+  maxPages: CRAWL_LIMITS.maxPages,
+};
+
+// Days of usage kept per key
+const USAGE_RETENTION_DAYS = 90;
+
+// Issued tokens look like sgk_<43 base64url characters>
+const KEY_TOKEN_PREFIX = 'sgk_';
+
+// ========================================
+// SECTION 2: KEY STORE
+// ========================================
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// UTC day used as the usage ledger bucket
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Creates the file-backed key store
+ * The file is read once; every change rewrites it (temp file + rename)
+ */
+function createApiKeyStore({ file = API_KEYS_FILE } = {}) {
+  let data = { keys: [], usage: {} };
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const byId = new Map(data.keys.map((key) => [key.id, key]));
+  const byHash = new Map(data.keys.map((key) => [key.hash, key]));
+
+  // Writes run one after another so an older snapshot never lands last
+  let writing = Promise.resolve();
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => console.error('[API KEYS] Could not save key store', err));
+    return writing;
+  }
+
+  /**
+   * Issues a new key; the returned `token` is the only copy of the secret
+   * Returns { token, key }
+   */
+  function issueKey({ name, limits = {} }) {
+    const token = KEY_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashToken(token),
+      prefix: token.slice(0, KEY_TOKEN_PREFIX.length + 6),
+      limits: { ...API_KEY_DEFAULT_LIMITS, ...limits },
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+    };
+    data.keys.push(key);
+    byId.set(key.id, key);
+    byHash.set(key.hash, key);
+    persist();
+    return { token, key };
+  }
+
+  /**
+   * Revokes a key; returns it, or null if unknown
+   */
+  function revokeKey(id) {
+    const key = byId.get(id);
+    if (!key) return null;
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      persist();
+    }
+    return key;
+  }
+
+  function getKey(id) {
+    return byId.get(id) || null;
+  }
+
+  function listKeys() {
+    return data.keys;
+  }
+
+  /**
+   * Key matching a presented token, or null if unknown or revoked
+   */
+  function authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(KEY_TOKEN_PREFIX)) return null;
+    const key = byHash.get(hashToken(token));
+    return key && !key.revokedAt ? key : null;
+  }
+
+  /**
+   * Adds one crawl and its pages to the key's ledger for today
+   */
+  function recordUsage(id, { pages = 0 } = {}) {
+    const key = byId.get(id);
+    if (!key) return;
+    const ledger = data.usage[id] || (data.usage[id] = {});
+    const today = usageDay();
+    const entry = ledger[today] || (ledger[today] = { crawls: 0, pages: 0 });
+    entry.crawls += 1;
+    entry.pages += pages;
+    key.lastUsedAt = new Date().toISOString();
+
+    const oldest = usageDay(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const day of Object.keys(ledger)) {
+      if (day < oldest) delete ledger[day];
+    }
+    persist();
+  }
+
+  /**
+   * Today's usage of a key: { crawls, pages }
+   */
+  function usageToday(id) {
+    return (data.usage[id] && data.usage[id][usageDay()]) || { crawls: 0, pages: 0 };
+  }
+
+  // Pages held by running crawls, per key (in memory: holds end with the process)
+  const held = new Map();
+
+  /**
+   * Pages of the key's daily quota left: the quota minus today's usage and the
+   * pages running crawls hold
+   */
+  function remainingPages(id) {
+    const key = byId.get(id);
+    if (!key) return 0;
+    return Math.max(0, key.limits.dailyPageQuota - usageToday(id).pages - (held.get(id) || 0));
+  }
+
+  /**
+   * Holds up to `pages` of the key's remaining quota for a crawl about to start
+   * Returns { pages, settle(pagesUsed), release() }: `pages` is what was granted (0
+   * when the quota is used up); settle records the crawl with the pages it used and
+   * release drops it unrecorded, both freeing the hold (only the first call counts)
+   */
+  function reserveUsage(id, pages) {
+    const granted = Math.min(pages, remainingPages(id));
+    held.set(id, (held.get(id) || 0) + granted);
+    let open = true;
+    const free = () => {
+      if (!open) return false;
+      open = false;
+      const left = held.get(id) - granted;
+      if (left > 0) held.set(id, left);
+      else held.delete(id);
+      return true;
+    };
+    return {
+      pages: granted,
+      settle(pagesUsed) {
+        if (free()) recordUsage(id, { pages: pagesUsed });
+      },
+      release() {
+        free();
+      },
+    };
+  }
+
+  /**
+   * Usage ledger of a key, newest day first: [{ date, crawls, pages }]
+   */
+  function usageHistory(id) {
+    return Object.entries(data.usage[id] || {})
+      .map(([date, entry]) => ({ date, ...entry }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  return {
+    issueKey,
+    revokeKey,
+    getKey,
+    listKeys,
+    authenticate,
+    recordUsage,
+    usageToday,
+    usageHistory,
+    remainingPages,
+    reserveUsage,
+  };
+}
+
+/**
+ * Public view of a key (never the hash)
+ */
+function toPublicKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    limits: key.limits,
+    createdAt: key.createdAt,
+    revokedAt: key.revokedAt,
+    lastUsedAt: key.lastUsedAt,
+  };
+}
+
+// ========================================
+// SECTION 3: MIDDLEWARE
+// ========================================
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolves the API key of a crawl request into `req.apiKey`
+ * - Sent as `Authorization: Bearer <key>`, or `?apiKey=` on GET requests
+ *   (EventSource can't set headers); the query parameter is removed afterwards
+ * - Unknown or revoked keys get 401; so do requests without a key when
+ *   `required` is set
+ */
+function createApiKeyAuth(store, { required = API_KEYS_REQUIRED } = {}) {
+  return (req, res, next) => {
+    let token = bearerToken(req);
+    if (req.method === 'GET' && req.query && 'apiKey' in req.query) {
+      if (!token && typeof req.query.apiKey === 'string') token = req.query.apiKey;
+      delete req.query.apiKey;
+    }
+
+    if (!token) {
+      if (!required) return next();
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    const key = store.authenticate(token);
+    if (!key) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    req.apiKey = key;
+    return next();
+  };
+}
+
+/**
+ * Guards the admin endpoints with ADMIN_API_TOKEN (404 when it isn't configured)
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) return res.status(404).json({ error: 'Not found' });
+
+  // Compare digests so the check takes the same time whatever the input
+  const presented = hashToken(bearerToken(req) || '');
+  const expected = hashToken(ADMIN_API_TOKEN);
+  if (!crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(expected))) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return next();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createApiKeyStore,
+  toPublicKey,
+  createApiKeyAuth,
+  requireAdminToken,
+};
@@ -0,0 +1,130 @@
+// audit.js
+// Site audit collected alongside the sitemap
+// - Per page: status, redirect chain, response time, title, meta description,
+//   first H1, word count and canonical URL
+// - Broken internal links (4xx/5xx targets) with the pages that link to them
+// - Summary of common problems: duplicate titles, missing descriptions,
+//   broken links, redirect chains and slow pages
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+// Pages taking longer than this to respond are reported as slow
+const AUDIT_SLOW_PAGE_MS = Number(process.env.AUDIT_SLOW_PAGE_MS) || 1500;
+
+// Referring pages listed per broken link (the count is always complete)
+const AUDIT_MAX_REFERRERS = 50;
+
+// ========================================
+// SECTION 2: PAGE DETAILS
+// ========================================
+
+/**
+ * SEO details of a parsed HTML page
+ * Returns { title, metaDescription, h1, wordCount }
+ */
+function extractPageDetails($) {
+  const text = (selection) => selection.first().text().replace(/\s+/g, ' ').trim() || null;
+
+  // Visible text only: scripts, styles and templates don't count as words.
+  // Text nodes are counted separately so adjacent elements don't merge words.
+  const body = $('body').clone();
+  body.find('script, style, noscript, template').remove();
+  let wordCount = 0;
+  body.find('*').addBack().contents().each((_, node) => {
+    if (node.type === 'text') wordCount += node.data.split(/\s+/).filter(Boolean).length;
+  });
+
+  return {
+    title: text($('title')),
+    metaDescription: ($('meta[name="description"]').attr('content') || '').trim() || null,
+    h1: text($('h1')),
+    wordCount,
+  };
+}
+
+// ========================================
+// SECTION 3: REPORT
+// ========================================
+
+/**
+ * Records that page `from` links to `url` (call once per pair): counts every
+ * referrer but keeps only the first AUDIT_MAX_REFERRERS, so pages linked from
+ * the whole site don't hold a list of the whole site
+ */
+function recordReferrer(referrers, url, from) {
+  let entry = referrers.get(url);
+  if (!entry) {
+    entry = { count: 0, sample: [] };
+    referrers.set(url, entry);
+  }
+  entry.count += 1;
+  if (entry.sample.length < AUDIT_MAX_REFERRERS) entry.sample.push(from);
+}
+
+/**
+ * Builds the audit report from what the crawler recorded
+ * - pages: [{ url, status, redirectChain, responseTimeMs, title, metaDescription, h1, wordCount, canonical, error? }]
+ * - failedStatuses: normalized URL -> HTTP status of fetches that failed
+ * - referrers: normalized URL -> pages linking to it (see recordReferrer)
+ */
+function buildAuditReport({ pages, failedStatuses, referrers, slowPageMs = AUDIT_SLOW_PAGE_MS }) {
+  const okPages = pages.filter((page) => page.status >= 200 && page.status < 300);
+
+  // Titles shared by more than one page
+  const byTitle = new Map();
+  for (const page of okPages) {
+    if (!page.title) continue;
+    if (!byTitle.has(page.title)) byTitle.set(page.title, []);
+    byTitle.get(page.title).push(page.url);
+  }
+  const duplicateTitles = Array.from(byTitle, ([title, urls]) => ({ title, urls })).filter((group) => group.urls.length > 1);
+
+  const missingDescriptions = okPages.filter((page) => !page.metaDescription).map((page) => page.url);
+
+  const brokenLinks = [];
+  for (const [url, status] of failedStatuses) {
+    if (status < 400) continue;
+    const { count, sample } = referrers.get(url) || { count: 0, sample: [] };
+    brokenLinks.push({ url, status, referrerCount: count, referrers: sample });
+  }
+
+  const redirectChains = pages
+    .filter((page) => page.redirectChain.length > 0)
+    .map((page) => ({ url: page.url, finalUrl: page.finalUrl, hops: page.redirectChain }));
+
+  const slowPages = pages
+    .filter((page) => page.responseTimeMs !== null && page.responseTimeMs > slowPageMs)
+    .sort((a, b) => b.responseTimeMs - a.responseTimeMs)
+    .map((page) => ({ url: page.url, responseTimeMs: page.responseTimeMs }));
+
+  return {
+    summary: {
+      pagesAudited: pages.length,
+      duplicateTitles: duplicateTitles.length,
+      missingDescriptions: missingDescriptions.length,
+      brokenLinks: brokenLinks.length,
+      redirectChains: redirectChains.length,
+      slowPages: slowPages.length,
+      slowPageThresholdMs: slowPageMs,
+    },
+    duplicateTitles,
+    missingDescriptions,
+    brokenLinks,
+    redirectChains,
+    slowPages,
+    pages,
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  AUDIT_SLOW_PAGE_MS,
+  extractPageDetails,
+  recordReferrer,
+  buildAuditReport,
+};
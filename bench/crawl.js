@@ -0,0 +1,223 @@
+// bench/crawl.js
+// Crawl benchmark against a local synthetic site: starts the site in this
+// process and the API (server.js) as a child, crawls the whole site through
+// POST /api/generate-sitemap and reports pages per second, the server's peak
+// memory and how much the crawl spilled to disk
+// - BENCH_PAGES (default 20000): pages on the site; each links to its ten
+//   children, the home page, two other pages and two excluded /tag/ pages, so
+//   the queue, the discovered and the out-of-scope URLs all pass the threshold
+// - BENCH_SPILL_THRESHOLD (default 2000): CRAWL_SPILL_THRESHOLD for the crawl
+// - BENCH_CONCURRENCY (default 8): CRAWL_CONCURRENCY for the crawl
+// Usage: npm run bench (peak memory is read from /proc, so Linux only)
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const PAGES = Number(process.env.BENCH_PAGES) || 20000;
+const SPILL_THRESHOLD = Number(process.env.BENCH_SPILL_THRESHOLD) || 2000;
+const CONCURRENCY = Number(process.env.BENCH_CONCURRENCY) || 8;
+const TIME_BUDGET_SECONDS = 600;
+
+// How often the server's memory and the spill directory are sampled
+const SAMPLE_INTERVAL_MS = 250;
+
+// ========================================
+// SECTION 2: SYNTHETIC SITE
+// ========================================
+
+// Page i links to pages 10i+1 .. 10i+10, so every page is a few hops from the home page
+function pageHtml(i) {
+  const links = ['/'];
+  for (let child = i * 10 + 1; child <= Math.min(i * 10 + 10, PAGES - 1); child++) links.push(`/p/${child}`);
+  links.push(`/p/${(i * 7919) % PAGES}`, `/p/${(i * 104729) % PAGES}`);
+  links.push(`/tag/${i}`, `/tag/${i + PAGES}`);
+  const anchors = links.map((href) => `<a href="${href}">${href}</a>`).join(' ');
+  return `<!doctype html><html><head><title>Page ${i}</title><meta name="description" content="Page ${i} of the benchmark site"></head>`
+    + `<body><h1>Page ${i}</h1><p>Synthetic content for page ${i}.</p>${anchors}</body></html>`;
+}
+
+function startSite() {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname === '/' ? ['/', '0'] : pathname.match(/^\/p\/(\d+)$/);
+    if (pathname === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('User-agent: *\nAllow: /\n');
+    }
+    if (!match || Number(match[1]) >= PAGES) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(pageHtml(Number(match[1])));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// ========================================
+// SECTION 3: API SERVER
+// ========================================
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts server.js with its data and spill files in `dir`; resolves once it listens
+async function startApi(dir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SSRF_ALLOW_PRIVATE_NETWORKS: 'true',
+      CRAWL_MAX_PAGES: String(PAGES),
+      CRAWL_MAX_TIME_SECONDS: String(TIME_BUDGET_SECONDS),
+      CRAWL_CONCURRENCY: String(CONCURRENCY),
+      CRAWL_DELAY_MS: '0',
+      CRAWL_SPILL_THRESHOLD: String(SPILL_THRESHOLD),
+      CRAWL_SPILL_DIR: path.join(dir, 'spill'),
+      CRAWL_CACHE_TTL_SECONDS: '0',
+      STORE_BACKEND: 'memory',
+      API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+      SCHEDULES_DIR: path.join(dir, 'schedules'),
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    child.once('exit', (code) => reject(new Error(`server.js exited with code ${code}`)));
+    child.stdout.on('data', (chunk) => {
+      if (/listening on port/.test(chunk)) resolve();
+    });
+  });
+  child.stdout.resume();
+  return { child, origin: `http://127.0.0.1:${port}` };
+}
+
+// ========================================
+// SECTION 4: MEASUREMENTS
+// ========================================
+
+// Resident and peak resident memory of a process in bytes (null off Linux)
+function readMemory(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const kb = (field) => Number((status.match(new RegExp(`^${field}:\\s+(\\d+) kB`, 'm')) || [])[1]) * 1024 || null;
+    return { rss: kb('VmRSS'), peak: kb('VmHWM') };
+  } catch {
+    return { rss: null, peak: null };
+  }
+}
+
+// Files and bytes under a directory
+function directoryUsage(dir) {
+  let files = 0;
+  let bytes = 0;
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        continue;
+      }
+      files += 1;
+      try {
+        bytes += fs.statSync(full).size;
+      } catch {
+        // Deleted while walking
+      }
+    }
+  };
+  walk(dir);
+  return { files, bytes };
+}
+
+const megabytes = (bytes) => (bytes === null ? 'n/a' : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// ========================================
+// SECTION 5: RUN
+// ========================================
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-bench-'));
+  const site = await startSite();
+  const api = await startApi(dir);
+  const spillDir = path.join(dir, 'spill');
+
+  let peakSpill = { files: 0, bytes: 0 };
+  const sampler = setInterval(() => {
+    const usage = directoryUsage(spillDir);
+    if (usage.bytes > peakSpill.bytes) peakSpill = usage;
+  }, SAMPLE_INTERVAL_MS);
+
+  try {
+    const idle = readMemory(api.child.pid);
+    const started = Date.now();
+    const resp = await fetch(`${api.origin}/api/generate-sitemap`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: `${site.origin}/`,
+        maxPages: PAGES,
+        timeBudgetSeconds: TIME_BUDGET_SECONDS,
+        excludePatterns: [{ pattern: '/tag/**' }],
+      }),
+    });
+    const body = await resp.json();
+    const seconds = (Date.now() - started) / 1000;
+    if (!resp.ok) throw new Error(`Crawl failed with HTTP ${resp.status}: ${JSON.stringify(body)}`);
+
+    const { stats } = body;
+    const memory = readMemory(api.child.pid);
+    const leftover = directoryUsage(spillDir);
+    const rows = [
+      ['pages on the site', PAGES],
+      ['pages in the sitemap', stats.urlsInSitemap],
+      ['URLs discovered', stats.urlsDiscovered],
+      ['out-of-scope URLs', Object.values(stats.outOfScope).reduce((sum, count) => sum + count, 0)],
+      ['stopped by', stats.stoppedBy],
+      ['wall time', `${seconds.toFixed(1)} s`],
+      ['pages per second', (stats.pagesFetched / seconds).toFixed(0)],
+      ['server memory before the crawl', megabytes(idle.rss)],
+      ['server peak memory', megabytes(memory.peak)],
+      ['spill threshold', SPILL_THRESHOLD],
+      ['peak spill on disk', `${peakSpill.files} files, ${megabytes(peakSpill.bytes)}`],
+      ['spill files left after the crawl', leftover.files],
+    ];
+    const width = Math.max(...rows.map(([label]) => label.length));
+    for (const [label, value] of rows) console.log(`${label.padEnd(width)}  ${value}`);
+    if (leftover.files > 0) process.exitCode = 1;
+  } finally {
+    clearInterval(sampler);
+    const exited = new Promise((resolve) => api.child.once('exit', resolve));
+    api.child.kill();
+    await exited;
+    site.server.closeAllConnections();
+    site.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
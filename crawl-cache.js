@@ -0,0 +1,121 @@
+// crawl-cache.js
+// Crawl result cache and page states for incremental re-crawls, kept in the
+// shared store (see store.js)
+// - Results are cached per normalized start URL, page limit and crawl options
+//   for CRAWL_CACHE_TTL_SECONDS (0 disables the result cache)
+// - Page states (ETag, Last-Modified and the parsed snapshot of each page) are
+//   kept per start URL for CRAWL_PAGE_STATE_TTL_DAYS, so incremental crawls can
+//   send conditional requests and skip unchanged pages
+// Store failures are logged and treated as cache misses: the crawl still runs.
+
+const crypto = require('crypto');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const CRAWL_CACHE_TTL_SECONDS = process.env.CRAWL_CACHE_TTL_SECONDS !== undefined
+  ? Number(process.env.CRAWL_CACHE_TTL_SECONDS)
+  : 600; // 10 minutes
+
+const CRAWL_PAGE_STATE_TTL_DAYS = Number(process.env.CRAWL_PAGE_STATE_TTL_DAYS) || 30;
+
+// Page states kept per start URL; the most recently fetched pages win
+const MAX_PAGE_STATES_PER_SITE = 5000;
+
+// Crawl options that don't change the result, or only affect how it is reported
+const CACHE_KEY_IGNORED_OPTIONS = ['signal', 'onProgress', 'onEvent', 'onFetch', 'includeDebug', 'maxFetches', 'incremental', 'pageStates'];
+
+const RESULT_KEY_PREFIX = 'crawl-result:';
+const PAGE_STATES_KEY_PREFIX = 'crawl-pages:';
+
+// ========================================
+// SECTION 2: CACHE KEYS
+// ========================================
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Cache key of a crawl: hash of the normalized start URL, page limit and the
+ * options that shape the result (unset options are left out, key order doesn't matter)
+ */
+function crawlCacheKey(normalizedStartUrl, maxPages, options = {}) {
+  const shaping = Object.keys(options)
+    .filter((name) => !CACHE_KEY_IGNORED_OPTIONS.includes(name) && options[name] !== undefined)
+    .sort()
+    .map((name) => [name, options[name]]);
+  return sha256(JSON.stringify([normalizedStartUrl, maxPages, shaping]));
+}
+
+// ========================================
+// SECTION 3: CACHE
+// ========================================
+
+/**
+ * Creates the crawl cache on top of a store
+ */
+function createCrawlCache(store, { ttlSeconds = CRAWL_CACHE_TTL_SECONDS } = {}) {
+  // Store calls that fall back to `fallback` when the store is unreachable
+  async function safely(action, fallback) {
+    try {
+      return await action();
+    } catch (err) {
+      console.error('[CRAWL CACHE] Store unavailable:', err.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * Cached result for a key: { result, cachedAt }, or null
+   */
+  function getResult(key) {
+    if (ttlSeconds <= 0) return Promise.resolve(null);
+    return safely(() => store.get(RESULT_KEY_PREFIX + key), null);
+  }
+
+  /**
+   * Caches a crawl result (without its debug trace) for ttlSeconds
+   */
+  function saveResult(key, result) {
+    if (ttlSeconds <= 0) return Promise.resolve();
+    const { debug, ...cacheable } = result;
+    const entry = { result: cacheable, cachedAt: new Date().toISOString() };
+    return safely(() => store.set(RESULT_KEY_PREFIX + key, entry, { ttlMs: ttlSeconds * 1000 }));
+  }
+
+  /**
+   * Page states saved for a start URL: normalized URL -> { status, etag, lastModified, snapshot }
+   */
+  async function getPageStates(normalizedStartUrl) {
+    const entries = await safely(() => store.get(PAGE_STATES_KEY_PREFIX + sha256(normalizedStartUrl)), null);
+    return new Map(entries || []);
+  }
+
+  /**
+   * Merges the states of a crawl into the saved ones (pages this crawl didn't
+   * reach are kept until they expire)
+   */
+  async function savePageStates(normalizedStartUrl, states) {
+    const merged = await getPageStates(normalizedStartUrl);
+    for (const [url, state] of states) {
+      merged.delete(url); // re-inserted last, as the most recent
+      merged.set(url, state);
+    }
+    const entries = Array.from(merged).slice(-MAX_PAGE_STATES_PER_SITE);
+    const ttlMs = CRAWL_PAGE_STATE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    return safely(() => store.set(PAGE_STATES_KEY_PREFIX + sha256(normalizedStartUrl), entries, { ttlMs }));
+  }
+
+  return { getResult, saveResult, getPageStates, savePageStates };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  crawlCacheKey,
+  createCrawlCache,
+};
@@ -0,0 +1,222 @@
+// crawl-frontier.js
+// The crawl frontier (URLs waiting to be fetched) and seen-set (normalized URLs
+// already discovered), which move to disk once they pass a memory threshold so
+// large crawls keep a bounded number of URLs in memory
+// - Both are plain in-memory structures up to CRAWL_SPILL_THRESHOLD entries; past
+//   that they write to a fresh directory under CRAWL_SPILL_DIR (default: the OS
+//   temp directory), created on first use
+// - The frontier stays first-in first-out: its in-memory head is served first, then
+//   the spilled entries (read back in batches), then the newest pushes
+// - The seen-set spills into hash buckets; a Bloom filter answers most lookups of
+//   new URLs without touching the disk, and recently used buckets stay loaded
+// - File access is synchronous: the crawler checks and adds URLs without awaiting
+//   in between, which keeps every check-then-add atomic
+// - close() deletes the spill files (sizes stay readable afterwards)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+// Entries each structure keeps in memory before spilling to disk
+const CRAWL_SPILL_THRESHOLD = Number(process.env.CRAWL_SPILL_THRESHOLD) || 50000;
+const CRAWL_SPILL_DIR = process.env.CRAWL_SPILL_DIR || os.tmpdir();
+
+// Frontier entries are written in batches of this many, and read back this many bytes at a time
+const FRONTIER_WRITE_BATCH = 1000;
+const FRONTIER_READ_BYTES = 256 * 1024;
+
+// Seen-set buckets on disk, and how many stay loaded
+const SEEN_BUCKETS = 1024;
+const SEEN_LOADED_BUCKETS = 64;
+
+// Bloom filter of the spilled URLs: 2 MB, under 0.1% false positives up to about a million URLs
+const BLOOM_BITS = 2 ** 24;
+const BLOOM_HASHES = 7;
+
+function createSpillDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return fs.mkdtempSync(path.join(dir, 'sitemap-crawl-'));
+}
+
+// ========================================
+// SECTION 2: FRONTIER
+// ========================================
+
+/**
+ * Creates a crawl frontier: a FIFO queue of JSON-serializable entries (the crawler
+ * queues { url, depth }) with push, unshift (next in line), shift and length
+ */
+function createCrawlFrontier({ threshold = CRAWL_SPILL_THRESHOLD, dir = CRAWL_SPILL_DIR } = {}) {
+  let head = []; // served first; unshift() adds here
+  let tail = []; // pushed while entries are on disk, not written yet
+  let onDisk = 0; // spilled entries not read back yet
+  let spill = null; // { dir, fd, readOffset }
+
+  function writeTail() {
+    if (tail.length === 0) return;
+    if (!spill) {
+      const spillDir = createSpillDir(dir);
+      spill = { dir: spillDir, fd: fs.openSync(path.join(spillDir, 'frontier.jsonl'), 'a+'), readOffset: 0 };
+    }
+    fs.writeSync(spill.fd, tail.map((entry) => JSON.stringify(entry)).join('\n') + '\n');
+    onDisk += tail.length;
+    tail = [];
+  }
+
+  // Moves the next spilled entries (or the unwritten pushes) into the head
+  function refill() {
+    if (onDisk === 0) {
+      head = tail;
+      tail = [];
+      return;
+    }
+    let size = FRONTIER_READ_BYTES;
+    while (true) {
+      const buffer = Buffer.alloc(size);
+      const bytes = fs.readSync(spill.fd, buffer, 0, size, spill.readOffset);
+      const end = buffer.lastIndexOf(0x0a, bytes - 1);
+      if (end < 0 && bytes < size) throw new Error('Crawl frontier spill file is truncated');
+      // An entry longer than the buffer: read again with a bigger one
+      if (end < 0) {
+        size *= 2;
+        continue;
+      }
+      head = buffer.toString('utf8', 0, end).split('\n').map((line) => JSON.parse(line));
+      spill.readOffset += end + 1;
+      onDisk -= head.length;
+      break;
+    }
+    // Everything on disk was read back: start the file over
+    if (onDisk === 0) {
+      fs.ftruncateSync(spill.fd, 0);
+      spill.readOffset = 0;
+    }
+  }
+
+  return {
+    get length() {
+      return head.length + onDisk + tail.length;
+    },
+    push(entry) {
+      if (onDisk === 0 && tail.length === 0 && head.length < threshold) {
+        head.push(entry);
+        return;
+      }
+      tail.push(entry);
+      if (tail.length >= FRONTIER_WRITE_BATCH) writeTail();
+    },
+    unshift(entry) {
+      head.unshift(entry);
+    },
+    shift() {
+      if (head.length === 0) refill();
+      return head.shift();
+    },
+    close() {
+      head = [];
+      tail = [];
+      onDisk = 0;
+      if (!spill) return;
+      fs.closeSync(spill.fd);
+      fs.rmSync(spill.dir, { recursive: true, force: true });
+      spill = null;
+    },
+  };
+}
+
+// ========================================
+// SECTION 3: SEEN-SET
+// ========================================
+
+// Bucket and Bloom filter positions of a key
+function hashKey(key) {
+  const digest = crypto.createHash('md5').update(key).digest();
+  const h1 = digest.readUInt32BE(4);
+  const h2 = (digest.readUInt32BE(8) | 1) >>> 0;
+  const bits = [];
+  for (let i = 0; i < BLOOM_HASHES; i++) bits.push((h1 + i * h2) % BLOOM_BITS);
+  return { bucket: digest.readUInt32BE(0) % SEEN_BUCKETS, bits };
+}
+
+/**
+ * Creates a seen-set of strings (without newlines, like normalized URLs) with add,
+ * has and size
+ */
+function createSeenSet({ threshold = CRAWL_SPILL_THRESHOLD, dir = CRAWL_SPILL_DIR } = {}) {
+  let recent = new Set(); // every key until the first spill, then the keys added since the last one
+  let size = 0;
+  let spill = null; // { dir, bloom, loaded: Map bucket -> Set, least recently used first }
+
+  const bucketFile = (bucket) => path.join(spill.dir, `${bucket}.txt`);
+
+  function loadBucket(bucket) {
+    let keys = spill.loaded.get(bucket);
+    if (keys) {
+      spill.loaded.delete(bucket);
+    } else {
+      const file = bucketFile(bucket);
+      keys = new Set(fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : []);
+      if (spill.loaded.size >= SEEN_LOADED_BUCKETS) spill.loaded.delete(spill.loaded.keys().next().value);
+    }
+    spill.loaded.set(bucket, keys);
+    return keys;
+  }
+
+  function spillRecent() {
+    if (!spill) spill = { dir: createSpillDir(dir), bloom: new Uint8Array(BLOOM_BITS / 8), loaded: new Map() };
+    const buckets = new Map();
+    for (const key of recent) {
+      const { bucket, bits } = hashKey(key);
+      for (const bit of bits) spill.bloom[bit >>> 3] |= 1 << (bit & 7);
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(key);
+    }
+    for (const [bucket, keys] of buckets) {
+      fs.appendFileSync(bucketFile(bucket), keys.join('\n') + '\n');
+      const loaded = spill.loaded.get(bucket);
+      if (loaded) keys.forEach((key) => loaded.add(key));
+    }
+    recent = new Set();
+  }
+
+  function has(key) {
+    if (recent.has(key)) return true;
+    if (!spill) return false;
+    const { bucket, bits } = hashKey(key);
+    if (!bits.every((bit) => spill.bloom[bit >>> 3] & (1 << (bit & 7)))) return false;
+    return loadBucket(bucket).has(key);
+  }
+
+  return {
+    get size() {
+      return size;
+    },
+    has,
+    add(key) {
+      if (has(key)) return;
+      recent.add(key);
+      size += 1;
+      if (recent.size >= threshold) spillRecent();
+    },
+    close() {
+      recent = new Set();
+      if (!spill) return;
+      fs.rmSync(spill.dir, { recursive: true, force: true });
+      spill = null;
+    },
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createCrawlFrontier,
+  createSeenSet,
+};
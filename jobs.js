@@ -0,0 +1,278 @@
+// jobs.js
+// Crawl job queue
+// Lets clients start a crawl, poll its progress and fetch the result later
+// instead of holding one HTTP connection open for the whole crawl.
+// Jobs run in the process that accepted them; with a persistent store (see
+// store.js) their state is saved there too, so any instance can report and
+// cancel them and finished results survive restarts.
+
+const crypto = require('crypto');
+
+// ========================================
+// SECTION 1: JOB STATES & CONFIGURATION
+// ========================================
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+// Number of crawls allowed to run at the same time (crawling is resource-intensive)
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+// Maximum number of jobs waiting in the queue before new ones are rejected
+const JOB_QUEUE_LIMIT = Number(process.env.JOB_QUEUE_LIMIT) || 100;
+
+// How long finished jobs (and their sitemap) are kept before being dropped
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+// Progress of a running job is saved to the store at most this often
+const JOB_SAVE_INTERVAL_MS = 1000;
+
+/**
+ * Error thrown when the queue is full; routes map it to 503
+ */
+class JobQueueFullError extends Error {
+  constructor() {
+    super('Job queue is full');
+    this.name = 'JobQueueFullError';
+  }
+}
+
+// ========================================
+// SECTION 2: JOB MANAGER
+// ========================================
+
+/**
+ * Creates a job manager around a `runJob(params, { signal, onProgress, apiKeyId })` function.
+ * `runJob` must resolve with `{ sitemapXML, sitemaps?, warnings?, stats }` and should stop early
+ * when `signal` is aborted.
+ * With a `store` (store.js interface), job state is saved there as well.
+ */
+function createJobManager({
+  runJob,
+  store = null,
+  concurrency = JOB_CONCURRENCY,
+  queueLimit = JOB_QUEUE_LIMIT,
+  ttlMs = JOB_TTL_MS,
+}) {
+  const jobs = new Map(); // id -> job (jobs run by this process)
+  const pending = []; // ids waiting to run
+  let running = 0;
+
+  const jobKey = (id) => `job:${id}`;
+  const cancelKey = (id) => `job-cancel:${id}`;
+
+  // Saves a job for other instances; a store outage only costs them visibility
+  function saveJob(job) {
+    if (!store) return Promise.resolve();
+    job.savedAt = Date.now();
+    const { controller, ...stored } = job;
+    const expiresInMs = job.expiresAt ? Math.max(job.expiresAt - Date.now(), 1) : ttlMs;
+    return store.set(jobKey(job.id), stored, { ttlMs: expiresInMs })
+      .catch((err) => console.error('[JOB STORE]', job.id, err.message));
+  }
+
+  // True if another instance asked to cancel the job
+  async function cancelRequested(job) {
+    if (!store) return false;
+    try {
+      return Boolean(await store.get(cancelKey(job.id)));
+    } catch (err) {
+      console.error('[JOB STORE]', job.id, err.message);
+      return false;
+    }
+  }
+
+  function startNext() {
+    while (running < concurrency && pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (!job || job.state !== JOB_STATES.QUEUED) continue;
+      runOne(job);
+    }
+  }
+
+  async function runOne(job) {
+    running += 1;
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+    saveJob(job);
+
+    try {
+      // Cancelled from another instance while queued
+      if (await cancelRequested(job)) job.controller.abort();
+
+      const result = job.controller.signal.aborted ? null : await runJob(job.params, {
+        apiKeyId: job.apiKeyId,
+        signal: job.controller.signal,
+        onProgress: (progress) => {
+          job.progress = { ...job.progress, ...progress };
+          if (store && Date.now() - job.savedAt >= JOB_SAVE_INTERVAL_MS) {
+            saveJob(job);
+            cancelRequested(job).then((cancel) => {
+              if (cancel && job.controller) job.controller.abort();
+            });
+          }
+        },
+      });
+
+      if (job.controller.signal.aborted) {
+        job.state = JOB_STATES.CANCELLED;
+      } else {
+        job.state = JOB_STATES.DONE;
+        job.result = result;
+        job.progress = {
+          ...job.progress,
+          urlsDiscovered: result.stats.urlsDiscovered,
+          urlsInSitemap: result.stats.urlsInSitemap,
+          currentUrl: null,
+        };
+      }
+    } catch (err) {
+      if (job.controller.signal.aborted) {
+        job.state = JOB_STATES.CANCELLED;
+      } else {
+        // Keep full details server-side only
+        console.error('[JOB ERROR]', job.id, err);
+        job.state = JOB_STATES.FAILED;
+        job.error = err.code === 'ECONNABORTED' ? 'Crawl timed out' : 'Crawl failed';
+      }
+    } finally {
+      job.controller = null;
+      job.finishedAt = new Date().toISOString();
+      job.expiresAt = Date.now() + ttlMs;
+      saveJob(job);
+      running -= 1;
+      startNext();
+    }
+  }
+
+  // Drop finished jobs once their TTL has passed
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.expiresAt && job.expiresAt <= now) jobs.delete(id);
+    }
+  }, Math.min(ttlMs, 60 * 1000));
+  cleanupTimer.unref();
+
+  /**
+   * Enqueues a crawl and returns the new job
+   * `apiKeyId` is the key the crawl is billed to (passed on to runJob)
+   * Throws JobQueueFullError when too many jobs are waiting
+   */
+  function createJob(params, { apiKeyId = null } = {}) {
+    if (pending.length >= queueLimit) {
+      throw new JobQueueFullError();
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      state: JOB_STATES.QUEUED,
+      params,
+      apiKeyId,
+      progress: { urlsDiscovered: 0, urlsInSitemap: 0, queued: 0, currentUrl: null },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null,
+      controller: null,
+      savedAt: 0,
+    };
+
+    jobs.set(job.id, job);
+    saveJob(job);
+    pending.push(job.id);
+    startNext();
+    return job;
+  }
+
+  /**
+   * A job of this process, or the saved state of another instance's job
+   * (null if unknown, or if the store can't be read)
+   */
+  async function getJob(id) {
+    if (jobs.has(id)) return jobs.get(id);
+    if (!store) return null;
+    try {
+      return await store.get(jobKey(id));
+    } catch (err) {
+      console.error('[JOB STORE]', id, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cancels a queued or running job
+   * Jobs of other instances are flagged in the store and stop at their next progress save.
+   * Returns false if the job had already finished
+   */
+  async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) {
+      const saved = await getJob(id);
+      if (!saved || FINISHED_STATES.includes(saved.state)) return false;
+      await store.set(cancelKey(id), true, { ttlMs });
+      return true;
+    }
+    if (FINISHED_STATES.includes(job.state)) return false;
+
+    if (job.state === JOB_STATES.QUEUED) {
+      // Frees its place in the queue right away
+      pending.splice(pending.indexOf(id), 1);
+      job.state = JOB_STATES.CANCELLED;
+      job.finishedAt = new Date().toISOString();
+      job.expiresAt = Date.now() + ttlMs;
+      saveJob(job);
+    } else if (job.controller) {
+      // The running crawl notices the abort and the job settles as cancelled
+      job.controller.abort();
+    }
+    return true;
+  }
+
+  return { createJob, getJob, cancelJob };
+}
+
+/**
+ * Public view of a job (no params, controller or sitemap body)
+ */
+function toPublicJob(job) {
+  const view = {
+    id: job.id,
+    state: job.state,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+  if (job.state === JOB_STATES.DONE && job.result) {
+    view.stats = job.result.stats;
+    if (job.result.warnings) view.warnings = job.result.warnings;
+    if (job.result.audit) view.audit = job.result.audit;
+    // Split sitemaps: parts are served next to sitemap.xml (the index)
+    if (job.result.sitemaps) view.sitemapFiles = job.result.sitemaps.map((f) => f.filename);
+  }
+  if (job.state === JOB_STATES.FAILED) view.error = job.error;
+  return view;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  JOB_STATES,
+  FINISHED_STATES,
+  JobQueueFullError,
+  createJobManager,
+  toPublicJob,
+};
@@ -0,0 +1,213 @@
+// output-formats.js
+// Renders a crawl's URL list in formats other than sitemap XML
+// - txt: plain-text sitemap, one URL per line (accepted by Google), held to the
+//   sitemap limits of 50,000 URLs and 50 MB per file
+// - json: URL records with their crawl metadata, plus crawl stats
+// - csv: one row of crawl metadata per URL
+// - rss / atom: feed of the most recently modified URLs
+
+// ========================================
+// SECTION 1: FORMATS
+// ========================================
+
+// Content-Type and download filename per format (xml is the sitemap itself)
+const OUTPUT_FORMATS = {
+  xml: { contentType: 'application/xml; charset=utf-8', filename: 'sitemap.xml' },
+  txt: { contentType: 'text/plain; charset=utf-8', filename: 'sitemap.txt' },
+  json: { contentType: 'application/json; charset=utf-8', filename: 'urls.json' },
+  csv: { contentType: 'text/csv; charset=utf-8', filename: 'urls.csv' },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', filename: 'feed.rss' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', filename: 'feed.atom' },
+};
+
+// Media types clients can ask for in the Accept header, by format
+const FORMAT_MEDIA_TYPES = {
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'text/plain': 'txt',
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+};
+
+// Feeds list this many of the most recently modified URLs
+const FEED_MAX_ITEMS = 50;
+
+// sitemaps.org limits for one sitemap file, which text sitemaps share
+const TEXT_SITEMAP_MAX_URLS = 50000;
+const TEXT_SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+
+// ========================================
+// SECTION 2: RENDERERS
+// ========================================
+
+// XML escaping for text and attribute values (shared with the sitemap generator)
+function escapeXml(unsafe) {
+  return String(unsafe).replace(/[<>&"']/g, (c) => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;',
+  }[c]));
+}
+
+/**
+ * Quotes a CSV cell (RFC 4180) and defuses spreadsheet formulas:
+ * cells starting with = + - @ are prefixed with an apostrophe
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Crawl metadata of one page as a plain record
+function toUrlRecord(page) {
+  return {
+    loc: page.loc,
+    status: page.status ?? null,
+    depth: page.depth ?? null,
+    lastmod: page.lastmod || null,
+    lastmodSource: page.lastmodSource || null,
+    title: page.title || null,
+    inlinks: page.inlinks ?? 0,
+  };
+}
+
+// Text sitemap files of the pages (one URL per line), split to stay within the
+// per-file limits; always at least one (possibly empty) file
+function splitTextSitemap(pages) {
+  const files = [[]];
+  let bytes = 0;
+  for (const page of pages) {
+    const line = `${page.loc}\n`;
+    const lineBytes = Buffer.byteLength(line);
+    if (files[files.length - 1].length === TEXT_SITEMAP_MAX_URLS || bytes + lineBytes > TEXT_SITEMAP_MAX_BYTES) {
+      files.push([]);
+      bytes = 0;
+    }
+    files[files.length - 1].push(line);
+    bytes += lineBytes;
+  }
+  return files.map((lines) => lines.join(''));
+}
+
+function renderJson(pages, stats) {
+  return JSON.stringify({ urls: pages.map(toUrlRecord), stats }, null, 2);
+}
+
+function renderCsv(pages) {
+  const columns = ['loc', 'status', 'depth', 'lastmod', 'lastmodSource', 'title', 'inlinks'];
+  const rows = pages.map((page) => {
+    const record = toUrlRecord(page);
+    return columns.map((column) => escapeCsv(record[column])).join(',');
+  });
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Pages with a real last-modified date, newest first
+function recentlyModified(pages) {
+  return pages
+    .filter((page) => page.lastmod)
+    .sort((a, b) => Date.parse(b.lastmod) - Date.parse(a.lastmod))
+    .slice(0, FEED_MAX_ITEMS);
+}
+
+function renderRss(pages, siteUrl) {
+  const items = recentlyModified(pages).map((page) => {
+    let item = '    <item>\n';
+    item += `      <title>${escapeXml(page.title || page.loc)}</title>\n`;
+    item += `      <link>${escapeXml(page.loc)}</link>\n`;
+    item += `      <guid isPermaLink="true">${escapeXml(page.loc)}</guid>\n`;
+    item += `      <pubDate>${new Date(page.lastmod).toUTCString()}</pubDate>\n`;
+    item += '    </item>';
+    return item;
+  });
+
+  const host = new URL(siteUrl).host;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<rss version="2.0">\n` +
+    `  <channel>\n` +
+    `    <title>${escapeXml(`Recently modified pages on ${host}`)}</title>\n` +
+    `    <link>${escapeXml(siteUrl)}</link>\n` +
+    `    <description>${escapeXml(`Pages of ${host} by last-modified date`)}</description>\n` +
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>\n` +
+    (items.length ? items.join('\n') + '\n' : '') +
+    `  </channel>\n` +
+    `</rss>`;
+}
+
+function renderAtom(pages, siteUrl) {
+  const recent = recentlyModified(pages);
+  const entries = recent.map((page) => {
+    let entry = '  <entry>\n';
+    entry += `    <id>${escapeXml(page.loc)}</id>\n`;
+    entry += `    <title>${escapeXml(page.title || page.loc)}</title>\n`;
+    entry += `    <link href="${escapeXml(page.loc)}"/>\n`;
+    entry += `    <updated>${new Date(page.lastmod).toISOString()}</updated>\n`;
+    entry += '  </entry>';
+    return entry;
+  });
+
+  // A feed's <updated> is its newest entry (or now, for an empty feed)
+  const updated = recent.length ? new Date(recent[0].lastmod) : new Date();
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<feed xmlns="http://www.w3.org/2005/Atom">\n` +
+    `  <id>${escapeXml(siteUrl)}</id>\n` +
+    `  <title>${escapeXml(`Recently modified pages on ${new URL(siteUrl).host}`)}</title>\n` +
+    `  <link href="${escapeXml(siteUrl)}"/>\n` +
+    `  <updated>${updated.toISOString()}</updated>\n` +
+    `  <author><name>${escapeXml(new URL(siteUrl).host)}</name></author>\n` +
+    (entries.length ? entries.join('\n') + '\n' : '') +
+    `</feed>`;
+}
+
+/**
+ * Renders crawled pages ({ loc, status, depth, lastmod, title, ... }) in a
+ * non-XML format
+ * Returns { contentType, filename, body }, plus for txt `files`: how many text
+ * sitemaps the URLs need (the body is the first of them)
+ */
+function renderUrlList(format, pages, { stats, siteUrl } = {}) {
+  if (format === 'txt') {
+    const files = splitTextSitemap(pages);
+    return { ...OUTPUT_FORMATS.txt, body: files[0], files: files.length };
+  }
+  const renderers = {
+    json: () => renderJson(pages, stats),
+    csv: () => renderCsv(pages),
+    rss: () => renderRss(pages, siteUrl),
+    atom: () => renderAtom(pages, siteUrl),
+  };
+  if (!renderers[format]) throw new Error(`Unsupported output format: ${format}`);
+  return { ...OUTPUT_FORMATS[format], body: renderers[format]() };
+}
+
+// ========================================
+// SECTION 3: CONTENT NEGOTIATION
+// ========================================
+
+/**
+ * Output format for a request: the explicit `format` field, else the best match
+ * for the Accept header among `mediaTypes` (in preference order), else null
+ */
+function negotiateFormat(req, format, mediaTypes = Object.keys(FORMAT_MEDIA_TYPES)) {
+  if (format) return format;
+  const accepted = req.accepts(mediaTypes);
+  return accepted ? FORMAT_MEDIA_TYPES[accepted] : null;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_MEDIA_TYPES,
+  escapeXml,
+  renderUrlList,
+  negotiateFormat,
+};
@@ -0,0 +1,248 @@
+// renderer.js
+// Optional headless-browser rendering for JavaScript-built pages (the crawler's
+// `render` mode)
+// - Uses Puppeteer (an optional dependency) and its headless Chrome; when either
+//   is missing the crawler keeps the static HTML
+// - The page's document is the HTML the crawler already fetched, so robots.txt,
+//   redirects and conditional requests work as for static crawls
+// - The browser has no network access of its own: every request it makes
+//   (scripts, XHR/fetch) is answered through the SSRF-guarded axios instance,
+//   as a plain GET or HEAD without the headers the page set, and at most
+//   RENDER_MAX_REQUESTS of them per page. Other methods, images, media, fonts
+//   and other navigations are refused
+// - At most RENDER_CONCURRENCY pages render at once (across all crawls), each
+//   within RENDER_TIMEOUT_MS, waiting for the network to go idle
+
+const { guardedAxios } = require('./ssrf-guard');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const RENDER_CONCURRENCY = Number(process.env.RENDER_CONCURRENCY) || 2;
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 15000;
+
+// Extra Chrome flags, space-separated (e.g. "--no-sandbox" inside containers running as root)
+const RENDER_BROWSER_ARGS = (process.env.RENDER_BROWSER_ARGS || '').split(/\s+/).filter(Boolean);
+
+// After a failed browser launch, rendering counts as unavailable for this long
+const RENDER_RETRY_LAUNCH_MS = 60 * 1000;
+
+// Requests a page may make while it renders (scripts, XHR/fetch); later ones are refused
+const RENDER_MAX_REQUESTS = Number(process.env.RENDER_MAX_REQUESTS) || 100;
+
+// Largest script or API response handed to the browser
+const RENDER_MAX_RESOURCE_BYTES = 5 * 1024 * 1024; // 5 MB
+
+// Not needed to build the DOM
+const SKIPPED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+// Reading is all a page needs to build its DOM; anything else could act on other sites
+const ALLOWED_METHODS = ['GET', 'HEAD'];
+
+// Any connection Chrome would open itself goes to a proxy that doesn't exist
+// (<-loopback> sends loopback through it too), and WebRTC may not bypass it
+const ISOLATION_ARGS = [
+  '--proxy-server=127.0.0.1:9',
+  '--proxy-bypass-list=<-loopback>',
+  '--force-webrtc-ip-handling-policy=disable_non_proxied_udp',
+];
+
+/**
+ * Error for a render that couldn't run or finish; the crawler falls back to the static HTML
+ */
+class RenderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderError';
+  }
+}
+
+// ========================================
+// SECTION 2: BROWSER
+// ========================================
+
+let browserPromise = null;
+let unavailableUntil = 0;
+
+function launchBrowser() {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch {
+    return Promise.reject(new RenderError('Rendering needs the optional "puppeteer" package'));
+  }
+  return puppeteer.launch({ headless: true, args: [...ISOLATION_ARGS, ...RENDER_BROWSER_ARGS] });
+}
+
+// The shared browser, launched on first use and again after it crashes
+async function getBrowser() {
+  if (Date.now() < unavailableUntil) throw new RenderError('Headless browser unavailable');
+  if (!browserPromise) {
+    browserPromise = launchBrowser().then((browser) => {
+      browser.on('disconnected', () => {
+        browserPromise = null;
+      });
+      return browser;
+    });
+    browserPromise.catch((err) => {
+      console.error('[RENDER] Could not start the headless browser:', err.message);
+      browserPromise = null;
+      unavailableUntil = Date.now() + RENDER_RETRY_LAUNCH_MS;
+    });
+  }
+  try {
+    return await browserPromise;
+  } catch {
+    throw new RenderError('Headless browser unavailable');
+  }
+}
+
+/**
+ * True if pages can be rendered (starts the browser if needed)
+ */
+async function isRenderingAvailable() {
+  try {
+    await getBrowser();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Closes the shared browser (on shutdown)
+ */
+async function closeRenderer() {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+  try {
+    await (await pending).close();
+  } catch {
+    // Never started or already gone
+  }
+}
+
+// ========================================
+// SECTION 3: RENDERING
+// ========================================
+
+// Render slots shared by every crawl
+let activeRenders = 0;
+const waitingRenders = [];
+
+async function acquireRenderSlot() {
+  if (activeRenders < RENDER_CONCURRENCY) {
+    activeRenders += 1;
+    return;
+  }
+  await new Promise((resolve) => waitingRenders.push(resolve));
+}
+
+function releaseRenderSlot() {
+  const next = waitingRenders.shift();
+  if (next) next();
+  else activeRenders -= 1;
+}
+
+// Response headers in the form request.respond() takes; the body is already decoded
+function toBrowserHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (['content-encoding', 'content-length', 'transfer-encoding', 'connection'].includes(name)) continue;
+    result[name] = Array.isArray(value) ? value.join('\n') : String(value);
+  }
+  return result;
+}
+
+/**
+ * Creates the request handler of a page being rendered: the document is answered
+ * from `html`, other requests through the SSRF guard (see the header comment)
+ * Returns (request) => Promise, for puppeteer's 'request' event with interception on
+ */
+function createRequestHandler(page, { pageUrl, html, userAgent, signal }) {
+  let documentServed = false;
+  let requests = 0;
+
+  return async (request) => {
+    const requestUrl = request.url();
+    const isDocument = request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+    if (isDocument && !documentServed) {
+      documentServed = true;
+      return request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    }
+    // data: and blob: URLs don't leave the browser
+    if (!/^https?:/i.test(requestUrl)) return request.continue();
+    if (request.isNavigationRequest() || SKIPPED_RESOURCE_TYPES.includes(request.resourceType())) {
+      return request.abort('blockedbyclient');
+    }
+    if (!ALLOWED_METHODS.includes(request.method()) || requests >= RENDER_MAX_REQUESTS) {
+      return request.abort('blockedbyclient');
+    }
+    requests += 1;
+
+    // Only the crawler's own headers: cookies, credentials and custom headers set by
+    // the page's scripts aren't sent
+    const resp = await guardedAxios.request({
+      url: new URL(requestUrl, pageUrl).toString(),
+      method: request.method(),
+      headers: { 'User-Agent': userAgent, Accept: '*/*' },
+      responseType: 'arraybuffer',
+      maxContentLength: RENDER_MAX_RESOURCE_BYTES,
+      timeout: RENDER_TIMEOUT_MS,
+      validateStatus: () => true,
+      signal,
+    });
+    return request.respond({ status: resp.status, headers: toBrowserHeaders(resp.headers), body: Buffer.from(resp.data) });
+  };
+}
+
+/**
+ * Renders a fetched page in the headless browser and returns the resulting DOM as HTML
+ * - pageUrl: final URL of the page (scripts see it as location.href)
+ * - html: the page's static HTML
+ * Rejects with RenderError when the browser is unavailable, times out or is aborted
+ */
+async function renderPage(pageUrl, html, { userAgent, signal, timeoutMs = RENDER_TIMEOUT_MS } = {}) {
+  const browser = await getBrowser();
+  await acquireRenderSlot();
+  let page = null;
+  const onAbort = () => page && page.close().catch(() => {});
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    if (signal && signal.aborted) throw new RenderError('Render cancelled');
+    page = await browser.newPage();
+    if (userAgent) await page.setUserAgent(userAgent);
+    await page.setRequestInterception(true);
+
+    const answerRequest = createRequestHandler(page, { pageUrl, html, userAgent, signal });
+    page.on('request', (request) => {
+      answerRequest(request).catch(() => request.abort('failed').catch(() => {}));
+    });
+
+    await page.goto(pageUrl, { waitUntil: 'networkidle0', timeout: timeoutMs });
+    return await page.content();
+  } catch (err) {
+    if (err instanceof RenderError) throw err;
+    throw new RenderError(signal && signal.aborted ? 'Render cancelled' : `Render failed: ${err.message}`);
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (page) await page.close().catch(() => {});
+    releaseRenderSlot();
+  }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  RenderError,
+  isRenderingAvailable,
+  renderPage,
+  closeRenderer,
+  createRequestHandler,
+};
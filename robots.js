@@ -0,0 +1,220 @@
+// robots.js
+// robots.txt fetching, parsing and matching (RFC 9309)
+// - Groups: consecutive User-agent lines share the rules that follow them
+// - Matching: longest matching Allow/Disallow rule wins, Allow wins ties
+// - Patterns: `*` matches any characters, a trailing `$` anchors the end; they are
+//   matched without regular expressions (see wildcard.js), as they come from the
+//   crawled site
+// - Also returns Crawl-delay (non-standard) and Sitemap: entries
+
+const { guardedAxios } = require('./ssrf-guard');
+const { compileWildcard } = require('./wildcard');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+// Product token our crawler matches against User-agent lines (case-insensitive)
+const ROBOTS_PRODUCT_TOKEN = 'sitemap-generator';
+
+// RFC 9309 requires parsing at least 500 KiB; anything after that is ignored
+const ROBOTS_MAX_BYTES = 500 * 1024;
+
+// RFC 9309 requires following at least five consecutive redirects
+const ROBOTS_MAX_REDIRECTS = 5;
+
+const ROBOTS_TIMEOUT_MS = 3000;
+
+// ========================================
+// SECTION 2: PARSING
+// ========================================
+
+/**
+ * Normalizes percent-encoding so patterns and paths compare as octets:
+ * non-ASCII characters are encoded and %xx escapes are uppercased
+ */
+function normalizeEncoding(value) {
+  return value
+    .replace(/[^\x00-\x7F]+/g, (chars) => encodeURIComponent(chars))
+    .replace(/%[0-9a-f]{2}/gi, (escape) => escape.toUpperCase());
+}
+
+/**
+ * Compiles an Allow/Disallow path pattern into a matcher (path -> boolean) that
+ * matches from the start of the path, and up to its end with a trailing `$`
+ */
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  return compileWildcard(anchored ? pattern.slice(0, -1) : pattern, { prefix: !anchored });
+}
+
+/**
+ * Parses robots.txt text into the rules that apply to `productToken`
+ * Returns { rules: [{ allow, pattern, matches }], crawlDelay, sitemaps }
+ * - Groups naming the product token are merged; otherwise `*` groups are used
+ * - Rules outside any group and empty Disallow values are ignored
+ * - Sitemap lines are not tied to groups and are always collected
+ */
+function parseRobotsTxt(text, productToken = ROBOTS_PRODUCT_TOKEN) {
+  const token = productToken.toLowerCase();
+  const groups = []; // { agents: [], rules: [], crawlDelay }
+  const sitemaps = [];
+  let group = null;
+  let lastLineWasAgent = false;
+
+  const content = Buffer.from(String(text || '')).subarray(0, ROBOTS_MAX_BYTES).toString('utf8');
+
+  for (const rawLine of content.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines belong to the same group
+      if (!group || !lastLineWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastLineWasAgent = true;
+      continue;
+    }
+    lastLineWasAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!group) {
+      // Rules before the first User-agent line don't belong to any group
+      continue;
+    } else if (key === 'allow' || key === 'disallow') {
+      if (!value) continue; // empty Disallow allows everything
+      const pattern = normalizeEncoding(value);
+      group.rules.push({ allow: key === 'allow', pattern, matches: compilePattern(pattern) });
+    } else if (key === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  // The product token may carry a version ("sitemap-generator/1.0" is still a match)
+  const matchesToken = (agent) => agent === token || agent.split('/')[0] === token;
+  let matching = groups.filter((g) => g.agents.some(matchesToken));
+  if (matching.length === 0) matching = groups.filter((g) => g.agents.includes('*'));
+
+  const delays = matching.map((g) => g.crawlDelay).filter((d) => d !== null);
+
+  return {
+    rules: matching.flatMap((g) => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+    sitemaps,
+  };
+}
+
+// ========================================
+// SECTION 3: MATCHING
+// ========================================
+
+/**
+ * Checks a URL path (including its query string) against parsed robots rules
+ * The longest matching pattern wins; on equal length Allow wins
+ */
+function isPathAllowed(pathWithQuery, robots) {
+  if (!robots) return true;
+  if (robots.disallowAll) return false;
+  if (!robots.rules || robots.rules.length === 0) return true;
+
+  // robots.txt itself is always allowed
+  const path = normalizeEncoding(pathWithQuery || '/');
+  if (path === '/robots.txt') return true;
+
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!rule.matches(path)) continue;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow && !best.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// ========================================
+// SECTION 4: FETCHING
+// ========================================
+
+/**
+ * Reads at most `maxBytes` of a response stream, then stops the download
+ */
+async function readFirstBytes(stream, maxBytes) {
+  const chunks = [];
+  let bytes = 0;
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      bytes += chunk.length;
+      if (bytes >= maxBytes) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+/**
+ * Fetches and parses /robots.txt for the site of `baseUrl`
+ * Follows up to 5 redirects. Per RFC 9309:
+ * - 2xx: parse the file (only its first 500 KiB are downloaded)
+ * - 4xx or too many redirects ("unavailable"): no restrictions
+ * - 5xx or network errors ("unreachable"): assume everything is disallowed
+ * Returns the parsed robots plus { status, disallowAll }
+ */
+async function fetchRobots(baseUrl, { userAgent } = {}) {
+  const empty = { rules: [], crawlDelay: null, sitemaps: [] };
+
+  try {
+    const robotsUrl = new URL('/robots.txt', baseUrl).toString();
+    const resp = await guardedAxios.get(robotsUrl, {
+      timeout: ROBOTS_TIMEOUT_MS,
+      maxRedirects: ROBOTS_MAX_REDIRECTS,
+      // Streamed so an oversized file is cut off rather than downloaded whole
+      // (the timeout option doesn't cover a streamed body, the signal does)
+      responseType: 'stream',
+      signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS),
+      headers: userAgent ? { 'User-Agent': userAgent } : {},
+      validateStatus: () => true,
+    });
+
+    if (resp.status >= 200 && resp.status < 300) {
+      const body = await readFirstBytes(resp.data, ROBOTS_MAX_BYTES);
+      return { ...parseRobotsTxt(body.toString('utf8')), status: 'ok', disallowAll: false };
+    }
+    resp.data.destroy();
+    if (resp.status >= 400 && resp.status < 500) {
+      return { ...empty, status: 'unavailable', disallowAll: false };
+    }
+    return { ...empty, status: 'unreachable', disallowAll: true };
+  } catch (err) {
+    if (err.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+      return { ...empty, status: 'unavailable', disallowAll: false };
+    }
+    return { ...empty, status: 'unreachable', disallowAll: true };
+  }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  ROBOTS_PRODUCT_TOKEN,
+  parseRobotsTxt,
+  isPathAllowed,
+  fetchRobots,
+};
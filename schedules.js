@@ -0,0 +1,643 @@
+// schedules.js
+// Scheduled recurring crawls
+// - Each schedule crawls one site on a cron expression (UTC) with a stored request
+// - Every run keeps a snapshot: stats, the sitemap and the content hash of each
+//   listed URL; the last SCHEDULE_MAX_RUNS runs of a schedule are kept
+// - diffRuns compares two runs: URLs added, removed and changed (by content hash)
+// - When a run finishes or fails, the schedule's webhook gets a JSON body signed
+//   with HMAC-SHA256 (see signWebhookPayload); deliveries and their retries run
+//   alongside the run queue, so a slow receiver doesn't hold up other runs
+// Schedules and runs are files in SCHEDULES_DIR (schedules.json plus one file
+// per run), written atomically. They belong to one process: instances don't
+// share schedules, so only one instance should serve the schedule endpoints.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { guardedAxios } = require('./ssrf-guard');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const SCHEDULES_DIR = process.env.SCHEDULES_DIR || path.join(__dirname, 'data', 'schedules');
+
+// Shortest time allowed between two runs of a schedule
+const SCHEDULE_MIN_INTERVAL_MINUTES = Number(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 60;
+
+// Runs kept per schedule (older snapshots are deleted)
+const SCHEDULE_MAX_RUNS = Number(process.env.SCHEDULE_MAX_RUNS) || 20;
+
+// Schedules one API key may own
+const SCHEDULES_PER_KEY = 20;
+
+// How often due schedules are looked for
+const SCHEDULE_TICK_MS = 30 * 1000;
+
+// Webhook delivery: per-attempt timeout, attempts, and the first retry delay (x4 per retry)
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_RETRY_BASE_MS = 2000;
+
+// Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+const WEBHOOK_SIGNATURE_HEADER = 'X-Sitemap-Signature';
+
+// Signatures older than this are rejected by verifyWebhookSignature (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const WEBHOOK_EVENTS = {
+  COMPLETED: 'run.completed',
+  FAILED: 'run.failed',
+};
+
+const RUN_STATES = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * Error for a run that couldn't be done; its message is shown to the schedule's owner
+ * (other errors are reported as "Crawl failed")
+ */
+class ScheduleRunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleRunError';
+  }
+}
+
+// ========================================
+// SECTION 2: CRON EXPRESSIONS
+// ========================================
+
+// Standard five fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+function parseCronValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(value)) throw new Error(`invalid ${field.name} value "${value}"`);
+  const number = Number(value);
+  if (number < field.min || number > field.max) throw new Error(`${field.name} must be ${field.min}-${field.max}`);
+  return number;
+}
+
+// Values of one field: "*", "5", "1-5", "*/15", "1-30/2", "mon-fri" and lists of these
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseCronValue(end, field);
+      if (to < from) throw new Error(`invalid range "${range}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  // Sunday is 0 or 7
+  if (field.name === 'dayOfWeek' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parses a cron expression (five fields or a macro such as @daily)
+ * Throws with a readable message when it is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) throw new Error('expected 5 fields (minute hour day-of-month month day-of-week)');
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(fields[i], field);
+  });
+  // Like cron: when both day fields are restricted, either may match
+  cron.anyDayOfMonth = fields[2] === '*';
+  cron.anyDayOfWeek = fields[4] === '*';
+  return cron;
+}
+
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First time after `after` (a Date) that matches a parsed cron, in UTC
+ * Returns null when nothing matches within five years (e.g. "0 0 30 2 *")
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validation message for a schedule's cron expression, or null when it is usable:
+ * valid, matching some time, and never running more often than SCHEDULE_MIN_INTERVAL_MINUTES
+ */
+function checkCronExpression(expression) {
+  let cron;
+  try {
+    cron = parseCron(expression);
+  } catch (err) {
+    return `invalid cron expression: ${err.message}`;
+  }
+  // Sample a year of runs for the shortest gap
+  let previous = nextCronTime(cron, new Date());
+  if (!previous) return 'cron expression never matches';
+  const end = previous.getTime() + 366 * 24 * 60 * 60 * 1000;
+  for (let i = 0; i < 1000 && previous.getTime() < end; i++) {
+    const next = nextCronTime(cron, previous);
+    if (!next) break;
+    if (next - previous < SCHEDULE_MIN_INTERVAL_MINUTES * 60 * 1000) {
+      return `cron expression runs more often than every ${SCHEDULE_MIN_INTERVAL_MINUTES} minutes`;
+    }
+    previous = next;
+  }
+  return null;
+}
+
+// ========================================
+// SECTION 3: WEBHOOKS
+// ========================================
+
+/**
+ * Signature header value for a webhook body
+ */
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Checks a received webhook (raw body and signature header) against the secret,
+ * rejecting signatures older than toleranceSeconds; for receivers written in Node
+ */
+function verifyWebhookSignature(secret, body, header, { toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const presented = Buffer.from(parts.v1, 'hex');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+// Retries network errors, 429 and 5xx (not URLs the SSRF guard refused: they stay refused)
+function isRetryableDelivery(status, blocked) {
+  return (status === null && !blocked) || status === 429 || status >= 500;
+}
+
+/**
+ * POSTs a signed event to a webhook URL (through the SSRF guard), retrying failures
+ * Resolves with { event, deliveryId, delivered, attempts, status, error, deliveredAt }
+ */
+async function deliverWebhook(webhook, event, data) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+  const outcome = { event, deliveryId, delivered: false, attempts: 0, status: null, error: null, deliveredAt: null };
+
+  let blocked = false;
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) await new Promise((resolve) => setTimeout(resolve, WEBHOOK_RETRY_BASE_MS * 4 ** (attempt - 2)));
+    outcome.attempts = attempt;
+    try {
+      const resp = await guardedAxios.post(webhook.url, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Sitemap-Generator-Webhooks/1.0',
+          'X-Sitemap-Event': event,
+          'X-Sitemap-Delivery': deliveryId,
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, body),
+        },
+      });
+      outcome.status = resp.status;
+      outcome.error = resp.status >= 200 && resp.status < 300 ? null : `HTTP ${resp.status}`;
+    } catch (err) {
+      outcome.status = null;
+      blocked = err.code === 'ERR_SSRF_BLOCKED';
+      outcome.error = blocked ? 'Webhook URL resolves to a private address' : err.code || err.message;
+    }
+    if (!outcome.error) {
+      outcome.delivered = true;
+      outcome.deliveredAt = new Date().toISOString();
+      break;
+    }
+    if (!isRetryableDelivery(outcome.status, blocked)) break;
+  }
+  return outcome;
+}
+
+// ========================================
+// SECTION 4: SNAPSHOT DIFFS
+// ========================================
+
+/**
+ * URLs added, removed and changed (different content hash) from one run to another
+ * Runs are snapshots with `urls: [{ loc, contentHash }]`
+ */
+function diffSnapshots(from, to) {
+  const before = new Map(from.urls.map((entry) => [entry.loc, entry.contentHash]));
+  const after = new Map(to.urls.map((entry) => [entry.loc, entry.contentHash]));
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [loc, hash] of after) {
+    if (!before.has(loc)) diff.added.push(loc);
+    else if (before.get(loc) !== hash) diff.changed.push(loc);
+    else diff.unchanged += 1;
+  }
+  for (const loc of before.keys()) {
+    if (!after.has(loc)) diff.removed.push(loc);
+  }
+  return diff;
+}
+
+// ========================================
+// SECTION 5: SCHEDULER
+// ========================================
+
+// Writes a JSON file atomically (temp file + rename)
+async function writeJsonFile(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data), { mode: 0o600 });
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Creates the scheduler around a `runCrawl(params, { apiKeyId })` function, which
+ * must resolve with `{ sitemapXML, sitemaps?, stats, pages }` (pages: the listed
+ * pages with their contentHash) or reject (ScheduleRunError messages are kept)
+ */
+function createScheduler({ runCrawl, dir = SCHEDULES_DIR }) {
+  const indexFile = path.join(dir, 'schedules.json');
+  const runFile = (scheduleId, runId) => path.join(dir, 'runs', scheduleId, `${runId}.json`);
+
+  let data = { schedules: [] };
+  try {
+    data = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const byId = new Map(data.schedules.map((schedule) => [schedule.id, schedule]));
+  // Runs cut short by a restart never finish
+  for (const schedule of data.schedules) {
+    for (const run of schedule.runs) {
+      if (run.state === RUN_STATES.RUNNING) Object.assign(run, { state: RUN_STATES.FAILED, finishedAt: run.startedAt });
+    }
+  }
+
+  // Index writes run one after another so an older snapshot never lands last
+  let writing = Promise.resolve();
+  function persist() {
+    const snapshot = JSON.parse(JSON.stringify(data));
+    writing = writing
+      .then(() => writeJsonFile(indexFile, snapshot))
+      .catch((err) => console.error('[SCHEDULES] Could not save schedules', err));
+    return writing;
+  }
+
+  // Runs are done one at a time per process
+  let runQueue = Promise.resolve();
+  const activeRuns = new Set(); // schedule ids queued or running here
+
+  async function readRun(scheduleId, runId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(runFile(scheduleId, runId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // The latest finished run of a schedule before `runId` (or overall), in run order
+  async function previousDoneRun(schedule, runId = null) {
+    const runs = schedule.runs;
+    const end = runId ? runs.findIndex((run) => run.id === runId) : runs.length;
+    for (let i = end - 1; i >= 0; i--) {
+      if (runs[i].state === RUN_STATES.DONE) return readRun(schedule.id, runs[i].id);
+    }
+    return null;
+  }
+
+  async function executeRun(schedule, trigger) {
+    const run = {
+      id: crypto.randomUUID(),
+      scheduleId: schedule.id,
+      trigger,
+      state: RUN_STATES.RUNNING,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      stats: null,
+      error: null,
+      diff: null,
+      webhook: null,
+      urls: [],
+      sitemapXML: null,
+      sitemaps: null,
+    };
+    const summary = { id: run.id, state: run.state, trigger, startedAt: run.startedAt, finishedAt: null, urlsInSitemap: null };
+    // An unreadable earlier snapshot only costs the diff
+    const previous = await previousDoneRun(schedule).catch((err) => {
+      console.error('[SCHEDULES] Could not read the previous run', schedule.id, err);
+      return null;
+    });
+    schedule.runs.push(summary);
+    persist();
+
+    try {
+      const result = await runCrawl(schedule.params, { apiKeyId: schedule.apiKeyId });
+      run.state = RUN_STATES.DONE;
+      run.stats = result.stats;
+      run.sitemapXML = result.sitemapXML;
+      run.sitemaps = result.sitemaps || null;
+      run.urls = result.pages.map((page) => ({ loc: page.loc, contentHash: page.contentHash || null, lastmod: page.lastmod || null }));
+      if (previous) {
+        const { added, removed, changed } = diffSnapshots(previous, run);
+        run.diff = { previousRunId: previous.id, added: added.length, removed: removed.length, changed: changed.length };
+      }
+    } catch (err) {
+      if (!(err instanceof ScheduleRunError)) console.error('[SCHEDULE RUN ERROR]', schedule.id, err);
+      run.state = RUN_STATES.FAILED;
+      run.error = err instanceof ScheduleRunError ? err.message : 'Crawl failed';
+    }
+    run.finishedAt = new Date().toISOString();
+    // Deleted while running: nothing to keep or notify
+    if (!byId.has(schedule.id)) return run;
+    try {
+      await writeJsonFile(runFile(schedule.id, run.id), run);
+    } catch (err) {
+      console.error('[SCHEDULES] Could not save run', schedule.id, err);
+      run.state = RUN_STATES.FAILED;
+      run.error = 'Run could not be saved';
+    } finally {
+      // The summary leaves `running` whether or not the snapshot was written
+      Object.assign(summary, { state: run.state, finishedAt: run.finishedAt, urlsInSitemap: run.stats ? run.stats.urlsInSitemap : null });
+      schedule.lastRunAt = run.finishedAt;
+      // Drop the oldest snapshots
+      for (const old of schedule.runs.splice(0, Math.max(0, schedule.runs.length - SCHEDULE_MAX_RUNS))) {
+        fs.promises.unlink(runFile(schedule.id, old.id)).catch(() => {});
+      }
+      persist();
+    }
+
+    if (schedule.webhook) notify(schedule, run);
+    return run;
+  }
+
+  // Sends the run's webhook without waiting for it; the outcome is added to the
+  // run's snapshot once delivered or given up on
+  function notify(schedule, run) {
+    const event = run.state === RUN_STATES.DONE ? WEBHOOK_EVENTS.COMPLETED : WEBHOOK_EVENTS.FAILED;
+    deliverWebhook(schedule.webhook, event, { schedule: toPublicSchedule(schedule), run: toPublicRun(run) })
+      .then(async (outcome) => {
+        if (!outcome.delivered) console.error('[SCHEDULES] Webhook failed', schedule.id, outcome.error);
+        // Not for a schedule or run deleted meanwhile
+        if (!schedule.runs.some((summary) => summary.id === run.id) || !byId.has(schedule.id)) return;
+        run.webhook = outcome;
+        await writeJsonFile(runFile(schedule.id, run.id), run);
+      })
+      .catch((err) => console.error('[SCHEDULES] Could not save webhook delivery', schedule.id, err));
+  }
+
+  // Queues a run unless one of this schedule is already queued or running here
+  function enqueueRun(schedule, trigger) {
+    if (activeRuns.has(schedule.id)) return false;
+    activeRuns.add(schedule.id);
+    runQueue = runQueue
+      .then(() => (byId.has(schedule.id) ? executeRun(schedule, trigger) : null))
+      .catch((err) => console.error('[SCHEDULES] Run failed', schedule.id, err))
+      .finally(() => activeRuns.delete(schedule.id));
+    return true;
+  }
+
+  // Queues due runs; missed occurrences (e.g. while stopped) collapse into one run
+  function tick() {
+    const now = new Date();
+    for (const schedule of data.schedules) {
+      if (!schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now.getTime()) continue;
+      const next = nextCronTime(parseCron(schedule.cron), now);
+      schedule.nextRunAt = next ? next.toISOString() : null;
+      persist();
+      enqueueRun(schedule, 'schedule');
+    }
+  }
+
+  function safeTick() {
+    try {
+      tick();
+    } catch (err) {
+      console.error('[SCHEDULES] Tick failed', err);
+    }
+  }
+
+  let timer = null;
+
+  /**
+   * Starts checking for due schedules
+   */
+  function start() {
+    if (timer) return;
+    timer = setInterval(safeTick, SCHEDULE_TICK_MS);
+    timer.unref();
+    safeTick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return writing;
+  }
+
+  /**
+   * Creates a schedule; `params` is a validated crawl request
+   * Returns { schedule, webhookSecret } (the secret is generated unless given,
+   * and only returned here), or null when the key has too many schedules
+   */
+  function createSchedule({ apiKeyId, name = null, cron, params, webhookUrl = null, webhookSecret = null }) {
+    if (data.schedules.filter((schedule) => schedule.apiKeyId === apiKeyId).length >= SCHEDULES_PER_KEY) return null;
+
+    const secret = webhookUrl ? webhookSecret || `whsec_${crypto.randomBytes(24).toString('base64url')}` : null;
+    const next = nextCronTime(parseCron(cron), new Date());
+    const schedule = {
+      id: crypto.randomUUID(),
+      apiKeyId,
+      name,
+      cron,
+      params,
+      webhook: webhookUrl ? { url: webhookUrl, secret } : null,
+      createdAt: new Date().toISOString(),
+      nextRunAt: next ? next.toISOString() : null,
+      lastRunAt: null,
+      runs: [],
+    };
+    data.schedules.push(schedule);
+    byId.set(schedule.id, schedule);
+    persist();
+    return { schedule, webhookSecret: secret };
+  }
+
+  function getSchedule(id) {
+    return byId.get(id) || null;
+  }
+
+  function listSchedules(apiKeyId) {
+    return data.schedules.filter((schedule) => schedule.apiKeyId === apiKeyId);
+  }
+
+  /**
+   * Deletes a schedule and its run snapshots; returns false if unknown
+   */
+  async function deleteSchedule(id) {
+    if (!byId.has(id)) return false;
+    byId.delete(id);
+    data.schedules = data.schedules.filter((schedule) => schedule.id !== id);
+    await persist();
+    await fs.promises.rm(path.join(dir, 'runs', id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Queues a run of a schedule now; false if one is already queued or running
+   */
+  function runNow(id) {
+    const schedule = byId.get(id);
+    return schedule ? enqueueRun(schedule, 'manual') : false;
+  }
+
+  /**
+   * Stored run of a schedule (null if unknown or already dropped)
+   */
+  async function getRun(scheduleId, runId) {
+    const schedule = byId.get(scheduleId);
+    if (!schedule || !schedule.runs.some((run) => run.id === runId)) return null;
+    return readRun(scheduleId, runId);
+  }
+
+  /**
+   * Diff between two finished runs (ids; `to` defaults to the latest finished run
+   * and `from` to the one before it)
+   * Returns { from, to, added, removed, changed, unchanged }, or null when there
+   * aren't two finished runs to compare
+   */
+  async function diffRuns(scheduleId, { from = null, to = null } = {}) {
+    const schedule = byId.get(scheduleId);
+    if (!schedule) return null;
+    const toRun = to ? await getRun(scheduleId, to) : await previousDoneRun(schedule);
+    if (!toRun || toRun.state !== RUN_STATES.DONE) return null;
+    const fromRun = from ? await getRun(scheduleId, from) : await previousDoneRun(schedule, toRun.id);
+    if (!fromRun || fromRun.state !== RUN_STATES.DONE) return null;
+
+    return {
+      from: { id: fromRun.id, finishedAt: fromRun.finishedAt },
+      to: { id: toRun.id, finishedAt: toRun.finishedAt },
+      ...diffSnapshots(fromRun, toRun),
+    };
+  }
+
+  return { start, stop, createSchedule, getSchedule, listSchedules, deleteSchedule, runNow, getRun, diffRuns };
+}
+
+/**
+ * Public view of a schedule (no owner or webhook secret)
+ */
+function toPublicSchedule(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron,
+    url: schedule.params.url,
+    params: schedule.params,
+    webhookUrl: schedule.webhook ? schedule.webhook.url : null,
+    createdAt: schedule.createdAt,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    runs: schedule.runs,
+  };
+}
+
+/**
+ * Public view of a run (without the URL list and sitemap body)
+ */
+function toPublicRun(run) {
+  const view = {
+    id: run.id,
+    scheduleId: run.scheduleId,
+    trigger: run.trigger,
+    state: run.state,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    stats: run.stats,
+    diff: run.diff,
+  };
+  if (run.error) view.error = run.error;
+  if (run.webhook) view.webhook = run.webhook;
+  if (run.sitemaps) view.sitemapFiles = run.sitemaps.map((file) => file.filename);
+  return view;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  RUN_STATES,
+  WEBHOOK_EVENTS,
+  ScheduleRunError,
+  parseCron,
+  nextCronTime,
+  checkCronExpression,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createScheduler,
+  toPublicSchedule,
+  toPublicRun,
+};
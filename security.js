@@ -5,6 +5,9 @@
 const { z } = require('zod');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { isBlockedHostname } = require('./ssrf-guard');
+const { getSharedStore, createRateLimitStore } = require('./store');
+const { checkCronExpression } = require('./schedules');
 
 // ========================================
 // SECTION 1: INPUT VALIDATION SCHEMAS
@@ -13,42 +16,100 @@ const helmet = require('helmet');
 // Ref: OWASP A01:2021 – Broken Access Control, A03:2021 – Injection
 
 /**
- * Validation schema for /api/generate-sitemap and /api/download-sitemap
- * Enforces type safety, length limits, and expected field values
+ * Server-side ceilings for crawl budgets (set via environment)
+ * Requests asking for more than these are rejected; omitted budgets use the ceiling
+ * (except maxPages, which defaults to 50)
  */
-const SitemapRequestSchema = z.object({
-  // URL is required; must be valid and reasonably short (2048 chars per RFC)
-  url: z
+const CRAWL_LIMITS = {
+  maxPages: Number(process.env.CRAWL_MAX_PAGES) || 500,
+  maxDepth: Number(process.env.CRAWL_MAX_DEPTH) || 10,
+  timeBudgetSeconds: Number(process.env.CRAWL_MAX_TIME_SECONDS) || 120,
+};
+
+// Allowed <changefreq> values (sitemaps.org protocol)
+const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// Fields of a URL pattern, shared by urlRules and the crawl scope patterns
+// - A glob on the URL path: `*` matches within one path segment, `**` across
+//   segments, `?` one character (matched without regular expressions, see wildcard.js)
+const urlPatternFields = {
+  pattern: z
     .string()
-    .min(1, 'URL is required')
-    .max(2048, 'URL must not exceed 2048 characters')
-    .url('Invalid URL format')
-    .refine(
-      (url) => {
-        try {
-          // Additional security: reject URLs with suspicious protocols or patterns
-          const parsed = new URL(url);
-          const disallowedProtocols = ['javascript:', 'data:', 'vbscript:'];
-          if (disallowedProtocols.includes(parsed.protocol)) {
-            return false;
-          }
-          // Reject localhost/private IP to prevent SSRF attacks
-          if (/^(localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[01]))/i.test(parsed.hostname)) {
-            return false;
-          }
-          return true;
-        } catch {
+    .min(1, 'pattern is required')
+    .max(200, 'pattern must not exceed 200 characters'),
+};
+
+// Every crawled URL is matched against all of a request's patterns (urlRules,
+// includePatterns, excludePatterns), so their combined length is capped too
+const MAX_TOTAL_PATTERN_LENGTH = 2000;
+
+/**
+ * One per-URL rule: URLs whose path matches `pattern` get the rule's
+ * priority and/or changeFreq instead of the global values
+ */
+const UrlRuleSchema = z.object({
+  ...urlPatternFields,
+
+  priority: z
+    .number()
+    .min(0, 'Priority must be >= 0')
+    .max(1, 'Priority must be <= 1')
+    .optional(),
+
+  changeFreq: z
+    .enum(CHANGE_FREQUENCIES)
+    .optional(),
+}).strict()
+  .refine((rule) => rule.priority !== undefined || rule.changeFreq !== undefined, {
+    message: 'A rule must set priority or changeFreq',
+  });
+
+/**
+ * URL pattern limiting the crawl scope (includePatterns / excludePatterns)
+ */
+const UrlPatternSchema = z.object(urlPatternFields)
+  .strict();
+
+// URL to fetch: must be valid, reasonably short (2048 chars per RFC) and public
+const CrawlUrlSchema = z
+  .string()
+  .min(1, 'URL is required')
+  .max(2048, 'URL must not exceed 2048 characters')
+  .url('Invalid URL format')
+  .refine(
+    (url) => {
+      try {
+        // Additional security: reject URLs with suspicious protocols or patterns
+        const parsed = new URL(url);
+        const disallowedProtocols = ['javascript:', 'data:', 'vbscript:'];
+        if (disallowedProtocols.includes(parsed.protocol)) {
           return false;
         }
-      },
-      {
-        message: 'URL scheme not allowed or hostname is private (SSRF prevention)',
-      },
-    ),
+        // Reject localhost and private/reserved IPs (in any notation) to prevent SSRF;
+        // hostnames resolving to them are refused when connecting (ssrf-guard.js)
+        if (isBlockedHostname(parsed.hostname)) {
+          return false;
+        }
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    {
+      message: 'URL scheme not allowed or hostname is private (SSRF prevention)',
+    },
+  );
+
+/**
+ * Validation schema for /api/generate-sitemap and /api/download-sitemap
+ * Enforces type safety, length limits, and expected field values
+ */
+const SitemapRequestSchema = z.object({
+  url: CrawlUrlSchema,
 
   // Optional fields with strict validation
   changeFreq: z
-    .enum(['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'])
+    .enum(CHANGE_FREQUENCIES)
     .default('weekly')
     .optional(),
 
@@ -68,7 +129,259 @@ const SitemapRequestSchema = z.object({
     .boolean()
     .default(false)
     .optional(),
-}).strict(); // .strict() rejects any unexpected fields
+
+  // With includeLastMod, what to write when a page has no real last-modified
+  // signal: nothing ('none') or the time it was crawled ('crawl-time')
+  lastmodFallback: z
+    .enum(['none', 'crawl-time'])
+    .optional(),
+
+  // Google image/video sitemap extensions: collect media while crawling and
+  // write <image:image> / <video:video> blocks under each <url>
+  includeImages: z
+    .boolean()
+    .optional(),
+
+  includeVideos: z
+    .boolean()
+    .optional(),
+
+  // Collect <link rel="alternate" hreflang> clusters, write them as <xhtml:link>
+  // alternates and report non-reciprocal or broken ones as warnings
+  includeHreflang: z
+    .boolean()
+    .optional(),
+
+  // 'news' writes a Google News sitemap: only articles published in the last
+  // 48 hours, with <news:news> details taken from JSON-LD or Open Graph tags
+  sitemapType: z
+    .enum(['standard', 'news'])
+    .optional(),
+
+  // Used for articles that don't name their publication or language
+  newsPublicationName: z
+    .string()
+    .min(1, 'newsPublicationName must not be empty')
+    .max(256, 'newsPublicationName must not exceed 256 characters')
+    .optional(),
+
+  newsLanguage: z
+    .string()
+    .regex(/^([a-z]{2,3}|zh-cn|zh-tw)$/, 'newsLanguage must be an ISO 639 code such as "en" (or zh-cn / zh-tw)')
+    .optional(),
+
+  // Also return a site audit: per-page SEO details, broken internal links and
+  // a summary of common problems
+  audit: z
+    .boolean()
+    .optional(),
+
+  // Render pages in a headless browser so links added by JavaScript are found
+  // (falls back to the static HTML when no browser is available)
+  render: z
+    .boolean()
+    .optional(),
+
+  // Crawl again even if a cached result of the same crawl exists
+  forceRefresh: z
+    .boolean()
+    .optional(),
+
+  // Send conditional requests (ETag / Last-Modified from the last crawl of this
+  // start URL) and reuse the stored page when it answers 304 Not Modified
+  incremental: z
+    .boolean()
+    .optional(),
+
+  // Per-URL priority/changefreq rules; the first matching rule wins and
+  // fields it leaves unset fall back to autoPriority or the global values
+  urlRules: z
+    .array(UrlRuleSchema)
+    .max(50, 'urlRules must not have more than 50 rules')
+    .optional(),
+
+  // Derive priority from crawl depth or inbound internal link count
+  // (for URLs no rule gives a priority)
+  autoPriority: z
+    .enum(['none', 'depth', 'inlinks'])
+    .optional(),
+
+  // Crawl tuning: parallel fetches and minimum spacing between requests to one host
+  concurrency: z
+    .number()
+    .int('Concurrency must be a whole number')
+    .min(1, 'Concurrency must be >= 1')
+    .max(10, 'Concurrency must be <= 10')
+    .optional(),
+
+  delayMs: z
+    .number()
+    .int('delayMs must be a whole number')
+    .min(0, 'delayMs must be >= 0')
+    .max(10000, 'delayMs must be <= 10000')
+    .optional(),
+
+  // Crawl budgets: the crawl stops at whichever is hit first
+  maxPages: z
+    .number()
+    .int('maxPages must be a whole number')
+    .min(1, 'maxPages must be >= 1')
+    .max(CRAWL_LIMITS.maxPages, `maxPages must be <= ${CRAWL_LIMITS.maxPages}`)
+    .optional(),
+
+  maxDepth: z
+    .number()
+    .int('maxDepth must be a whole number')
+    .min(0, 'maxDepth must be >= 0')
+    .max(CRAWL_LIMITS.maxDepth, `maxDepth must be <= ${CRAWL_LIMITS.maxDepth}`)
+    .optional(),
+
+  timeBudgetSeconds: z
+    .number()
+    .positive('timeBudgetSeconds must be > 0')
+    .max(CRAWL_LIMITS.timeBudgetSeconds, `timeBudgetSeconds must be <= ${CRAWL_LIMITS.timeBudgetSeconds}`)
+    .optional(),
+
+  // Sitemap splitting: URLs per sitemap file (protocol maximum 50,000) and where
+  // the files will be hosted, used for the <loc> entries of the sitemap index
+  maxUrlsPerSitemap: z
+    .number()
+    .int('maxUrlsPerSitemap must be a whole number')
+    .min(1, 'maxUrlsPerSitemap must be >= 1')
+    .max(50000, 'maxUrlsPerSitemap must be <= 50000')
+    .optional(),
+
+  sitemapBaseUrl: z
+    .string()
+    .max(2048, 'sitemapBaseUrl must not exceed 2048 characters')
+    .url('Invalid sitemapBaseUrl format')
+    // Runs after a failed .url() too, so the value may not parse
+    .refine((url) => URL.canParse(url) && /^https?:$/.test(new URL(url).protocol), {
+      message: 'sitemapBaseUrl must use http or https',
+    })
+    .optional(),
+
+  // Also crawl the URLs listed in the site's existing sitemaps and report
+  // which URLs came from the sitemaps, from link-following, or both
+  seedFromSitemaps: z
+    .boolean()
+    .optional(),
+
+  // Redirect hops followed per URL (server default: CRAWL_MAX_REDIRECTS)
+  maxRedirects: z
+    .number()
+    .int('maxRedirects must be a whole number')
+    .min(0, 'maxRedirects must be >= 0')
+    .max(10, 'maxRedirects must be <= 10')
+    .optional(),
+
+  // Other hosts the crawler may follow redirects to (by default only the start URL's host)
+  allowedRedirectHosts: z
+    .array(
+      z
+        .string()
+        .regex(/^[a-z0-9.-]+$/i, 'allowedRedirectHosts must be hostnames such as "www.example.com"')
+        .max(253, 'allowedRedirectHosts entries must not exceed 253 characters')
+    )
+    .max(20, 'allowedRedirectHosts must not have more than 20 hosts')
+    .optional(),
+
+  // Crawl scope (see createCrawlScope in server.js): which URLs of the site are crawled
+  // Treat www.example.com and example.com as one site
+  ignoreWww: z
+    .boolean()
+    .optional(),
+
+  // Subdomains of the start URL's domain to crawl too, e.g. "blog.example.com"
+  allowedSubdomains: z
+    .array(
+      z
+        .string()
+        .regex(/^[a-z0-9.-]+$/i, 'allowedSubdomains must be hostnames such as "blog.example.com"')
+        .max(253, 'allowedSubdomains entries must not exceed 253 characters')
+    )
+    .max(20, 'allowedSubdomains must not have more than 20 hosts')
+    .optional(),
+
+  // Only crawl paths under this prefix, e.g. "/docs/"
+  pathPrefix: z
+    .string()
+    .startsWith('/', 'pathPrefix must start with "/"')
+    .max(200, 'pathPrefix must not exceed 200 characters')
+    .optional(),
+
+  // Crawl only URLs matching one of includePatterns (when given) and none of excludePatterns
+  includePatterns: z
+    .array(UrlPatternSchema)
+    .max(50, 'includePatterns must not have more than 50 patterns')
+    .optional(),
+
+  excludePatterns: z
+    .array(UrlPatternSchema)
+    .max(50, 'excludePatterns must not have more than 50 patterns')
+    .optional(),
+
+  // Query parameters removed from every URL before deduplication, on top of the
+  // built-in tracking parameters; a trailing * matches a prefix ("ref_*")
+  stripQueryParams: z
+    .array(
+      z
+        .string()
+        .regex(/^[\w.\-[\]]+\*?$/, 'stripQueryParams must be parameter names, optionally ending with *')
+        .max(100, 'stripQueryParams entries must not exceed 100 characters')
+    )
+    .max(50, 'stripQueryParams must not have more than 50 parameters')
+    .optional(),
+
+  // Don't follow rel="nofollow" links, nor any links on pages with a nofollow robots directive
+  skipNofollowLinks: z
+    .boolean()
+    .optional(),
+
+  // Output format of /api/generate-sitemap and /api/download-sitemap
+  // (otherwise negotiated from the Accept header)
+  format: z
+    .enum(['xml', 'txt', 'json', 'csv', 'rss', 'atom'])
+    .optional(),
+
+  // Bundle download options (/api/download-sitemap-bundle)
+  bundleFormat: z
+    .enum(['zip', 'tar.gz'])
+    .optional(),
+
+  gzipSitemaps: z
+    .boolean()
+    .optional(),
+}).strict() // .strict() rejects any unexpected fields
+  .superRefine((data, ctx) => {
+    // The issue goes on the list that takes the total past the cap
+    let patternLength = 0;
+    for (const field of ['urlRules', 'includePatterns', 'excludePatterns']) {
+      for (const { pattern } of data[field] || []) patternLength += pattern.length;
+      if (patternLength > MAX_TOTAL_PATTERN_LENGTH) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [field],
+          message: `urlRules, includePatterns and excludePatterns must not exceed ${MAX_TOTAL_PATTERN_LENGTH} pattern characters in total`,
+        });
+        break;
+      }
+    }
+
+    // allowedSubdomains can't widen the crawl to other sites
+    // (runs after field errors too, so the URL may be invalid here)
+    if (!data.allowedSubdomains || !URL.canParse(data.url)) return;
+    const domain = new URL(data.url).hostname.toLowerCase().replace(/^www\./, '');
+    for (const [index, host] of data.allowedSubdomains.entries()) {
+      if (!host.toLowerCase().endsWith(`.${domain}`)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['allowedSubdomains', index],
+          message: `must be a subdomain of ${domain}`,
+        });
+      }
+    }
+  });
 
 /**
  * Validates request body against schema
@@ -90,6 +403,225 @@ function validateSitemapRequest(body) {
   }
 }
 
+/**
+ * Validation schema for issuing an API key (POST /api/admin/keys)
+ * Limits left out use the server defaults (API_KEY_DEFAULT_*)
+ */
+const ApiKeyRequestSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'name is required')
+    .max(100, 'name must not exceed 100 characters'),
+
+  limits: z.object({
+    // Crawl requests per 15 minutes
+    requestsPer15Min: z
+      .number()
+      .int('requestsPer15Min must be a whole number')
+      .min(1, 'requestsPer15Min must be >= 1')
+      .max(10000, 'requestsPer15Min must be <= 10000')
+      .optional(),
+
+    // Pages crawled per UTC day
+    dailyPageQuota: z
+      .number()
+      .int('dailyPageQuota must be a whole number')
+      .min(1, 'dailyPageQuota must be >= 1')
+      .max(10000000, 'dailyPageQuota must be <= 10000000')
+      .optional(),
+
+    // Largest maxPages one crawl may use
+    maxPages: z
+      .number()
+      .int('maxPages must be a whole number')
+      .min(1, 'maxPages must be >= 1')
+      .max(CRAWL_LIMITS.maxPages, `maxPages must be <= ${CRAWL_LIMITS.maxPages}`)
+      .optional(),
+  }).strict().optional(),
+}).strict();
+
+/**
+ * Validates an API key request body
+ * Returns { valid: true, data } or { valid: false, error }
+ */
+function validateApiKeyRequest(body) {
+  const result = ApiKeyRequestSchema.safeParse(body);
+  if (result.success) return { valid: true, data: result.data };
+  const messages = result.error.errors
+    .map((e) => `${e.path.join('.')}: ${e.message}`)
+    .join('; ');
+  return { valid: false, error: messages };
+}
+
+/**
+ * Validation schema for creating a scheduled crawl (POST /api/schedules)
+ * `crawl` takes the same fields as /api/generate-sitemap
+ */
+const ScheduleRequestSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'name must not be empty')
+    .max(100, 'name must not exceed 100 characters')
+    .optional(),
+
+  // Five-field cron expression or macro (@daily, @weekly...), evaluated in UTC
+  cron: z
+    .string()
+    .max(100, 'cron must not exceed 100 characters')
+    .superRefine((value, ctx) => {
+      const problem = checkCronExpression(value);
+      if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+    }),
+
+  // Called with a signed JSON body when a run finishes or fails
+  webhookUrl: z
+    .string()
+    .max(2048, 'webhookUrl must not exceed 2048 characters')
+    .url('Invalid URL format')
+    .refine((url) => {
+      try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) && !isBlockedHostname(parsed.hostname);
+      } catch {
+        return false;
+      }
+    }, 'webhookUrl must be a public http(s) URL')
+    .optional(),
+
+  // HMAC key for the webhook signatures; generated when not given
+  webhookSecret: z
+    .string()
+    .min(16, 'webhookSecret must be at least 16 characters')
+    .max(200, 'webhookSecret must not exceed 200 characters')
+    .optional(),
+
+  crawl: SitemapRequestSchema,
+}).strict()
+  .refine((data) => !data.webhookSecret || data.webhookUrl, {
+    message: 'webhookSecret needs a webhookUrl',
+    path: ['webhookSecret'],
+  });
+
+/**
+ * Validates a scheduled crawl request body
+ * Returns { valid: true, data } or { valid: false, error }
+ */
+function validateScheduleRequest(body) {
+  const result = ScheduleRequestSchema.safeParse(body);
+  if (result.success) return { valid: true, data: result.data };
+  const messages = result.error.errors
+    .map((e) => `${e.path.join('.')}: ${e.message}`)
+    .join('; ');
+  return { valid: false, error: messages };
+}
+
+/**
+ * Validation schema for the options of POST /api/validate-sitemap
+ * `url` (where to fetch the sitemap) only comes in JSON bodies; with an XML body
+ * or upload, the options are query or form fields (see validateSitemapValidationFields)
+ */
+const SitemapValidationRequestSchema = z.object({
+  url: CrawlUrlSchema.optional(),
+
+  // Fetch a sample of the listed URLs and report the ones search engines would skip
+  checkUrls: z.boolean().optional(),
+
+  sampleSize: z
+    .number()
+    .int('sampleSize must be an integer')
+    .min(1, 'sampleSize must be at least 1')
+    .max(100, 'sampleSize must be <= 100')
+    .optional(),
+}).strict();
+
+/**
+ * Validates sitemap validation options sent as JSON
+ * Returns { valid: true, data } or { valid: false, error }
+ */
+function validateSitemapValidationRequest(body) {
+  const result = SitemapValidationRequestSchema.safeParse(body);
+  if (result.success) return { valid: true, data: result.data };
+  const messages = result.error.errors
+    .map((e) => `${e.path.join('.')}: ${e.message}`)
+    .join('; ');
+  return { valid: false, error: messages };
+}
+
+/**
+ * Same, for options sent as strings (query string or multipart form fields)
+ */
+function validateSitemapValidationFields(fields) {
+  const body = { ...sanitizeObject(fields || {}) };
+  if (body.checkUrls === 'true' || body.checkUrls === 'false') body.checkUrls = body.checkUrls === 'true';
+  if (typeof body.sampleSize === 'string' && body.sampleSize.trim() !== '' && !Number.isNaN(Number(body.sampleSize))) {
+    body.sampleSize = Number(body.sampleSize);
+  }
+  return validateSitemapValidationRequest(body);
+}
+
+// Query-string fields that need converting before schema validation
+const QUERY_BOOLEAN_FIELDS = [
+  'includeLastMod',
+  'includeDebug',
+  'gzipSitemaps',
+  'seedFromSitemaps',
+  'skipNofollowLinks',
+  'includeImages',
+  'includeVideos',
+  'includeHreflang',
+  'audit',
+  'forceRefresh',
+  'incremental',
+  'render',
+  'ignoreWww',
+];
+const QUERY_NUMBER_FIELDS = [
+  'priority',
+  'concurrency',
+  'delayMs',
+  'maxPages',
+  'maxDepth',
+  'timeBudgetSeconds',
+  'maxUrlsPerSitemap',
+  'maxRedirects',
+];
+// Structured fields are sent as JSON text
+const QUERY_JSON_FIELDS = [
+  'urlRules',
+  'allowedRedirectHosts',
+  'allowedSubdomains',
+  'includePatterns',
+  'excludePatterns',
+  'stripQueryParams',
+];
+
+/**
+ * Validates query-string parameters against the same schema as the JSON body
+ * Used by GET endpoints (e.g. EventSource streams) where every value is a string,
+ * so booleans, numbers and JSON fields are converted first
+ */
+function validateSitemapQuery(query) {
+  const body = {};
+  for (const [key, value] of Object.entries(sanitizeObject(query || {}))) {
+    if (typeof value === 'string' && QUERY_BOOLEAN_FIELDS.includes(key)) {
+      body[key] = value === 'true' ? true : value === 'false' ? false : value;
+    } else if (typeof value === 'string' && QUERY_NUMBER_FIELDS.includes(key) && value.trim() !== '') {
+      body[key] = Number.isNaN(Number(value)) ? value : Number(value);
+    } else if (typeof value === 'string' && QUERY_JSON_FIELDS.includes(key)) {
+      try {
+        body[key] = JSON.parse(value);
+      } catch {
+        body[key] = value; // left as a string so the schema reports it
+      }
+    } else {
+      body[key] = value;
+    }
+  }
+  return validateSitemapRequest(body);
+}
+
 // ========================================
 // SECTION 2: RATE LIMITING
 // ========================================
@@ -104,6 +636,9 @@ function validateSitemapRequest(body) {
  * - Returns 429 with Retry-After header for graceful backoff
  */
 const globalRateLimiter = rateLimit({
+  // Counters live in the shared store (STORE_BACKEND), so they survive restarts
+  // and add up across instances with the file or redis backends
+  store: createRateLimitStore(getSharedStore(), 'rate-limit:global:'),
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // max 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
@@ -128,6 +663,7 @@ const globalRateLimiter = rateLimit({
  * - More conservative due to backend cost
  */
 const sitemapRateLimiter = rateLimit({
+  store: createRateLimitStore(getSharedStore(), 'rate-limit:sitemap:'),
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 20, // max 20 requests per windowMs per IP
   message: 'Too many sitemap generation requests, please try again later.',
@@ -148,6 +684,35 @@ const sitemapRateLimiter = rateLimit({
   },
 });
 
+/**
+ * Rate limit for requests made with an API key (see api-keys.js):
+ * - counted per key instead of per IP
+ * - the key's own requestsPer15Min
+ */
+const apiKeyRateLimiter = rateLimit({
+  store: createRateLimitStore(getSharedStore(), 'rate-limit:api-key:'),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: (req) => req.apiKey.limits.requestsPer15Min,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Rate limit exceeded for this API key',
+      retryAfter: req.rateLimit?.resetTime,
+    });
+  },
+});
+
+/**
+ * Rate limit for crawl endpoints: per key when the request has one
+ * (req.apiKey, set by the API key middleware), otherwise per IP
+ */
+function crawlRateLimiter(req, res, next) {
+  const limiter = req.apiKey ? apiKeyRateLimiter : sitemapRateLimiter;
+  return limiter(req, res, next);
+}
+
 // ========================================
 // SECTION 3: SECURITY HEADERS
 // ========================================
@@ -278,11 +843,18 @@ function sanitizeRequestBody(req, res, next) {
 module.exports = {
   // Validation
   validateSitemapRequest,
+  validateSitemapQuery,
   SitemapRequestSchema,
+  validateApiKeyRequest,
+  validateScheduleRequest,
+  validateSitemapValidationRequest,
+  validateSitemapValidationFields,
+  CRAWL_LIMITS,
 
   // Rate limiting
   globalRateLimiter,
   sitemapRateLimiter,
+  crawlRateLimiter,
 
   // Security headers
   helmetMiddleware,
@@ -20,14 +20,58 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const cors = require('cors');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const multer = require('multer');
 const {
   globalRateLimiter,
-  sitemapRateLimiter,
+  crawlRateLimiter,
   helmetMiddleware,
   sanitizeRequestBody,
   validateSitemapRequest,
+  validateSitemapQuery,
+  validateApiKeyRequest,
+  validateScheduleRequest,
+  validateSitemapValidationRequest,
+  validateSitemapValidationFields,
   createSecureErrorResponse,
+  CRAWL_LIMITS,
 } = require('./security');
+const {
+  JOB_STATES,
+  JobQueueFullError,
+  createJobManager,
+  toPublicJob,
+} = require('./jobs');
+const { ROBOTS_PRODUCT_TOKEN, fetchRobots, isPathAllowed } = require('./robots');
+const { readExistingSitemaps, openSitemapDownload } = require('./sitemap-reader');
+const { DEFAULT_SAMPLE_SIZE, validateSitemap, checkListedUrls } = require('./sitemap-validator');
+const { OUTPUT_FORMATS, escapeXml, renderUrlList, negotiateFormat } = require('./output-formats');
+const { extractPageDetails, recordReferrer, buildAuditReport } = require('./audit');
+const { SsrfError, GUARDED_AXIOS_CONFIG, assertPublicUrl } = require('./ssrf-guard');
+const { getSharedStore } = require('./store');
+const { crawlCacheKey, createCrawlCache } = require('./crawl-cache');
+const { isRenderingAvailable, renderPage, closeRenderer } = require('./renderer');
+const { createCrawlFrontier, createSeenSet } = require('./crawl-frontier');
+const { compileWildcard } = require('./wildcard');
+const {
+  createApiKeyStore,
+  toPublicKey,
+  createApiKeyAuth,
+  requireAdminToken,
+} = require('./api-keys');
+const {
+  RUN_STATES,
+  ScheduleRunError,
+  createScheduler,
+  toPublicSchedule,
+  toPublicRun,
+} = require('./schedules');
 
 // -----------------------------
 // Server setup
@@ -76,7 +120,7 @@ app.use(cors({
 
     return callback(new Error('CORS policy: origin not allowed'));
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -104,10 +148,11 @@ app.use(sanitizeRequestBody);
 // Normalize URLs for deduplication: remove trailing slash and hash
 // Normalize URLs for deduplication:
 // - remove fragment
-// - remove common tracking parameters (utm_*, fbclid, gclid)
+// - remove common tracking parameters (utm_*, fbclid, gclid) and any listed in
+//   stripParams (names; a trailing * matches a prefix)
 // - sort remaining query params for consistent ordering
 // - remove default ports and trailing slashes
-function normalizeUrl(u) {
+function normalizeUrl(u, stripParams = []) {
   try {
     const urlObj = new URL(u);
     urlObj.hash = ''; // drop fragment
@@ -123,7 +168,8 @@ function normalizeUrl(u) {
 
     // remove tracking query params
     const trackingKeys = ['fbclid', 'gclid', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
-    const params = Array.from(urlObj.searchParams.entries()).filter(([k]) => !trackingKeys.includes(k));
+    const isStripped = (k) => stripParams.some((p) => (p.endsWith('*') ? k.startsWith(p.slice(0, -1)) : k === p));
+    const params = Array.from(urlObj.searchParams.entries()).filter(([k]) => !trackingKeys.includes(k) && !isStripped(k));
 
     // sort params for consistency
     params.sort((a, b) => a[0].localeCompare(b[0]));
@@ -140,14 +186,46 @@ function normalizeUrl(u) {
   }
 }
 
-// Check if a link is internal to the start host
-function isInternalLink(link, startHost) {
-  try {
-    const u = new URL(link);
-    return u.hostname === startHost;
-  } catch (err) {
-    return false;
+// Crawl scope of a start URL: which URLs belong to the crawled site
+// - Hosts: the start URL's host, its www/apex twin with ignoreWww, and allowedSubdomains
+// - Paths: under pathPrefix (if set), matching includePatterns (if any) and no excludePatterns
+//   (patterns are urlRules-style { pattern } globs, see compileUrlRules)
+// check(url) returns null for in-scope URLs, 'external' for other sites, or why a URL
+// of the site is out of scope: 'subdomain', 'path-prefix', 'excluded' or 'not-included'
+function createCrawlScope(startUrl, options = {}) {
+  const { ignoreWww = false, allowedSubdomains = [], pathPrefix, includePatterns = [], excludePatterns = [] } = options;
+  const startHost = new URL(startUrl).hostname.toLowerCase();
+  const siteDomain = startHost.replace(/^www\./, '');
+  const extraHosts = allowedSubdomains.map((host) => host.toLowerCase());
+  const prefix = pathPrefix ? pathPrefix.replace(/\/+$/, '') : '';
+  const includes = compileUrlRules(includePatterns);
+  const excludes = compileUrlRules(excludePatterns);
+
+  // Hosts whose pages are crawled
+  function isSiteHost(hostname) {
+    const host = hostname.toLowerCase();
+    if (host === startHost || extraHosts.includes(host)) return true;
+    return ignoreWww && host.replace(/^www\./, '') === siteDomain;
+  }
+
+  function check(url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch (err) {
+      return 'external';
+    }
+    if (!isSiteHost(u.hostname)) {
+      const host = u.hostname.toLowerCase();
+      return host === siteDomain || host.endsWith(`.${siteDomain}`) ? 'subdomain' : 'external';
+    }
+    if (prefix && u.pathname !== prefix && !u.pathname.startsWith(`${prefix}/`)) return 'path-prefix';
+    if (excludes.some((rule) => rule.test(u))) return 'excluded';
+    if (includes.length > 0 && !includes.some((rule) => rule.test(u))) return 'not-included';
+    return null;
   }
+
+  return { isSiteHost, check };
 }
 
 // Clean up and resolve relative/href links against a base
@@ -175,337 +253,2673 @@ function isSkippableResource(url) {
 }
 
 // -----------------------------
-// robots.txt fetching & parsing (very small, forgiving parser)
-// We fetch /robots.txt and extract Disallow rules for our user-agent or '*'
+// Page metadata: last-modified dates
 // -----------------------------
-async function fetchRobots(baseUrl) {
-  try {
-    const robotsUrl = new URL('/robots.txt', baseUrl).toString();
-    const resp = await axios.get(robotsUrl, { timeout: 3000 });
-    const text = String(resp.data || '');
-    const lines = text.split(/\r?\n/).map(l => l.trim());
-
-    const agents = {};
-    let currentAgents = [];
-    for (const line of lines) {
-      if (!line || line.startsWith('#')) continue;
-      const [rawKey, ...rest] = line.split(':');
-      if (!rawKey || rest.length === 0) continue;
-      const key = rawKey.trim().toLowerCase();
-      const value = rest.join(':').trim();
-      if (key === 'user-agent') {
-        currentAgents = [value.toLowerCase()];
-        if (!agents[currentAgents[0]]) agents[currentAgents[0]] = [];
-      } else if (key === 'disallow') {
-        if (currentAgents.length === 0) {
-          // no agent specified yet, apply to *
-          agents['*'] = agents['*'] || [];
-          agents['*'].push(value);
-        } else {
-          for (const a of currentAgents) {
-            agents[a] = agents[a] || [];
-            agents[a].push(value);
-          }
-        }
-      }
+
+// Convert a date string to a W3C datetime for <lastmod>
+// Date-only values stay date-only; others become UTC `YYYY-MM-DDThh:mm:ssZ`.
+// Returns null for unparseable dates and dates in the future.
+function toW3cDatetime(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const time = Date.parse(trimmed);
+  if (Number.isNaN(time) || time > Date.now() + 24 * 60 * 60 * 1000) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Parsed JSON-LD objects of a page, with @graph members flattened in
+function readJsonLd($) {
+  const items = [];
+  const collect = (node) => {
+    if (Array.isArray(node)) return node.forEach(collect);
+    if (!node || typeof node !== 'object') return;
+    items.push(node);
+    if (node['@graph']) collect(node['@graph']);
+  };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      collect(JSON.parse($(el).contents().text()));
+    } catch (err) {
+      // ignore malformed JSON-LD blocks
     }
+  });
+  return items;
+}
 
-    // prefer specific agent 'sitemap-generator' then '*' rules
-    const result = {
-      disallow: new Set(),
-    };
-    const agentKeys = Object.keys(agents).map(k => k.toLowerCase());
-    if (agentKeys.includes('sitemap-generator')) {
-      agents['sitemap-generator'].forEach(p => result.disallow.add(p));
+// Best available last-modified date for a page, most specific signal first:
+// JSON-LD dateModified, article:modified_time / og:updated_time meta tags,
+// then the Last-Modified response header
+// Returns { lastmod, source } or { lastmod: null, source: null }
+function extractLastModified($, headers = {}) {
+  for (const item of readJsonLd($)) {
+    const lastmod = toW3cDatetime(item.dateModified);
+    if (lastmod) return { lastmod, source: 'json-ld' };
+  }
+
+  const metaSelectors = ['meta[property="article:modified_time"]', 'meta[property="og:updated_time"]'];
+  for (const selector of metaSelectors) {
+    const lastmod = toW3cDatetime($(selector).attr('content'));
+    if (lastmod) return { lastmod, source: 'meta' };
+  }
+
+  const lastmod = toW3cDatetime(headers['last-modified']);
+  if (lastmod) return { lastmod, source: 'http-header' };
+
+  return { lastmod: null, source: null };
+}
+
+// -----------------------------
+// Page metadata: indexing directives and canonical URLs
+// -----------------------------
+
+// Robots directives that take a value ("max-snippet: 20"), as opposed to a user-agent prefix
+const VALUED_ROBOTS_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+// Directives of an X-Robots-Tag header that apply to us
+// "googlebot: noindex" applies only to that crawler; unprefixed directives apply to all
+function parseXRobotsTag(value) {
+  const directives = [];
+  let agent = null;
+  for (const part of String(value || '').toLowerCase().split(',')) {
+    let directive = part.trim();
+    const prefixed = directive.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+    if (prefixed && !VALUED_ROBOTS_DIRECTIVES.includes(prefixed[1])) {
+      agent = prefixed[1];
+      directive = prefixed[2];
     }
-    if (agentKeys.includes('*')) {
-      agents['*'].forEach(p => result.disallow.add(p));
+    if (directive && (!agent || agent === ROBOTS_PRODUCT_TOKEN)) directives.push(directive);
+  }
+  return directives;
+}
+
+// Whether the page asks not to be indexed and/or its links not to be followed,
+// from <meta name="robots"> (or our product token) and the X-Robots-Tag header
+// Returns { noindex, nofollow, source } where source is 'meta', 'header' or null
+function readRobotsDirectives($, headers = {}) {
+  const result = { noindex: false, nofollow: false, source: null };
+  const apply = (directives, source) => {
+    for (const directive of directives) {
+      const noindex = directive === 'noindex' || directive === 'none';
+      const nofollow = directive === 'nofollow' || directive === 'none';
+      if (noindex && !result.noindex) result.source = source;
+      result.noindex = result.noindex || noindex;
+      result.nofollow = result.nofollow || nofollow;
     }
+  };
 
-    return result;
+  $('meta[name][content]').each((_, el) => {
+    const name = ($(el).attr('name') || '').trim().toLowerCase();
+    if (name !== 'robots' && name !== ROBOTS_PRODUCT_TOKEN) return;
+    apply(($(el).attr('content') || '').toLowerCase().split(',').map((d) => d.trim()), 'meta');
+  });
+
+  const header = headers['x-robots-tag'];
+  apply(parseXRobotsTag(Array.isArray(header) ? header.join(',') : header), 'header');
+
+  return result;
+}
+
+// Absolute URL from the page's <link rel="canonical">, or null when it has none
+function findCanonicalUrl($, pageUrl) {
+  const href = $('link[rel~="canonical"][href]').first().attr('href');
+  return href ? resolveLink(href, pageUrl) : null;
+}
+
+// Whether an <a> carries rel="nofollow" (rel may list several tokens)
+function isNofollowLink($el) {
+  return ($el.attr('rel') || '').toLowerCase().split(/\s+/).includes('nofollow');
+}
+
+// -----------------------------
+// Page metadata: images and videos (for image/video sitemap extensions)
+// -----------------------------
+
+// Per-page caps: Google reads at most 1,000 images per <url>
+const MAX_IMAGES_PER_PAGE = 1000;
+const MAX_VIDEOS_PER_PAGE = 100;
+
+// Google's limit for <video:description>
+const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+
+// Absolute http(s) URL for a media reference, or null (data: URIs, invalid values)
+function resolveMediaUrl(value, pageUrl) {
+  if (!value) return null;
+  try {
+    const u = new URL(value.trim(), pageUrl);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.toString() : null;
   } catch (err) {
-    return { disallow: new Set() };
+    return null;
   }
 }
 
-function isPathAllowed(path, robots) {
-  if (!robots || !robots.disallow) return true;
-  for (const pattern of robots.disallow) {
-    if (!pattern) continue;
-    // robots.txt disallow paths are simple prefixes
-    if (path.startsWith(pattern)) return false;
+// Largest candidate of a srcset ("a.jpg 480w, b.jpg 1080w" -> "b.jpg")
+function pickSrcsetCandidate(srcset) {
+  let best = null;
+  for (const candidate of String(srcset || '').split(/,\s+/)) {
+    const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 0;
+    if (url && (!best || size > best.size)) best = { url, size };
   }
-  return true;
+  return best ? best.url : null;
 }
 
-// -----------------------------
-// Crawler function
-// - Crawls internal links only
-// - Respects maxPages limit
-// - 5 second timeout per request
-// - Avoids duplicates
-// -----------------------------
-async function crawlWebsite(startUrl, maxPages = 50, options = {}) {
-  const start = Date.now();
-  const visited = new Set(); // normalized URLs that we include in sitemap
-  const discovered = new Set(); // normalized URLs discovered
-  const queue = [];
-  const debug = [];
-  const { includeDebug = false } = options;
+// Image URLs of a page: <img> src/srcset, <picture> sources and og:image, in page order
+function extractImages($, pageUrl) {
+  const images = new Set();
+  const add = (value) => {
+    const url = resolveMediaUrl(value, pageUrl);
+    if (url && images.size < MAX_IMAGES_PER_PAGE) images.add(url);
+  };
 
-  const startHost = new URL(startUrl).hostname;
+  $('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]')
+    .each((_, el) => add($(el).attr('content')));
+  $('img, picture source').each((_, el) => {
+    const $el = $(el);
+    if ($el.attr('srcset')) add(pickSrcsetCandidate($el.attr('srcset')));
+    if ($el.attr('src')) add($el.attr('src'));
+  });
 
-  queue.push(startUrl);
-  const nStart = normalizeUrl(startUrl);
-  if (nStart) discovered.add(nStart);
+  return Array.from(images, (loc) => ({ loc }));
+}
 
-  const axiosInstance = axios.create({ timeout: 5000, headers: { 'User-Agent': 'Sitemap-Generator/1.0 (+https://example.com)' } });
+// Videos of a page from <video> elements and og:video tags
+// Returns [{ thumbnailLoc, title, description, contentLoc?, playerLoc? }]; videos
+// without a thumbnail are dropped, since Google requires one
+function extractVideos($, pageUrl) {
+  const pageTitle = $('title').first().text().trim();
+  const pageDescription = ($('meta[name="description"]').attr('content') || '').trim();
+  const ogImage = resolveMediaUrl($('meta[property="og:image"]').attr('content'), pageUrl);
+  const videos = [];
+  const seen = new Set();
+
+  const add = (video) => {
+    const key = video.contentLoc || video.playerLoc;
+    if (!key || !video.thumbnailLoc || seen.has(key) || videos.length >= MAX_VIDEOS_PER_PAGE) return;
+    seen.add(key);
+    const title = video.title || pageTitle;
+    if (!title) return;
+    videos.push({
+      ...video,
+      title,
+      description: (video.description || pageDescription || title).slice(0, MAX_VIDEO_DESCRIPTION_LENGTH),
+    });
+  };
 
-  // robots.txt rules for the start site
-  const robots = await fetchRobots(startUrl).catch(() => ({ disallow: new Set() }));
+  $('video').each((_, el) => {
+    const $el = $(el);
+    add({
+      contentLoc: resolveMediaUrl($el.attr('src') || $el.find('source[src]').first().attr('src'), pageUrl),
+      thumbnailLoc: resolveMediaUrl($el.attr('poster'), pageUrl) || ogImage,
+      title: ($el.attr('title') || $el.attr('aria-label') || '').trim(),
+    });
+  });
 
-  // content hash map to detect duplicate pages (hash -> canonicalUrl)
-  const contentHashes = new Map();
+  // og:video may be the file itself or an embeddable player page
+  $('meta[property="og:video"], meta[property="og:video:url"], meta[property="og:video:secure_url"]').each((_, el) => {
+    const url = resolveMediaUrl($(el).attr('content'), pageUrl);
+    const type = ($('meta[property="og:video:type"]').attr('content') || '').toLowerCase();
+    const isPlayer = type === 'text/html' || type === 'application/x-shockwave-flash';
+    add({
+      [isPlayer ? 'playerLoc' : 'contentLoc']: url,
+      thumbnailLoc: ogImage,
+      title: ($('meta[property="og:title"]').attr('content') || '').trim(),
+      description: ($('meta[property="og:description"]').attr('content') || '').trim(),
+    });
+  });
 
-  while (queue.length > 0 && visited.size < maxPages) {
-    const current = queue.shift();
-    const normalizedCurrent = normalizeUrl(current);
-    if (!normalizedCurrent) continue;
-    if (visited.has(normalizedCurrent)) continue;
+  return videos;
+}
 
-    // Skip resources (images, pdfs, zips, etc.)
-    if (isSkippableResource(current)) {
-      discovered.add(normalizedCurrent);
-      if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'skipped-resource' });
-      continue;
-    }
+// -----------------------------
+// Page metadata: hreflang alternates
+// -----------------------------
 
-    // Respect robots.txt
-    try {
-      const u = new URL(current);
-      if (!isPathAllowed(u.pathname, robots)) {
-        discovered.add(normalizedCurrent);
-        if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'disallowed-by-robots', path: u.pathname });
-        continue;
-      }
-    } catch (err) {
-      discovered.add(normalizedCurrent);
-      if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'invalid-url' });
-      continue;
+// Language (and optional region/script) codes, or x-default
+const HREFLANG_PATTERN = /^([a-z]{2,3}(-[a-z0-9]{2,8})*|x-default)$/i;
+
+// <link rel="alternate" hreflang="…"> entries of a page as [{ hreflang, href }]
+// (lowercased codes, normalized absolute URLs; invalid codes are ignored)
+function extractHreflangLinks($, pageUrl) {
+  const alternates = [];
+  $('link[rel~="alternate"][hreflang][href]').each((_, el) => {
+    const hreflang = ($(el).attr('hreflang') || '').trim().toLowerCase();
+    const href = normalizeUrl(resolveLink($(el).attr('href'), pageUrl));
+    if (HREFLANG_PATTERN.test(hreflang) && href) alternates.push({ hreflang, href });
+  });
+  return alternates;
+}
+
+// What keeps a hreflang target from being a valid alternate, from what is known of it
+// ({ status, location?, noindex?, robotsBlocked?, unreachable? }): 'non-200',
+// 'redirected', 'noindex', 'robots-blocked', 'unverified' (couldn't be fetched) or null
+function hreflangTargetProblem(target) {
+  if (!target || target.unreachable) return 'unverified';
+  if (target.robotsBlocked) return 'robots-blocked';
+  if (target.location) return 'redirected';
+  if (target.status < 200 || target.status >= 300) return 'non-200';
+  if (target.noindex) return 'noindex';
+  return null;
+}
+
+// Alternates declared by listed pages that nothing is known of yet (other sites,
+// or pages a crawl limit kept the crawler from fetching)
+function uncheckedHreflangTargets(listedPages, declarations, targets) {
+  const unchecked = new Set();
+  for (const page of listedPages) {
+    for (const { href } of declarations.get(page.loc) || []) {
+      if (href !== page.loc && !targets.has(href)) unchecked.add(href);
     }
+  }
+  return Array.from(unchecked);
+}
 
-    try {
-      if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'fetching' });
-      const resp = await axiosInstance.get(current);
-      if (resp.status < 200 || resp.status >= 300) {
-        discovered.add(normalizedCurrent);
-        if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'non-2xx-status', status: resp.status });
+// Builds hreflang clusters (pages joined by their declarations) and checks them
+// - declarations: normalized URL -> [{ hreflang, href }] for every fetched page
+// - targets: normalized URL -> what its fetch found (see hreflangTargetProblem);
+//   targets missing from it are reported as unverified
+// Returns {
+//   alternates: URL of a listed page -> every usable member of its cluster,
+//   warnings: missing return links, problem targets and conflicting codes
+// }
+function analyzeHreflang(listedPages, declarations, targets) {
+  const warnings = [];
+
+  // Each alternate a listed page declares must be a working page that declares it back
+  for (const page of listedPages) {
+    for (const { hreflang, href } of declarations.get(page.loc) || []) {
+      if (href === page.loc) continue;
+      const target = targets.get(href);
+      const problem = hreflangTargetProblem(target);
+      if (problem) {
+        const warning = { type: `hreflang-target-${problem}`, url: page.loc, hreflang, target: href };
+        if (problem === 'non-200' || problem === 'redirected') warning.status = target.status;
+        if (problem === 'redirected') warning.location = target.location;
+        warnings.push(warning);
         continue;
       }
+      const returnLinks = declarations.get(href);
+      if (returnLinks && !returnLinks.some((alternate) => alternate.href === page.loc)) {
+        warnings.push({ type: 'hreflang-missing-return-link', url: page.loc, hreflang, target: href });
+      }
+    }
+  }
 
-      const html = resp.data || '';
+  // Union-find over declaring pages and their targets
+  const parent = new Map();
+  const find = (url) => {
+    if (!parent.has(url)) parent.set(url, url);
+    while (parent.get(url) !== url) {
+      parent.set(url, parent.get(parent.get(url)));
+      url = parent.get(url);
+    }
+    return url;
+  };
+  for (const [url, alternates] of declarations) {
+    for (const { href } of alternates) parent.set(find(url), find(href));
+  }
 
-      // Compute content hash to detect duplicates
-      const hash = crypto.createHash('sha256').update(String(html)).digest('hex');
-      if (contentHashes.has(hash)) {
-        // duplicate page detected - do not add to visited sitemap
-        discovered.add(normalizedCurrent);
-        if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'duplicate-content', canonical: contentHashes.get(hash) });
-        continue;
+  // Cluster members by code; the first declaration of a code wins
+  const clusters = new Map(); // root URL -> Map(hreflang -> href)
+  const conflicts = new Set(); // "hreflang href" pairs already reported
+  for (const alternates of declarations.values()) {
+    for (const { hreflang, href } of alternates) {
+      const root = find(href);
+      if (!clusters.has(root)) clusters.set(root, new Map());
+      const members = clusters.get(root);
+      if (!members.has(hreflang)) {
+        members.set(hreflang, href);
+      } else if (members.get(hreflang) !== href && !conflicts.has(`${hreflang} ${href}`)) {
+        conflicts.add(`${hreflang} ${href}`);
+        warnings.push({ type: 'hreflang-conflict', hreflang, target: href, expected: members.get(hreflang) });
       }
-      contentHashes.set(hash, normalizedCurrent);
-
-      if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'fetched', contentHash: hash.slice(0, 8) });
-
-      const $ = cheerio.load(html);
-
-      // Extract <a> links and resolve/normalize them
-      $('a[href]').each((_, el) => {
-        const href = $(el).attr('href');
-        const resolved = resolveLink(href, current);
-        if (!resolved) return;
-        // Only internal links
-        if (!isInternalLink(resolved, startHost)) return;
-        // Skip media/resource file types
-        if (isSkippableResource(resolved)) return;
-        const n = normalizeUrl(resolved);
-        if (!n) return;
-        if (!discovered.has(n)) {
-          discovered.add(n);
-          queue.push(resolved);
-          if (includeDebug) debug.push({ url: resolved, normalized: n, discoveredFrom: normalizedCurrent, action: 'discovered' });
-        }
-      });
+    }
+  }
 
-      visited.add(normalizedCurrent);
-    } catch (err) {
-      // Handle timeouts and other errors by marking as discovered and continuing
-      discovered.add(normalizedCurrent);
-      if (includeDebug) debug.push({ url: current, normalized: normalizedCurrent, action: 'fetch-error', message: err.message });
-      continue;
+  const alternates = new Map();
+  for (const page of listedPages) {
+    if (!parent.has(page.loc)) continue;
+    const members = clusters.get(find(page.loc));
+    if (!members) continue;
+    // Targets that couldn't be checked stay; known problem targets are left out
+    const working = [];
+    for (const [hreflang, href] of members) {
+      const problem = hreflangTargetProblem(targets.get(href));
+      if (!problem || problem === 'unverified') working.push({ hreflang, href });
     }
+    if (working.length > 0) alternates.set(page.loc, working);
   }
 
-  const end = Date.now();
-  const crawlTimeSeconds = Math.round((end - start) / 1000 * 100) / 100; // two decimals
+  return { alternates, warnings };
+}
+
+// -----------------------------
+// Page metadata: news articles (for Google News sitemaps)
+// -----------------------------
 
-  // Return arrays (convert sets to arrays), and stats
-  const result = {
-    discovered: Array.from(discovered).filter(Boolean),
-    visited: Array.from(visited).filter(Boolean),
-    stats: {
-      urlsDiscovered: discovered.size,
-      urlsInSitemap: visited.size,
-      crawlTimeSeconds,
-    },
+const NEWS_ARTICLE_TYPES = ['NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle'];
+
+// Google News language code from a locale: "en_US" -> "en", but Chinese keeps
+// its script region ("zh-TW" -> "zh-tw")
+function toNewsLanguage(value) {
+  const parts = String(value || '').trim().toLowerCase().replace('_', '-').split('-');
+  if (!/^[a-z]{2,3}$/.test(parts[0])) return null;
+  if (parts[0] === 'zh' && (parts[1] === 'cn' || parts[1] === 'tw')) return `zh-${parts[1]}`;
+  return parts[0];
+}
+
+// Article details of a page from JSON-LD NewsArticle/Article markup, falling back
+// to Open Graph article tags: { title, publishedAt, publicationName, language }
+// Returns null for pages that aren't articles or have no usable publication date
+function extractNewsArticle($) {
+  const article = readJsonLd($).find((item) => {
+    const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+    return types.some((type) => NEWS_ARTICLE_TYPES.includes(type));
+  }) || {};
+
+  const meta = (property) => ($(`meta[property="${property}"]`).attr('content') || '').trim();
+  const publisher = Array.isArray(article.publisher) ? article.publisher[0] : article.publisher;
+
+  const publishedAt = toW3cDatetime(article.datePublished) || toW3cDatetime(meta('article:published_time'));
+  if (!publishedAt) return null;
+
+  return {
+    title: String(article.headline || meta('og:title') || $('title').first().text()).trim() || null,
+    publishedAt,
+    publicationName: String((publisher && publisher.name) || meta('og:site_name')).trim() || null,
+    language: toNewsLanguage(article.inLanguage) || toNewsLanguage(meta('og:locale')) || toNewsLanguage($('html').attr('lang')),
   };
-  if (includeDebug) result.debug = debug;
-  return result;
 }
 
 // -----------------------------
-// Sitemap XML generator
-// - Takes array of URLs and options
-// - Produces a sitemap XML string
+// Page snapshots: everything the crawler needs from a page's HTML
 // -----------------------------
-function generateSitemapXML(urls, options = {}) {
-  // options: changeFreq (string), priority (number), includeLastMod (bool)
-  const { changeFreq = 'weekly', priority = 0.5, includeLastMod = false } = options;
 
-  const lastmod = includeLastMod ? new Date().toISOString().split('T')[0] : null; // YYYY-MM-DD
+// Optional extractions a snapshot may carry, by crawl option
+// ('render': taken from the rendered DOM rather than the static HTML)
+const SNAPSHOT_EXTRACTIONS = ['includeImages', 'includeVideos', 'includeNews', 'includeHreflang', 'audit', 'render'];
+
+/**
+ * Parses a fetched page once into plain data (JSON-serializable, so incremental
+ * crawls can store it and replay it when the page answers 304 Not Modified)
+ * Optional parts are only extracted when their crawl option (`extract`) is on,
+ * and `extracted` lists which ones were
+ */
+function readPageSnapshot(html, headers, pageUrl, extract = {}) {
+  const $ = cheerio.load(html);
+  const { lastmod, source: lastmodSource } = extractLastModified($, headers);
+  const snapshot = {
+    contentHash: crypto.createHash('sha256').update(String(html)).digest('hex'),
+    directives: readRobotsDirectives($, headers),
+    canonical: findCanonicalUrl($, pageUrl),
+    title: $('title').first().text().trim() || null,
+    lastmod,
+    lastmodSource,
+    // Every resolvable <a href>, in document order
+    links: $('a[href]').toArray()
+      .map((el) => ({ url: resolveLink($(el).attr('href'), pageUrl), nofollow: isNofollowLink($(el)) }))
+      .filter((link) => link.url),
+    extracted: SNAPSHOT_EXTRACTIONS.filter((option) => extract[option]),
+  };
+  if (extract.includeImages) snapshot.images = extractImages($, pageUrl);
+  if (extract.includeVideos) snapshot.videos = extractVideos($, pageUrl);
+  if (extract.includeNews) snapshot.news = extractNewsArticle($);
+  if (extract.includeHreflang) snapshot.hreflang = extractHreflangLinks($, pageUrl);
+  if (extract.audit) snapshot.details = extractPageDetails($);
+  return snapshot;
+}
 
-  const urlEntries = urls.map((loc) => {
-    let entry = '  <url>\n';
-    entry += `    <loc>${escapeXml(loc)}</loc>\n`;
-    if (includeLastMod && lastmod) entry += `    <lastmod>${lastmod}</lastmod>\n`;
-    if (changeFreq) entry += `    <changefreq>${changeFreq}</changefreq>\n`;
-    if (typeof priority === 'number') entry += `    <priority>${priority}</priority>\n`;
-    entry += '  </url>';
-    return entry;
-  });
+// True if a stored snapshot has every extraction the crawl options ask for
+function snapshotCovers(snapshot, extract = {}) {
+  return SNAPSHOT_EXTRACTIONS.every((option) => !extract[option] || snapshot.extracted.includes(option));
+}
 
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
-    urlEntries.join('\n') +
-    `\n</urlset>`;
+// -----------------------------
+// Politeness: per-host request spacing and 429/503 backoff
+// -----------------------------
 
-  return xml;
+// Sent with every crawler request; robots.txt groups match its product token
+const CRAWLER_USER_AGENT = 'Sitemap-Generator/1.0 (+https://example.com)';
+
+// Pages crawled when the request doesn't set maxPages
+const DEFAULT_MAX_PAGES = Math.min(50, CRAWL_LIMITS.maxPages);
+// Fetches a crawl may make per maxPages: noindex, non-canonical and duplicate pages
+// are fetched without being listed, so maxPages alone doesn't bound the fetches
+const CRAWL_FETCHES_PER_PAGE = Number(process.env.CRAWL_FETCHES_PER_PAGE) || 3;
+
+// Defaults for crawl concurrency and spacing (per-request options override them)
+const CRAWL_CONCURRENCY = Number(process.env.CRAWL_CONCURRENCY) || 4;
+const CRAWL_DELAY_MS = Number(process.env.CRAWL_DELAY_MS) || 0;
+// Upper bound for robots.txt Crawl-delay so one site can't stall a crawl for minutes
+const MAX_CRAWL_DELAY_MS = Number(process.env.MAX_CRAWL_DELAY_MS) || 10000;
+// Retry-After values above this give up on the URL instead of waiting
+const MAX_RETRY_AFTER_MS = 30000;
+const MAX_FETCH_RETRIES = 2;
+// Redirect hops followed per URL when the request doesn't set maxRedirects
+const CRAWL_MAX_REDIRECTS = Number(process.env.CRAWL_MAX_REDIRECTS) || 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// hreflang alternates checked after a crawl that didn't fetch them
+const HREFLANG_CHECK_LIMIT = Number(process.env.HREFLANG_CHECK_LIMIT) || 50;
+// Largest response body read per fetch; bigger pages are skipped (trace action 'too-large')
+const CRAWL_MAX_PAGE_BYTES = Number(process.env.CRAWL_MAX_PAGE_BYTES) || 5 * 1024 * 1024;
+// Entries kept in a crawl's debug trace (includeDebug); later decisions still reach onEvent
+const CRAWL_DEBUG_TRACE_LIMIT = Number(process.env.CRAWL_DEBUG_TRACE_LIMIT) || 10000;
+
+/**
+ * A redirect the crawler refused to follow; `reason` is 'cross-host',
+ * 'too-many-redirects', 'redirect-loop', 'invalid-location', 'disallowed-by-robots' or
+ * 'skipped-resource'
+ */
+class RedirectError extends Error {
+  constructor(reason, redirects) {
+    super(`Redirect not followed: ${reason}`);
+    this.name = 'RedirectError';
+    this.reason = reason;
+    this.redirects = redirects;
+  }
 }
 
-// Simple XML escaping for <, >, &
-function escapeXml(unsafe) {
-  return unsafe.replace(/[<>&\"']/g, function (c) {
-    switch (c) {
-      case '<': return '&lt;';
-      case '>': return '&gt;';
-      case '&': return '&amp;';
-      case '"': return '&quot;';
-      case "'": return '&apos;';
-    }
+// Resolves after ms, or early when the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
   });
 }
 
-// ========================================
-// API Routes
-// ========================================
+// Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
 
-// POST /api/generate-sitemap
-// Stricter rate limiting (20 req/15min per IP) + input validation
-app.post('/api/generate-sitemap', sitemapRateLimiter, async (req, res) => {
-  // Step 1: Validate request against schema
-  const validation = validateSitemapRequest(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ error: validation.error });
-  }
+// Hands out request slots per host:
+// - wait(host) resolves when the host may be requested again (delayMs apart)
+// - pause(host, ms) holds every request to the host back, e.g. after a 429
+function createHostThrottle(delayMs) {
+  const nextSlot = new Map(); // host -> timestamp of the next free slot
+  const pausedUntil = new Map(); // host -> timestamp the backoff ends
+
+  return {
+    async wait(host, signal) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + delayMs);
+      if (slot > now) await sleep(slot - now, signal);
+
+      const paused = pausedUntil.get(host) || 0;
+      if (paused > Date.now()) await sleep(paused - Date.now(), signal);
+    },
+    pause(host, ms) {
+      const until = Date.now() + ms;
+      pausedUntil.set(host, Math.max(pausedUntil.get(host) || 0, until));
+    },
+  };
+}
 
-  const { url, changeFreq, priority, includeLastMod, includeDebug } = validation.data;
+// -----------------------------
+// Crawler function
+// - Crawls the links within the crawl scope only (see createCrawlScope): the start
+//   URL's host by default, narrowed or widened by the scope options; out-of-scope
+//   URLs of the site are traced and counted in stats.outOfScope
+// - Strips options.stripQueryParams from URLs on top of the tracking parameters
+// - Stops at the first budget hit: maxPages, options.maxDepth (link hops
+//   from the start URL) or options.timeBudgetSeconds; stats.stoppedBy says which
+// - Also stops after maxPages × CRAWL_FETCHES_PER_PAGE fetches (stats.stoppedBy
+//   'fetchCeiling'), as fetched pages left out of the sitemap don't count toward maxPages
+// - 5 second timeout per request
+// - Follows redirects itself: records every hop, stops after options.maxRedirects,
+//   refuses other hosts unless listed in options.allowedRedirectHosts, and lists
+//   a redirected page under its final URL
+// - Avoids duplicates
+// - Leaves out noindex pages (robots meta tag or X-Robots-Tag) and pages whose
+//   rel="canonical" points elsewhere, crawling the canonical URL instead
+// - With options.includeHreflang, crawls hreflang alternates, gives each page
+//   its cluster's members (page.alternates) and reports broken clusters in
+//   result.warnings; alternates the crawl didn't fetch (other sites, or past a
+//   crawl limit) are checked afterwards with guarded requests, up to
+//   HREFLANG_CHECK_LIMIT of them within the time budget, and the rest reported
+//   as unverified
+// - With options.audit, records SEO details of every fetched page and the
+//   broken internal links in result.audit (see audit.js)
+// - With options.skipNofollowLinks, doesn't follow rel="nofollow" links or
+//   links on nofollow pages
+// - Fetches up to options.concurrency pages at once, but handles results in
+//   queue order so the same site always gives the same sitemap
+// - Spaces requests per host by options.delayMs (or robots.txt Crawl-delay)
+//   and backs off on 429/503 using Retry-After
+// - With options.seedFromSitemaps, also queues the URLs listed in the site's
+//   existing sitemaps and reports where each URL was found (result.sources)
+// - Records per-page metadata (status, depth, title, lastmod, fetch time and, with
+//   options.includeImages / includeVideos / includeNews, media and article
+//   details) in result.pages,
+//   in the same order as result.visited
+// - Stops early when options.signal is aborted, or after options.maxFetches
+//   fetches (stats.stoppedBy 'pageQuota'; used for API key quotas); calls
+//   options.onFetch for every fetch as it is made
+// - With options.incremental, sends conditional requests (ETag / Last-Modified) for
+//   pages in options.pageStates and replays their stored snapshot on 304 Not Modified;
+//   returns the updated states in result.pageStates and counts in stats.incremental
+// - With options.render, builds each page's snapshot from the DOM rendered in a
+//   headless browser (JavaScript-built links included), falling back to the static
+//   HTML when no browser is available or a render fails (stats.render)
+// - Reports live counts through options.onProgress
+// - Reports every crawl decision (the debug trace) through options.onEvent; with
+//   includeDebug, result.debug keeps the first CRAWL_DEBUG_TRACE_LIMIT of them
+// - Keeps the queue, the discovered URLs and the out-of-scope URLs in structures
+//   that spill to disk past CRAWL_SPILL_THRESHOLD entries (see crawl-frontier.js),
+//   deleted however the crawl ends. The rest stays in memory: per listed page
+//   (at most maxPages), per fetch (at most maxPages × CRAWL_FETCHES_PER_PAGE) or,
+//   for inbound link counts, the linked set and audit referrers, a small entry
+//   per distinct in-scope link target
+// -----------------------------
+async function crawlWebsite(startUrl, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+  const start = Date.now();
+  const visited = new Set(); // normalized URLs that we include in sitemap (at most maxPages)
+  const pages = new Map(); // normalized URL -> page metadata for the generator (same keys)
+  const discovered = createSeenSet(); // normalized URLs discovered
+  const queue = createCrawlFrontier(); // { url, depth } in discovery order
+  const outOfScope = createSeenSet(); // normalized out-of-scope URLs of the site, counted once
+  const debug = [];
+  const {
+    includeDebug = false,
+    signal,
+    onProgress,
+    onEvent,
+    concurrency = CRAWL_CONCURRENCY,
+    delayMs = CRAWL_DELAY_MS,
+    maxDepth = CRAWL_LIMITS.maxDepth,
+    timeBudgetSeconds = CRAWL_LIMITS.timeBudgetSeconds,
+    seedFromSitemaps = false,
+    skipNofollowLinks = false,
+    includeImages = false,
+    includeVideos = false,
+    includeHreflang = false,
+    includeNews = false,
+    audit = false,
+    maxRedirects = CRAWL_MAX_REDIRECTS,
+    allowedRedirectHosts = [],
+    maxFetches = Infinity,
+    onFetch,
+    incremental = false,
+    pageStates = new Map(),
+    render = false,
+    stripQueryParams = [],
+  } = options;
+
+  // The time budget covers the whole crawl, robots.txt and sitemap seeding included
+  const deadline = start + timeBudgetSeconds * 1000;
+
+  // Aborted when the caller cancels, and once the crawl ends to drop leftover fetches
+  // (the listener on the caller's signal is removed then, as the signal may outlive the crawl)
+  const crawlController = new AbortController();
+  const onCallerAbort = () => crawlController.abort();
+  if (signal) signal.addEventListener('abort', onCallerAbort, { once: true });
 
   try {
-    // URL is already validated at schema level, safe to parse
-    const startUrl = new URL(url).toString();
+    // Which URLs of the site are crawled (ignoreWww, allowedSubdomains, pathPrefix,
+    // includePatterns, excludePatterns); out-of-scope URLs of the site are counted
+    // per reason in stats.outOfScope
+    const scope = createCrawlScope(startUrl, options);
+    const outOfScopeStats = { subdomain: 0, 'path-prefix': 0, excluded: 0, 'not-included': 0 };
+
+    // URL normalization with the request's extra stripped query parameters
+    const normalize = (url) => normalizeUrl(url, stripQueryParams);
+
+    // With incremental: validators and snapshots of the pages fetched this time
+    // (normalized URL -> { status, etag, lastModified, snapshot }), and how many pages
+    // answered 304 (revalidated) or were downloaded and parsed again (refetched)
+    const nextPageStates = new Map();
+    const incrementalStats = { revalidated: 0, refetched: 0 };
+
+    // Which limit ended the crawl (reported in stats)
+    let stoppedBy = 'complete';
+    let depthLimited = false; // links were dropped for being deeper than maxDepth
+    let pagesFetched = 0; // fetches made (listed or not); API key quotas count these
+    const fetchCeiling = Math.ceil(maxPages * CRAWL_FETCHES_PER_PAGE);
+
+    // Redirect outcomes (reported in stats.redirects)
+    const redirectStats = {
+      followed: 0,
+      longestChain: 0,
+      refused: { 'cross-host': 0, 'too-many-redirects': 0, 'redirect-loop': 0, 'invalid-location': 0, 'disallowed-by-robots': 0, 'skipped-resource': 0 },
+    };
 
-    // Crawl the site (max 50 pages as required)
-    const { discovered, visited, stats, debug } = await crawlWebsite(startUrl, 50, { includeDebug });
+    // Record a crawl decision in the debug trace and forward it to listeners
+    function trace(entry) {
+      if (includeDebug && debug.length < CRAWL_DEBUG_TRACE_LIMIT) {
+        debug.push(entry);
+        if (debug.length === CRAWL_DEBUG_TRACE_LIMIT) debug.push({ action: 'trace-truncated', limit: CRAWL_DEBUG_TRACE_LIMIT });
+      }
+      if (typeof onEvent === 'function') onEvent(entry);
+    }
 
-    // For sitemap include the visited URLs (those we successfully fetched / recorded)
-    // If there are fewer than discovered, that's ok.
-    const sitemapUrls = visited.slice(0, 50);
+    // True if a URL is in scope; out-of-scope URLs of the site are traced and counted
+    // once (links to other sites are ignored silently)
+    function inScope(url, normalized, details = {}) {
+      const reason = scope.check(url);
+      if (!reason) return true;
+      if (reason !== 'external' && !outOfScope.has(normalized || url)) {
+        outOfScope.add(normalized || url);
+        outOfScopeStats[reason] += 1;
+        trace({ url, normalized, action: 'out-of-scope', reason, ...details });
+      }
+      return false;
+    }
 
-    const sitemapXML = generateSitemapXML(sitemapUrls, { changeFreq, priority, includeLastMod });
+    function reportProgress(currentUrl) {
+      if (typeof onProgress !== 'function') return;
+      onProgress({
+        urlsDiscovered: discovered.size,
+        urlsInSitemap: visited.size,
+        queued: queue.length,
+        currentUrl,
+      });
+    }
 
-    const payload = { sitemapXML, stats };
-    if (includeDebug && Array.isArray(debug)) payload.debug = debug;
-    return res.json(payload);
-  } catch (err) {
-    // Distinguish timeout-like errors from generic errors
-    // Never expose internal error details to client (security best practice)
-    if (err.code === 'ECONNABORTED') {
-      return res.status(504).json(createSecureErrorResponse(err, 504));
+    queue.push({ url: startUrl, depth: 0 });
+    const nStart = normalize(startUrl);
+    if (nStart) discovered.add(nStart);
+    // The start URL is crawled even when out of scope, for its links, but isn't listed
+    inScope(startUrl, nStart, { entryPoint: true });
+
+    // Where URLs were found, to tell sitemap-only (orphan) pages from linked ones
+    // (only tracked with seedFromSitemaps)
+    const linked = seedFromSitemaps ? new Set(nStart ? [nStart] : []) : null; // reached by following links
+    const sitemapListed = new Set(); // listed in the site's existing sitemaps
+
+    // normalized URL -> number of distinct crawled pages linking to it (for autoPriority)
+    // One number per in-scope link target, so it grows with the site, not maxPages
+    const inboundLinks = new Map();
+
+    // With includeHreflang: normalized URL -> declared alternates, and what the fetch of
+    // each URL found (see hreflangTargetProblem)
+    const hreflangDeclarations = new Map();
+    const hreflangTargets = new Map();
+    const recordHreflangTarget = (normalized, target) => {
+      if (includeHreflang) hreflangTargets.set(normalized, target);
+    };
+
+    // HTTP status of fetches that weren't 2xx (at most one per fetch)
+    const failedStatuses = new Map();
+
+    // With audit: one record per fetched URL, and normalized URL -> pages linking to it
+    // (a count and the first few, see recordReferrer)
+    const auditPages = [];
+    const referrers = new Map();
+
+    // Redirects are followed by fetchPage, so 3xx responses come back as-is
+    // Connections go through the SSRF guard (every hop is checked)
+    const axiosInstance = axios.create({
+      ...GUARDED_AXIOS_CONFIG,
+      timeout: 5000,
+      maxRedirects: 0,
+      maxContentLength: CRAWL_MAX_PAGE_BYTES,
+      maxBodyLength: CRAWL_MAX_PAGE_BYTES,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304 || REDIRECT_STATUSES.includes(status),
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    });
+
+    // robots.txt rules for the start site (see robots.js)
+    const robots = await fetchRobots(startUrl, { userAgent: CRAWLER_USER_AGENT });
+
+    // Other site hosts (www twin, allowed subdomains) and allowedRedirectHosts have their own
+    // robots.txt, fetched on first use
+    const robotsByOrigin = new Map([[new URL(startUrl).origin, robots]]);
+    function robotsFor(url) {
+      const { origin } = new URL(url);
+      if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, fetchRobots(url, { userAgent: CRAWLER_USER_AGENT }));
+      return robotsByOrigin.get(origin);
     }
-    // Log error server-side but return generic message to client
-    console.error('[API ERROR]', err);
-    return res.status(500).json(createSecureErrorResponse(err, 500));
-  }
-});
 
-// -----------------------------
-// POST /api/download-sitemap
-// Same body as /api/generate-sitemap but returns the sitemap XML
-// as an attachment with `application/xml` Content-Type so clients
-// can download it directly.
-// Also uses rate limiting and input validation
-app.post('/api/download-sitemap', sitemapRateLimiter, async (req, res) => {
-  // Step 1: Validate request against schema
-  const validation = validateSitemapRequest(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ error: validation.error });
-  }
+    // Honor Crawl-delay when it asks for more spacing than configured
+    const robotsDelayMs = robots.crawlDelay ? robots.crawlDelay * 1000 : 0;
+    const throttle = createHostThrottle(Math.min(Math.max(delayMs, robotsDelayMs), MAX_CRAWL_DELAY_MS));
+
+    // With render: pages are rendered in a headless browser when one is available
+    // (see renderer.js), otherwise crawled statically; counts go to stats.render
+    const rendering = render && await isRenderingAvailable();
+    const renderStats = { available: rendering, rendered: 0, failed: 0 };
+    if (render && !rendering) trace({ url: startUrl, normalized: nStart, action: 'render-unavailable' });
+
+    // What to extract from each page (see readPageSnapshot)
+    const extract = { includeImages, includeVideos, includeNews, includeHreflang, audit, render: rendering };
+
+    // Adds the rendered DOM (renderedHtml) to a fetched HTML page, or the reason it
+    // couldn't be rendered (renderError); the static HTML is kept either way
+    async function renderFetched(outcome) {
+      const { resp } = outcome;
+      if (!resp || resp.status < 200 || resp.status >= 300) return outcome;
+      if (!/html/i.test(resp.headers['content-type'] || 'text/html')) return outcome;
+      try {
+        const renderedHtml = await renderPage(outcome.finalUrl, String(resp.data || ''), {
+          userAgent: CRAWLER_USER_AGENT,
+          signal: crawlController.signal,
+        });
+        return { ...outcome, renderedHtml };
+      } catch (err) {
+        return { ...outcome, renderError: err };
+      }
+    }
 
-  const { url, changeFreq, priority, includeLastMod } = validation.data;
+    // Fetch one URL (no redirects), waiting for its host's slot and retrying after 429/503
+    // Never rejects: resolves with { resp } or { error }
+    async function fetchOnce(url, headers = {}) {
+      const host = new URL(url).host;
+      for (let attempt = 0; ; attempt++) {
+        await throttle.wait(host, crawlController.signal);
+        try {
+          return { resp: await axiosInstance.get(url, { headers, signal: crawlController.signal }) };
+        } catch (err) {
+          const status = err.response && err.response.status;
+          if ((status === 429 || status === 503) && attempt < MAX_FETCH_RETRIES) {
+            const waitMs = parseRetryAfter(err.response.headers['retry-after']) ?? 1000 * 2 ** attempt;
+            if (waitMs <= MAX_RETRY_AFTER_MS) {
+              throttle.pause(host, waitMs);
+              trace({ url, normalized: normalize(url), action: 'backoff', status, retryInMs: waitMs });
+              continue;
+            }
+          }
+          return { error: err };
+        }
+      }
+    }
 
-  try {
-    // URL is already validated at schema level, safe to parse
-    const startUrl = new URL(url).toString();
+    // Fetch one URL, following up to maxRedirects redirects ourselves so every hop is
+    // recorded and only pages on site hosts (or allowedRedirectHosts) that their host's
+    // robots.txt allows are fetched
+    // Never rejects: resolves with { resp, finalUrl } or { error } (a RedirectError when a redirect
+    // was refused), plus the hops followed ({ url, status, location }) and the total response time
+    // conditionalHeaders (If-None-Match / If-Modified-Since) only go with the first request
+    async function fetchPage(url, conditionalHeaders) {
+      const redirects = [];
+      const seen = new Set([normalize(url)]);
+      const requestStart = Date.now();
+      const done = (outcome) => ({ ...outcome, redirects, responseTimeMs: Date.now() - requestStart });
+      let target = url;
+
+      while (true) {
+        const { resp, error } = await fetchOnce(target, target === url ? conditionalHeaders : undefined);
+        if (error) return done({ error });
+        if (!REDIRECT_STATUSES.includes(resp.status)) return done({ resp, finalUrl: target });
+
+        const location = resolveLink(resp.headers.location, target);
+        redirects.push({ url: target, status: resp.status, location });
+
+        let reason = null;
+        const next = location && /^https?:$/.test(new URL(location).protocol) ? new URL(location) : null;
+        if (!next) reason = 'invalid-location';
+        else if (redirects.length > maxRedirects) reason = 'too-many-redirects';
+        else if (!scope.isSiteHost(next.hostname) && !allowedRedirectHosts.includes(next.hostname)) reason = 'cross-host';
+        else if (seen.has(normalize(location))) reason = 'redirect-loop';
+        else if (isSkippableResource(location)) reason = 'skipped-resource';
+        else if (!isPathAllowed(next.pathname + next.search, await robotsFor(location))) reason = 'disallowed-by-robots';
+        if (reason) return done({ error: new RedirectError(reason, redirects) });
+
+        seen.add(normalize(location));
+        target = location;
+      }
+    }
 
-    const { visited, stats } = await crawlWebsite(startUrl, 50);
-    const sitemapUrls = visited.slice(0, 50);
-    const sitemapXML = generateSitemapXML(sitemapUrls, { changeFreq, priority, includeLastMod });
+    // Seed the queue from the site's existing sitemaps; seeded URLs are entry
+    // points like the start URL (depth 0)
+    let sitemapFiles = [];
+    if (seedFromSitemaps) {
+      const existing = await readExistingSitemaps(startUrl, {
+        sitemapUrls: robots.sitemaps,
+        userAgent: CRAWLER_USER_AGENT,
+        signal: crawlController.signal,
+        deadline,
+      });
+      sitemapFiles = existing.files;
 
-    // Set headers for file download
-    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="sitemap.xml"');
+      for (const url of existing.urls) {
+        if (isSkippableResource(url)) continue;
+        const n = normalize(url);
+        if (!n || !inScope(url, n, { via: 'sitemap' })) continue;
+        sitemapListed.add(n);
+        if (!discovered.has(n)) {
+          discovered.add(n);
+          queue.push({ url, depth: 0 });
+          trace({ url, normalized: n, action: 'seeded-from-sitemap' });
+        }
+      }
+    }
 
-    // Optionally include stats as a header (also returned in JSON body if needed)
-    res.setHeader('X-Urls-Discovered', String(stats.urlsDiscovered));
-    res.setHeader('X-Urls-In-Sitemap', String(stats.urlsInSitemap));
-    res.setHeader('X-Crawl-Time-Seconds', String(stats.crawlTimeSeconds));
+    // Queue a newly found internal URL one hop deeper, unless that is past maxDepth
+    function queueLink(url, normalized, discoveredFrom, linkDepth, details = {}) {
+      if (discovered.has(normalized)) return;
+      discovered.add(normalized);
+      // Known, but too many hops from the start URL to crawl
+      if (linkDepth > maxDepth) {
+        depthLimited = true;
+        trace({ url, normalized, discoveredFrom, action: 'depth-limit', depth: linkDepth, ...details });
+        return;
+      }
+      queue.push({ url, depth: linkDepth });
+      trace({ url, normalized, discoveredFrom, action: 'discovered', depth: linkDepth, ...details });
+    }
 
-    return res.send(sitemapXML);
-  } catch (err) {
-    if (err.code === 'ECONNABORTED') {
-      return res.status(504).json(createSecureErrorResponse(err, 504));
+    // content hash map to detect duplicate pages (hash -> canonicalUrl), one per listed page
+    const contentHashes = new Map();
+
+    // Fetches in dispatch (queue) order: { current, normalizedCurrent, depth, previous, outcome }
+    const inFlight = [];
+
+    // Waits for a fetch, or resolves with TIME_UP once the crawl time budget is spent
+    // (or the crawl is cancelled). Each wait has its own timer: racing one long-lived
+    // promise would keep every settled fetch, responses included, reachable
+    const TIME_UP = Symbol('time-up');
+    function untilTimeUp(outcome) {
+      const waitController = new AbortController();
+      const onCrawlAbort = () => waitController.abort();
+      if (crawlController.signal.aborted) waitController.abort();
+      else crawlController.signal.addEventListener('abort', onCrawlAbort, { once: true });
+      const timeUp = sleep(deadline - Date.now(), waitController.signal).then(() => TIME_UP);
+      return Promise.race([outcome, timeUp]).finally(() => {
+        crawlController.signal.removeEventListener('abort', onCrawlAbort);
+        waitController.abort();
+      });
     }
-    // Log error server-side but return generic message to client
-    console.error('[API ERROR]', err);
-    return res.status(500).json(createSecureErrorResponse(err, 500));
-  }
-});
 
-// ========================================
-// Health Check Route (exempt from rate limiting)
-// ========================================
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'Sitemap Generator API',
-    version: '2.0.0',
-    timestamp: new Date().toISOString(),
-  });
-});
+    while (true) {
+      // Cancelled by the caller (e.g. DELETE /api/jobs/:id)
+      if (signal && signal.aborted) {
+        stoppedBy = 'cancelled';
+        break;
+      }
+      if (visited.size >= maxPages) {
+        if (queue.length > 0 || inFlight.length > 0) stoppedBy = 'maxPages';
+        break;
+      }
+
+      // Fill the worker pool in queue order, never fetching more pages than can still fit
+      while (inFlight.length < concurrency && queue.length > 0 && visited.size + inFlight.length < maxPages && pagesFetched < Math.min(maxFetches, fetchCeiling)) {
+        const { url: current, depth } = queue.shift();
+        const normalizedCurrent = normalize(current);
+        if (!normalizedCurrent) continue;
+        if (visited.has(normalizedCurrent)) continue;
+
+        // Skip resources (images, pdfs, zips, etc.)
+        if (isSkippableResource(current)) {
+          discovered.add(normalizedCurrent);
+          trace({ url: current, normalized: normalizedCurrent, action: 'skipped-resource' });
+          continue;
+        }
+
+        // Respect robots.txt (rules match the path and query string)
+        try {
+          const u = new URL(current);
+          const path = u.pathname + u.search;
+          if (!isPathAllowed(path, await robotsFor(current))) {
+            discovered.add(normalizedCurrent);
+            trace({ url: current, normalized: normalizedCurrent, action: 'disallowed-by-robots', path });
+            continue;
+          }
+        } catch (err) {
+          discovered.add(normalizedCurrent);
+          trace({ url: current, normalized: normalizedCurrent, action: 'invalid-url' });
+          continue;
+        }
+
+        // Incremental: ask for the page only if it changed since its stored snapshot
+        // (snapshots missing an extraction this crawl needs are fetched in full)
+        const stored = incremental ? pageStates.get(normalizedCurrent) : null;
+        const previous = stored && snapshotCovers(stored.snapshot, extract) ? stored : null;
+        const conditionalHeaders = {};
+        if (previous) {
+          if (previous.etag) conditionalHeaders['If-None-Match'] = previous.etag;
+          if (previous.lastModified) conditionalHeaders['If-Modified-Since'] = previous.lastModified;
+        }
+
+        trace({ url: current, normalized: normalizedCurrent, action: 'fetching' });
+        pagesFetched += 1;
+        if (onFetch) onFetch();
+        reportProgress(current);
+        const outcome = fetchPage(current, conditionalHeaders);
+        inFlight.push({ current, normalizedCurrent, depth, previous, outcome: rendering ? outcome.then(renderFetched) : outcome });
+      }
+
+      if (inFlight.length === 0) {
+        if (queue.length > 0 && pagesFetched >= maxFetches) stoppedBy = 'pageQuota';
+        else if (queue.length > 0 && pagesFetched >= fetchCeiling) stoppedBy = 'fetchCeiling';
+        else if (depthLimited) stoppedBy = 'maxDepth';
+        break;
+      }
+
+      // Handle results in dispatch order so discovery order stays deterministic
+      const { depth, previous, outcome } = inFlight[0];
+      let { current, normalizedCurrent } = inFlight[0];
+      const settled = await untilTimeUp(outcome);
+      if (settled === TIME_UP) {
+        stoppedBy = signal && signal.aborted ? 'cancelled' : 'timeBudget';
+        break;
+      }
+      inFlight.shift();
+
+      // Audit record of this fetch (status, timing and redirects; page details once parsed)
+      const auditEntry = audit
+        ? {
+          url: normalizedCurrent,
+          status: null,
+          finalUrl: settled.redirects.length ? settled.redirects[settled.redirects.length - 1].location : normalizedCurrent,
+          redirectChain: settled.redirects,
+          responseTimeMs: settled.responseTimeMs,
+        }
+        : null;
+      if (auditEntry) auditPages.push(auditEntry);
+
+      try {
+        const { resp, error } = settled;
+        if (error) throw error;
+        if (auditEntry) auditEntry.status = resp.status;
+
+        // Redirected: the page is handled as its final URL, unless that one is already known
+        if (settled.redirects.length > 0) {
+          const normalizedFinal = normalize(settled.finalUrl);
+          redirectStats.followed += 1;
+          redirectStats.longestChain = Math.max(redirectStats.longestChain, settled.redirects.length);
+          trace({ url: current, normalized: normalizedCurrent, action: 'redirected', finalUrl: normalizedFinal, hops: settled.redirects });
+          if (normalizedFinal !== normalizedCurrent) {
+            recordHreflangTarget(normalizedCurrent, { status: settled.redirects[0].status, location: normalizedFinal });
+            if (discovered.has(normalizedFinal)) {
+              trace({ url: settled.finalUrl, normalized: normalizedFinal, action: 'redirect-target-known', redirectedFrom: normalizedCurrent });
+              continue;
+            }
+            discovered.add(normalizedFinal);
+            // Redirected out of the path scope (hosts were checked while following)
+            if (['path-prefix', 'excluded', 'not-included'].includes(scope.check(settled.finalUrl))) {
+              inScope(settled.finalUrl, normalizedFinal, { redirectedFrom: normalizedCurrent });
+              continue;
+            }
+            current = settled.finalUrl;
+            normalizedCurrent = normalizedFinal;
+          }
+        }
+
+        // Unchanged since the last crawl: replay the stored snapshot instead of parsing
+        let snapshot;
+        let status = resp.status;
+        if (resp.status === 304 && previous && settled.redirects.length === 0) {
+          ({ snapshot, status } = previous);
+          incrementalStats.revalidated += 1;
+          nextPageStates.set(normalizedCurrent, previous);
+          trace({ url: current, normalized: normalizedCurrent, action: 'not-modified', contentHash: snapshot.contentHash.slice(0, 8) });
+        } else if (resp.status < 200 || resp.status >= 300) {
+          discovered.add(normalizedCurrent);
+          failedStatuses.set(normalizedCurrent, resp.status);
+          recordHreflangTarget(normalizedCurrent, { status: resp.status });
+          trace({ url: current, normalized: normalizedCurrent, action: 'non-2xx-status', status: resp.status });
+          continue;
+        } else {
+          if (settled.renderedHtml !== undefined) {
+            renderStats.rendered += 1;
+          } else if (settled.renderError) {
+            renderStats.failed += 1;
+            trace({ url: current, normalized: normalizedCurrent, action: 'render-failed', message: settled.renderError.message });
+          }
+          const rendered = settled.renderedHtml !== undefined;
+          snapshot = readPageSnapshot(rendered ? settled.renderedHtml : resp.data || '', resp.headers, current, { ...extract, render: rendered });
+          if (incremental) {
+            incrementalStats.refetched += 1;
+            // Validators belong to the requested URL, so redirected pages aren't stored
+            if (settled.redirects.length === 0 && (resp.headers.etag || resp.headers['last-modified'])) {
+              nextPageStates.set(normalizedCurrent, {
+                status,
+                etag: resp.headers.etag || null,
+                lastModified: resp.headers['last-modified'] || null,
+                snapshot,
+              });
+            }
+          }
+        }
+        if (auditEntry) auditEntry.status = status;
+
+        // Pages that must not be listed are still used to discover links
+        const { directives, canonical } = snapshot;
+        recordHreflangTarget(normalizedCurrent, { status, noindex: directives.noindex });
+        const normalizedCanonical = canonical ? normalize(canonical) : null;
+        if (auditEntry) Object.assign(auditEntry, snapshot.details, { canonical: normalizedCanonical });
+        const isNonCanonical = Boolean(normalizedCanonical) && normalizedCanonical !== normalizedCurrent;
+        let page = null; // metadata for the sitemap, when the page is listed
+
+        if (directives.noindex) {
+          trace({ url: current, normalized: normalizedCurrent, action: 'noindex', source: directives.source });
+        } else if (isNonCanonical) {
+          trace({ url: current, normalized: normalizedCurrent, action: 'non-canonical', canonical: normalizedCanonical });
+        } else if (outOfScope.has(normalizedCurrent)) {
+          // An out-of-scope start URL: only its links are used (traced as out-of-scope already)
+        } else {
+          // Detect duplicates by content hash
+          const hash = snapshot.contentHash;
+          if (contentHashes.has(hash)) {
+            // duplicate page detected - do not add to visited sitemap
+            discovered.add(normalizedCurrent);
+            trace({ url: current, normalized: normalizedCurrent, action: 'duplicate-content', canonical: contentHashes.get(hash) });
+            continue;
+          }
+          contentHashes.set(hash, normalizedCurrent);
+
+          const { lastmod, lastmodSource } = snapshot;
+          trace({ url: current, normalized: normalizedCurrent, action: 'fetched', contentHash: hash.slice(0, 8), lastmod, lastmodSource });
+          page = {
+            loc: normalizedCurrent,
+            status,
+            depth,
+            title: snapshot.title,
+            lastmod,
+            lastmodSource,
+            contentHash: snapshot.contentHash,
+            fetchedAt: toW3cDatetime(new Date().toISOString()),
+          };
+          if (includeImages) page.images = snapshot.images;
+          if (includeVideos) page.videos = snapshot.videos;
+          if (includeNews) page.news = snapshot.news;
+        }
+
+        // Crawl the canonical URL in place of this one (same depth, next in line)
+        if (isNonCanonical && !isSkippableResource(canonical) && inScope(canonical, normalizedCanonical, { discoveredFrom: normalizedCurrent })) {
+          linked?.add(normalizedCanonical);
+          if (!discovered.has(normalizedCanonical)) {
+            discovered.add(normalizedCanonical);
+            queue.unshift({ url: canonical, depth });
+            trace({ url: canonical, normalized: normalizedCanonical, discoveredFrom: normalizedCurrent, action: 'canonical-queued', depth });
+          }
+        }
+
+        // Follow the page's links (already resolved in the snapshot)
+        const linksFromPage = new Set(); // count each target once per page
+        const followLinks = !(skipNofollowLinks && directives.nofollow);
+        if (!followLinks) {
+          trace({ url: current, normalized: normalizedCurrent, action: 'nofollow-page' });
+        }
+        for (const link of followLinks ? snapshot.links : []) {
+          // Skip media/resource file types
+          if (isSkippableResource(link.url)) continue;
+          const n = normalize(link.url);
+          // Only links within the crawl scope
+          if (!n || !inScope(link.url, n, { discoveredFrom: normalizedCurrent })) continue;
+          if (skipNofollowLinks && link.nofollow) {
+            trace({ url: link.url, normalized: n, discoveredFrom: normalizedCurrent, action: 'nofollow-link' });
+            continue;
+          }
+          linked?.add(n);
+          if (!linksFromPage.has(n)) {
+            linksFromPage.add(n);
+            if (audit) recordReferrer(referrers, n, normalizedCurrent);
+            if (n !== normalizedCurrent) inboundLinks.set(n, (inboundLinks.get(n) || 0) + 1);
+          }
+          queueLink(link.url, n, normalizedCurrent, depth + 1);
+        }
+
+        // hreflang alternates: remembered for the reciprocity check, internal targets are crawled
+        if (includeHreflang) {
+          const alternates = snapshot.hreflang.map((alternate) => ({ ...alternate, href: normalize(alternate.href) }));
+          hreflangDeclarations.set(normalizedCurrent, alternates);
+          for (const { href } of alternates) {
+            if (isSkippableResource(href) || !inScope(href, href, { discoveredFrom: normalizedCurrent, via: 'hreflang' })) continue;
+            linked?.add(href);
+            queueLink(href, href, normalizedCurrent, depth + 1, { via: 'hreflang' });
+          }
+        }
+
+        if (page) {
+          visited.add(normalizedCurrent);
+          pages.set(normalizedCurrent, page);
+        }
+      } catch (err) {
+        // Handle timeouts and other errors by marking as discovered and continuing
+        discovered.add(normalizedCurrent);
+        if (err.response) failedStatuses.set(normalizedCurrent, err.response.status);
+        if (err instanceof RedirectError) {
+          recordHreflangTarget(normalizedCurrent, { status: err.redirects[0].status, location: err.redirects[0].location });
+        } else {
+          recordHreflangTarget(normalizedCurrent, err.response ? { status: err.response.status } : { unreachable: true });
+        }
+        if (auditEntry) {
+          auditEntry.status = err.response ? err.response.status : null;
+          auditEntry.error = err.response ? null : err.message;
+        }
+        if (err instanceof RedirectError) {
+          redirectStats.refused[err.reason] += 1;
+          trace({ url: current, normalized: normalizedCurrent, action: 'redirect-refused', reason: err.reason, hops: err.redirects });
+          continue;
+        }
+        // Cut off at CRAWL_MAX_PAGE_BYTES (axios gives up once the body passes maxContentLength)
+        if (!err.response && /maxContentLength size of \d+ exceeded/.test(err.message)) {
+          trace({ url: current, normalized: normalizedCurrent, action: 'too-large', maxBytes: CRAWL_MAX_PAGE_BYTES });
+          continue;
+        }
+        trace({ url: current, normalized: normalizedCurrent, action: 'fetch-error', message: err.message });
+        continue;
+      }
+    }
+
+    crawlController.abort();
+    reportProgress(null);
+
+    // Return arrays (convert sets to arrays), and stats
+    const listedPages = Array.from(visited).map((n) => ({ ...pages.get(n), inlinks: inboundLinks.get(n) || 0 }));
+    const warnings = [];
+    if (includeHreflang) {
+      // Check the alternates the crawl didn't fetch (they count as fetches for quotas)
+      const unchecked = uncheckedHreflangTargets(listedPages, hreflangDeclarations, hreflangTargets);
+      const inspect = createListedUrlInspector({ deadline });
+      const checks = Math.max(0, Math.min(unchecked.length, HREFLANG_CHECK_LIMIT, maxFetches - pagesFetched));
+      let next = 0;
+      const checkTargets = async () => {
+        while (next < checks && Date.now() < deadline && !(signal && signal.aborted)) {
+          const href = unchecked[next++];
+          pagesFetched += 1;
+          if (onFetch) onFetch();
+          trace({ url: href, normalized: href, action: 'hreflang-check' });
+          try {
+            hreflangTargets.set(href, await inspect(href));
+          } catch {
+            hreflangTargets.set(href, { unreachable: true });
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, checks) }, checkTargets));
+
+      const hreflang = analyzeHreflang(listedPages, hreflangDeclarations, hreflangTargets);
+      for (const page of listedPages) {
+        if (hreflang.alternates.has(page.loc)) page.alternates = hreflang.alternates.get(page.loc);
+      }
+      warnings.push(...hreflang.warnings);
+    }
+
+    const end = Date.now();
+    const crawlTimeSeconds = Math.round((end - start) / 1000 * 100) / 100; // two decimals
+
+    const result = {
+      visited: Array.from(visited).filter(Boolean),
+      pages: listedPages,
+      stats: {
+        urlsDiscovered: discovered.size,
+        urlsInSitemap: visited.size,
+        pagesFetched,
+        crawlTimeSeconds,
+        stoppedBy,
+        truncated: stoppedBy !== 'complete',
+        // 'ok', 'unavailable' (4xx: no rules) or 'unreachable' (5xx/network error: nothing allowed)
+        robotsTxt: robots.status,
+        redirects: redirectStats,
+        outOfScope: outOfScopeStats,
+      },
+    };
+    if (seedFromSitemaps) {
+      // Compare the existing sitemaps with what link-following found
+      const sources = { sitemapOnly: [], crawlOnly: [], both: [], sitemapFiles };
+      for (const n of new Set([...sitemapListed, ...linked])) {
+        if (sitemapListed.has(n) && linked.has(n)) sources.both.push(n);
+        else if (sitemapListed.has(n)) sources.sitemapOnly.push(n);
+        else sources.crawlOnly.push(n);
+      }
+      result.sources = sources;
+      result.stats.sources = {
+        sitemapOnly: sources.sitemapOnly.length,
+        crawlOnly: sources.crawlOnly.length,
+        both: sources.both.length,
+      };
+    }
+    if (audit) result.audit = buildAuditReport({ pages: auditPages, failedStatuses, referrers });
+    if (render) result.stats.render = renderStats;
+    if (incremental) {
+      result.stats.incremental = incrementalStats;
+      result.pageStates = nextPageStates;
+    }
+    if (warnings.length > 0) result.warnings = warnings;
+    if (includeDebug) result.debug = debug;
+    return result;
+  } finally {
+    crawlController.abort();
+    if (signal) signal.removeEventListener('abort', onCallerAbort);
+    // The spill files go however the crawl ends (sizes stay readable)
+    queue.close();
+    discovered.close();
+    outOfScope.close();
+  }
+}
+
+// -----------------------------
+// Sitemap XML generator
+// - Takes array of URLs and options
+// - Produces sitemap XML strings (see generateSitemapFiles below), or streams
+//   a sitemap to the response (see streamSitemap)
+// -----------------------------
+
+// sitemaps.org protocol limits for a single sitemap file
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024; // 50 MB, uncompressed
+
+// Namespaces of the sitemap extensions we can write, by prefix
+const SITEMAP_EXTENSION_NAMESPACES = {
+  image: 'http://www.google.com/schemas/sitemap-image/1.1',
+  video: 'http://www.google.com/schemas/sitemap-video/1.1',
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  news: 'http://www.google.com/schemas/sitemap-news/0.9',
+};
+
+// Google News sitemaps: at most 1,000 URLs per file, articles from the last two days
+const NEWS_SITEMAP_MAX_URLS = 1000;
+const NEWS_MAX_AGE_MS = 48 * 60 * 60 * 1000;
+
+const URLSET_FOOTER = `\n</urlset>`;
+
+// Extension prefixes a sitemap needs for the given generator options
+function getSitemapExtensions(options = {}) {
+  const extensions = [];
+  if (options.includeImages) extensions.push('image');
+  if (options.includeVideos) extensions.push('video');
+  if (options.includeHreflang) extensions.push('xhtml');
+  if (options.sitemapType === 'news') extensions.push('news');
+  return extensions;
+}
+
+// XML declaration and <urlset> opening tag, declaring the used extension namespaces
+function urlsetHeader(extensions = []) {
+  const namespaces = extensions.map((prefix) => ` xmlns:${prefix}="${SITEMAP_EXTENSION_NAMESPACES[prefix]}"`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${namespaces.join('')}>\n`;
+}
+
+// Complete <urlset> document from prepared `<url>` entries
+function wrapUrlset(entries, extensions = []) {
+  return urlsetHeader(extensions) + entries.join('\n') + URLSET_FOOTER;
+}
+
+// <lastmod> value for a page: its recorded last-modified date, else (with
+// lastmodFallback 'crawl-time') when it was fetched, else none
+function resolveLastmod(page, options = {}) {
+  const { includeLastMod = false, lastmodFallback = 'none' } = options;
+  if (!includeLastMod) return null;
+  if (page.lastmod) return page.lastmod;
+  return lastmodFallback === 'crawl-time' ? page.fetchedAt || null : null;
+}
+
+// Compiles request urlRules ({ pattern, priority?, changeFreq? }) into matchers of the URL path
+// The globs come from the request, so they are matched without regular expressions (see wildcard.js)
+function compileUrlRules(rules = []) {
+  return rules.map((rule) => {
+    const matches = compileWildcard(rule.pattern, { glob: true });
+    return { ...rule, test: (u) => matches(u.pathname) };
+  });
+}
+
+// Priority from crawl position: 1.0 for entry pages, 0.2 less per hop (minimum 0.1),
+// or scaled by inbound internal links relative to the most-linked page
+function autoPriorityFor(page, mode, maxInlinks) {
+  if (mode === 'depth') {
+    return Math.max(0.1, Math.round((1 - (page.depth || 0) * 0.2) * 10) / 10);
+  }
+  if (mode === 'inlinks') {
+    if (!maxInlinks) return null;
+    const share = Math.log1p(page.inlinks || 0) / Math.log1p(maxInlinks);
+    return Math.round((0.1 + 0.9 * share) * 10) / 10;
+  }
+  return null;
+}
+
+// <image:image> blocks for a page's images ({ loc })
+function buildImageTags(images = []) {
+  return images
+    .map((image) => `    <image:image>\n      <image:loc>${escapeXml(image.loc)}</image:loc>\n    </image:image>\n`)
+    .join('');
+}
+
+// <video:video> blocks for a page's videos ({ thumbnailLoc, title, description, contentLoc?, playerLoc? })
+function buildVideoTags(videos = []) {
+  return videos.map((video) => {
+    let tag = '    <video:video>\n';
+    tag += `      <video:thumbnail_loc>${escapeXml(video.thumbnailLoc)}</video:thumbnail_loc>\n`;
+    tag += `      <video:title>${escapeXml(video.title)}</video:title>\n`;
+    tag += `      <video:description>${escapeXml(video.description)}</video:description>\n`;
+    if (video.contentLoc) tag += `      <video:content_loc>${escapeXml(video.contentLoc)}</video:content_loc>\n`;
+    if (video.playerLoc) tag += `      <video:player_loc>${escapeXml(video.playerLoc)}</video:player_loc>\n`;
+    tag += '    </video:video>\n';
+    return tag;
+  }).join('');
+}
+
+// <xhtml:link> language alternates of a page ({ hreflang, href }, the page itself included)
+function buildAlternateTags(alternates = []) {
+  return alternates
+    .map(({ hreflang, href }) => `    <xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>\n`)
+    .join('');
+}
+
+// <news:news> block for a page's article ({ title, publishedAt, publicationName, language })
+function buildNewsTag(news) {
+  let tag = '    <news:news>\n';
+  tag += '      <news:publication>\n';
+  tag += `        <news:name>${escapeXml(news.publicationName)}</news:name>\n`;
+  tag += `        <news:language>${escapeXml(news.language)}</news:language>\n`;
+  tag += '      </news:publication>\n';
+  tag += `      <news:publication_date>${news.publishedAt}</news:publication_date>\n`;
+  tag += `      <news:title>${escapeXml(news.title)}</news:title>\n`;
+  tag += '    </news:news>\n';
+  return tag;
+}
+
+// Pages that belong in a news sitemap: articles published in the last 48 hours
+// with a title, publication name and language (options.newsPublicationName and
+// options.newsLanguage fill in for pages that don't declare them)
+function selectNewsArticles(pages, options = {}) {
+  const { newsPublicationName, newsLanguage } = options;
+  const cutoff = Date.now() - NEWS_MAX_AGE_MS;
+  const articles = [];
+  for (const page of pages) {
+    if (!page.news || Date.parse(page.news.publishedAt) < cutoff) continue;
+    const news = {
+      ...page.news,
+      publicationName: page.news.publicationName || newsPublicationName || null,
+      language: page.news.language || newsLanguage || null,
+    };
+    if (news.title && news.publicationName && news.language) articles.push({ ...page, news });
+  }
+  return articles;
+}
+
+// Yields one `<url>` entry string per page ({ loc, depth?, inlinks?, lastmod?, fetchedAt?, images?, videos?, alternates? }
+// from the crawler), built as they are consumed
+function* buildUrlEntries(pages, options = {}) {
+  // options: changeFreq (string), priority (number), includeLastMod (bool), lastmodFallback ('none' | 'crawl-time'),
+  // urlRules (per-URL overrides, first match wins), autoPriority ('none' | 'depth' | 'inlinks'),
+  // includeImages / includeVideos (bool, write the image/video extension tags),
+  // includeHreflang (bool, write <xhtml:link> alternates), sitemapType ('standard' | 'news')
+  const {
+    changeFreq = 'weekly',
+    priority = 0.5,
+    urlRules,
+    autoPriority = 'none',
+    includeImages = false,
+    includeVideos = false,
+    includeHreflang = false,
+    sitemapType = 'standard',
+  } = options;
+  const rules = compileUrlRules(urlRules);
+  const maxInlinks = autoPriority === 'inlinks' ? pages.reduce((max, p) => Math.max(max, p.inlinks || 0), 0) : 0;
+
+  for (const page of pages) {
+    const lastmod = resolveLastmod(page, options);
+    const rule = rules.find((r) => r.test(new URL(page.loc))) || {};
+    const auto = autoPriorityFor(page, autoPriority, maxInlinks);
+    const pagePriority = rule.priority ?? auto ?? priority;
+    const pageChangeFreq = rule.changeFreq ?? changeFreq;
+
+    let entry = '  <url>\n';
+    entry += `    <loc>${escapeXml(page.loc)}</loc>\n`;
+    if (lastmod) entry += `    <lastmod>${lastmod}</lastmod>\n`;
+    if (pageChangeFreq) entry += `    <changefreq>${pageChangeFreq}</changefreq>\n`;
+    if (typeof pagePriority === 'number') entry += `    <priority>${pagePriority}</priority>\n`;
+    if (includeImages) entry += buildImageTags(page.images);
+    if (includeVideos) entry += buildVideoTags(page.videos);
+    if (includeHreflang) entry += buildAlternateTags(page.alternates);
+    if (sitemapType === 'news' && page.news) entry += buildNewsTag(page.news);
+    entry += '  </url>';
+    yield entry;
+  }
+}
+
+// -----------------------------
+// Sitemap splitting & index generation
+// - Splits URLs into files that stay within the protocol's URL-count and size limits
+// - When more than one file is needed, adds a <sitemapindex> listing them
+//   (file URLs are resolved against options.baseUrl, where the files will be hosted;
+//   each file's <lastmod> is the newest <lastmod> inside it)
+// - options.gzip names the files sitemap-N.xml.gz (compression is up to the caller)
+// - options.sitemapType 'news' writes a Google News sitemap of the recent articles
+// -----------------------------
+
+// Pages a sitemap lists and its URL limit per file: news sitemaps only list
+// recent articles, in files of at most 1,000 URLs
+function selectSitemapPages(crawledPages, options = {}) {
+  if (options.sitemapType !== 'news') {
+    return { pages: crawledPages, maxUrlsPerFile: options.maxUrlsPerFile || SITEMAP_MAX_URLS };
+  }
+  return {
+    pages: selectNewsArticles(crawledPages, options),
+    maxUrlsPerFile: Math.min(options.maxUrlsPerFile || NEWS_SITEMAP_MAX_URLS, NEWS_SITEMAP_MAX_URLS),
+  };
+}
+
+// Yields { entry, file, lastmod } for each page's `<url>` entry in order, where
+// `file` (counting from 0) is the sitemap file it goes in
+function* splitUrlEntries(pages, maxUrlsPerFile, options = {}) {
+  const { maxBytesPerFile = SITEMAP_MAX_BYTES } = options;
+  const overheadBytes = Buffer.byteLength(urlsetHeader(getSitemapExtensions(options)) + URLSET_FOOTER);
+  let file = 0;
+  let fileUrls = 0;
+  let fileBytes = 0;
+  let i = 0;
+
+  for (const entry of buildUrlEntries(pages, options)) {
+    const entryBytes = Buffer.byteLength(entry) + 1; // + newline separator
+    const full = fileUrls >= maxUrlsPerFile || overheadBytes + fileBytes + entryBytes > maxBytesPerFile;
+    if (fileUrls > 0 && full) {
+      file += 1;
+      fileUrls = 0;
+      fileBytes = 0;
+    }
+    fileUrls += 1;
+    fileBytes += entryBytes;
+    yield { entry, file, lastmod: resolveLastmod(pages[i++], options) };
+  }
+}
+
+// Newest of two W3C datetimes (either may be null)
+function newerLastmod(a, b) {
+  if (!a) return b;
+  return b && Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+// Filename of sitemap file `i` (from 0) when the URLs are split
+function splitSitemapFilename(i, options = {}) {
+  return `sitemap-${i + 1}${options.gzip ? '.xml.gz' : '.xml'}`;
+}
+
+// { filename, xml } of the sitemap index for split files, given each file's newest lastmod
+function buildSitemapIndex(fileLastmods, options = {}) {
+  const { baseUrl } = options;
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  return {
+    filename: 'sitemap-index.xml',
+    xml: generateSitemapIndexXML(fileLastmods.map((lastmod, i) => ({
+      loc: new URL(splitSitemapFilename(i, options), base).toString(),
+      lastmod,
+    }))),
+  };
+}
+
+// Every sitemap file as a string
+// Returns { index: { filename, xml } | null, files: [{ filename, xml }] }
+function generateSitemapFiles(crawledPages, options = {}) {
+  const { pages, maxUrlsPerFile } = selectSitemapPages(crawledPages, options);
+  const extensions = getSitemapExtensions(options);
+  const chunks = [{ entries: [], lastmod: null }]; // always at least one (possibly empty) sitemap
+
+  for (const { entry, file, lastmod } of splitUrlEntries(pages, maxUrlsPerFile, options)) {
+    if (!chunks[file]) chunks.push({ entries: [], lastmod: null });
+    chunks[file].entries.push(entry);
+    chunks[file].lastmod = newerLastmod(chunks[file].lastmod, lastmod);
+  }
+
+  if (chunks.length === 1) {
+    const filename = options.gzip ? 'sitemap.xml.gz' : 'sitemap.xml';
+    return { index: null, files: [{ filename, xml: wrapUrlset(chunks[0].entries, extensions) }] };
+  }
+
+  const files = chunks.map((c, i) => ({ filename: splitSitemapFilename(i, options), xml: wrapUrlset(c.entries, extensions) }));
+  return { index: buildSitemapIndex(chunks.map((c) => c.lastmod), options), files };
+}
+
+// -----------------------------
+// Streaming sitemap output
+// - planSitemap sizes the files without keeping their entries; streamSitemap then
+//   writes the sitemap to a stream (the HTTP response), building and sending the
+//   `<url>` entries in batches as the stream drains, so the document is never held
+//   in memory whole. options.gzip compresses it on the way
+// - When the URLs need more than one file the sitemap index is written instead,
+//   as with generateSitemapFiles
+// -----------------------------
+
+// Characters of XML gathered before each write to the stream
+const SITEMAP_STREAM_CHUNK_CHARS = 64 * 1024;
+
+// Returns { pages, fileCount, index: { filename, xml } | null }
+function planSitemap(crawledPages, options = {}) {
+  const { pages, maxUrlsPerFile } = selectSitemapPages(crawledPages, options);
+  const fileLastmods = [null];
+  for (const { file, lastmod } of splitUrlEntries(pages, maxUrlsPerFile, options)) {
+    fileLastmods[file] = newerLastmod(fileLastmods[file] || null, lastmod);
+  }
+  const fileCount = fileLastmods.length;
+  return { pages, fileCount, index: fileCount > 1 ? buildSitemapIndex(fileLastmods, options) : null };
+}
+
+// Resolves once the whole sitemap (or index) of a plan is written and `output` has ended
+function streamSitemap(plan, output, options = {}) {
+  function* chunks() {
+    if (plan.index) {
+      yield plan.index.xml;
+      return;
+    }
+    let chunk = urlsetHeader(getSitemapExtensions(options));
+    let first = true;
+    for (const entry of buildUrlEntries(plan.pages, options)) {
+      chunk += first ? entry : `\n${entry}`;
+      first = false;
+      if (chunk.length >= SITEMAP_STREAM_CHUNK_CHARS) {
+        yield chunk;
+        chunk = '';
+      }
+    }
+    yield chunk + URLSET_FOOTER;
+  }
+  const stages = [Readable.from(chunks()), ...(options.gzip ? [zlib.createGzip()] : []), output];
+  return pipeline(...stages);
+}
+
+// <sitemapindex> document referencing the given sitemap files ({ loc, lastmod? })
+function generateSitemapIndexXML(sitemaps) {
+  const entries = sitemaps.map(({ loc, lastmod }) => {
+    let entry = '  <sitemap>\n';
+    entry += `    <loc>${escapeXml(loc)}</loc>\n`;
+    if (lastmod) entry += `    <lastmod>${lastmod}</lastmod>\n`;
+    entry += '  </sitemap>';
+    return entry;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    entries.join('\n') +
+    `\n</sitemapindex>`;
+}
+
+// ========================================
+// API Routes
+// ========================================
+
+// Crawler tuning options from a validated request (unset values use the crawler defaults)
+function getCrawlOptions(data) {
+  const {
+    concurrency,
+    delayMs,
+    maxDepth,
+    timeBudgetSeconds,
+    seedFromSitemaps,
+    skipNofollowLinks,
+    includeImages,
+    includeVideos,
+    includeHreflang,
+    sitemapType,
+    audit,
+    maxRedirects,
+    allowedRedirectHosts,
+    incremental,
+    render,
+    ignoreWww,
+    allowedSubdomains,
+    pathPrefix,
+    includePatterns,
+    excludePatterns,
+    stripQueryParams,
+  } = data;
+  return {
+    concurrency,
+    delayMs,
+    maxDepth,
+    timeBudgetSeconds,
+    seedFromSitemaps,
+    skipNofollowLinks,
+    includeImages,
+    includeVideos,
+    includeHreflang,
+    includeNews: sitemapType === 'news',
+    audit,
+    maxRedirects,
+    allowedRedirectHosts: allowedRedirectHosts && allowedRedirectHosts.map((host) => host.toLowerCase()),
+    incremental,
+    render,
+    ignoreWww,
+    allowedSubdomains,
+    pathPrefix,
+    includePatterns,
+    excludePatterns,
+    stripQueryParams,
+  };
+}
+
+// Generator options of a request
+// Sitemaps are meant to be hosted on the crawled site, so index entries default to its origin
+function getSitemapOptions(data, startUrl) {
+  const {
+    changeFreq,
+    priority,
+    includeLastMod,
+    lastmodFallback,
+    urlRules,
+    autoPriority,
+    includeImages,
+    includeVideos,
+    includeHreflang,
+    sitemapType,
+    newsPublicationName,
+    newsLanguage,
+    maxUrlsPerSitemap,
+    sitemapBaseUrl,
+  } = data;
+  return {
+    changeFreq,
+    priority,
+    urlRules,
+    autoPriority,
+    includeImages,
+    includeVideos,
+    includeHreflang,
+    sitemapType,
+    newsPublicationName,
+    newsLanguage,
+    includeLastMod,
+    lastmodFallback,
+    maxUrlsPerFile: maxUrlsPerSitemap,
+    baseUrl: sitemapBaseUrl || new URL('/', startUrl).toString(),
+  };
+}
+
+// Sitemap files for a finished crawl, using the request's generator options
+function buildSitemapFiles(pages, data, startUrl, extra = {}) {
+  return generateSitemapFiles(pages, { ...getSitemapOptions(data, startUrl), ...extra });
+}
+
+// Crawl stats as reported with the sitemap: in news mode urlsInSitemap counts the
+// articles the news sitemap lists, not every crawled page
+function sitemapStats(stats, pages, data) {
+  if (data.sitemapType !== 'news') return stats;
+  return { ...stats, urlsInSitemap: selectNewsArticles(pages, data).length };
+}
+
+// JSON shape of the sitemap output: `sitemapXML` is the sitemap itself, or the
+// sitemap index when the URLs were split, with the parts listed in `sitemaps`
+function toSitemapPayload({ index, files }) {
+  if (!index) return { sitemapXML: files[0].xml };
+  return { sitemapXML: index.xml, sitemaps: files };
+}
+
+// Accept-header preferences (first listed wins for */*): generate-sitemap answers
+// JSON clients with its JSON payload, download-sitemap defaults to sitemap XML
+const GENERATE_MEDIA_TYPES = [
+  'application/json',
+  'application/xml',
+  'text/xml',
+  'text/plain',
+  'text/csv',
+  'application/rss+xml',
+  'application/atom+xml',
+];
+const DOWNLOAD_MEDIA_TYPES = [
+  'application/xml',
+  'text/xml',
+  'text/plain',
+  'application/json',
+  'text/csv',
+  'application/rss+xml',
+  'application/atom+xml',
+];
+
+// Sends crawl output in one of OUTPUT_FORMATS as the response (disposition 'inline'
+// or 'attachment'): the sitemap (index) XML, streamed and gzip-compressed with
+// data.gzipSitemaps (X-Sitemap-Files says how many files the URLs need), or a
+// rendered URL list (text sitemaps send their first file and X-Sitemap-Files too).
+// Resolves once the response is sent
+async function sendOutput(res, format, { pages, stats }, data, startUrl, disposition) {
+  if (format === 'xml') {
+    const sitemapOptions = getSitemapOptions(data, startUrl);
+    const plan = planSitemap(pages, sitemapOptions);
+    const gzip = Boolean(data.gzipSitemaps);
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : OUTPUT_FORMATS.xml.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${OUTPUT_FORMATS.xml.filename}${gzip ? '.gz' : ''}"`);
+    res.setHeader('X-Sitemap-Files', String(plan.fileCount));
+    return streamSitemap(plan, res, { ...sitemapOptions, gzip });
+  }
+  const output = renderUrlList(format, pages, { stats, siteUrl: new URL('/', startUrl).toString() });
+  res.setHeader('Content-Type', output.contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${output.filename}"`);
+  if (output.files !== undefined) res.setHeader('X-Sitemap-Files', String(output.files));
+  res.send(output.body);
+}
+
+// Errors after a streamed response started: the failed pipeline already ended it,
+// so there is nothing to send (a client that went away isn't worth logging)
+function handleStreamError(err) {
+  if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('[API ERROR]', err);
+}
+
+// API keys (see api-keys.js): crawl routes accept `Authorization: Bearer <key>`,
+// which swaps the per-IP rate limit for the key's own limits and quota
+const apiKeyStore = createApiKeyStore();
+const apiKeyAuth = createApiKeyAuth(apiKeyStore);
+
+// Fetches a crawl of maxPages may make: the fetch ceiling, plus the hreflang checks
+function crawlFetchLimit(maxPages, data) {
+  const pages = maxPages ?? DEFAULT_MAX_PAGES;
+  return Math.ceil(pages * CRAWL_FETCHES_PER_PAGE) + (data.includeHreflang ? HREFLANG_CHECK_LIMIT : 0);
+}
+
+/**
+ * Holds up to `fetches` pages of the key's daily quota for a crawl, so concurrent
+ * crawls can't go past it together (anonymous crawls get an unlimited hold)
+ * Returns { maxFetches, onFetch, settle, release }: the crawl may make maxFetches
+ * fetches and reports each one through onFetch. Once it ends, settle() records the
+ * fetches made and frees the rest (call it in a finally, so failed crawls count
+ * too); release() frees the hold without recording a crawl
+ */
+function holdPageQuota(apiKey, fetches) {
+  if (!apiKey) return { maxFetches: Infinity, onFetch: () => {}, settle: () => {}, release: () => {} };
+  const reservation = apiKeyStore.reserveUsage(apiKey.id, fetches);
+  let fetched = 0;
+  return {
+    maxFetches: reservation.pages,
+    onFetch: () => {
+      fetched += 1;
+    },
+    settle: () => reservation.settle(fetched),
+    release: () => reservation.release(),
+  };
+}
+
+/**
+ * Applies the request's API key limits to a crawl and holds the quota it may use
+ * (options.fetches, else what a crawl of its size can fetch; see holdPageQuota)
+ * Returns { maxPages, quota } to crawl with (maxPages capped by the key's), or
+ * { status, error } when the crawl isn't allowed
+ */
+function checkCrawlAllowance(apiKey, data, { fetches } = {}) {
+  if (!apiKey) return { maxPages: data.maxPages, quota: holdPageQuota(null) };
+
+  const { maxPages } = apiKey.limits;
+  if (data.maxPages !== undefined && data.maxPages > maxPages) {
+    return { status: 400, error: `maxPages: must be <= ${maxPages} for this API key` };
+  }
+  const crawlMaxPages = Math.min(data.maxPages ?? DEFAULT_MAX_PAGES, maxPages);
+  const quota = holdPageQuota(apiKey, fetches ?? crawlFetchLimit(crawlMaxPages, data));
+  if (quota.maxFetches <= 0) {
+    quota.release();
+    return { status: 429, error: 'Daily page quota exceeded for this API key' };
+  }
+  return { maxPages: crawlMaxPages, quota };
+}
+
+// Cached crawl results and page states for incremental crawls (see crawl-cache.js)
+const crawlCache = createCrawlCache(getSharedStore());
+
+// Crawls that ended this way depend on the caller, not the site, so they aren't cached
+const UNCACHEABLE_STOP_REASONS = ['cancelled', 'pageQuota'];
+
+/**
+ * crawlWebsite behind the result cache
+ * - Returns the cached result of the same crawl (start URL, maxPages and options)
+ *   unless forceRefresh is set; includeDebug always crawls, as traces aren't cached
+ * - With options.incremental, crawls with the site's saved page states and saves the new ones
+ * stats.cache reports { hit, cachedAt?, ageSeconds? }
+ */
+async function crawlWithCache(startUrl, maxPages = DEFAULT_MAX_PAGES, options = {}, { forceRefresh = false } = {}) {
+  const normalizedStart = normalizeUrl(startUrl);
+  const cacheKey = crawlCacheKey(normalizedStart, maxPages, options);
+  const useCache = !options.includeDebug;
+
+  if (useCache && !forceRefresh) {
+    const cached = await crawlCache.getResult(cacheKey);
+    if (cached) {
+      const ageSeconds = Math.round((Date.now() - Date.parse(cached.cachedAt)) / 1000);
+      return { ...cached.result, stats: { ...cached.result.stats, cache: { hit: true, cachedAt: cached.cachedAt, ageSeconds } } };
+    }
+  }
+
+  const pageStates = options.incremental ? await crawlCache.getPageStates(normalizedStart) : undefined;
+  const { pageStates: nextPageStates, ...result } = await crawlWebsite(startUrl, maxPages, { ...options, pageStates });
+  result.stats.cache = { hit: false };
+
+  if (nextPageStates) await crawlCache.savePageStates(normalizedStart, nextPageStates);
+  if (useCache && !UNCACHEABLE_STOP_REASONS.includes(result.stats.stoppedBy)) {
+    await crawlCache.saveResult(cacheKey, result);
+  }
+  return result;
+}
+
+// Start URLs whose hostname resolves to a private or reserved address are refused
+// up front (400) rather than crawled into an empty sitemap; the SSRF guard still
+// checks every connection, so this is only about the error the client sees
+const SSRF_REJECTION = { error: 'url: hostname resolves to a private or reserved address (SSRF prevention)' };
+
+async function resolvesToBlockedAddress(url) {
+  try {
+    await assertPublicUrl(url);
+    return false;
+  } catch (err) {
+    if (err instanceof SsrfError) return true;
+    throw err;
+  }
+}
+
+// POST /api/generate-sitemap
+// Stricter rate limiting (20 req/15min per IP) + input validation
+// Responds with JSON ({ sitemapXML, stats, ... }) unless `format` is given or the
+// Accept header prefers another format (xml, txt, csv, rss, atom), which is
+// then returned as-is. `format: "json"` returns the URL list as JSON.
+app.post('/api/generate-sitemap', apiKeyAuth, crawlRateLimiter, async (req, res) => {
+  // Step 1: Validate request against schema
+  const validation = validateSitemapRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  if (await resolvesToBlockedAddress(validation.data.url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  const allowance = checkCrawlAllowance(req.apiKey, validation.data);
+  if (allowance.error) {
+    return res.status(allowance.status).json({ error: allowance.error });
+  }
+
+  const { url, includeDebug } = validation.data;
+
+  try {
+    // URL is already validated at schema level, safe to parse
+    const startUrl = new URL(url).toString();
+
+    // Crawl the site (maxPages / maxDepth / timeBudgetSeconds from the request, within server ceilings)
+    const format = negotiateFormat(req, validation.data.format, GENERATE_MEDIA_TYPES);
+    const { pages, stats: crawlStats, sources, warnings, audit, debug } = await crawlWithCache(startUrl, allowance.maxPages, { ...getCrawlOptions(validation.data), includeDebug, maxFetches: allowance.quota.maxFetches, onFetch: allowance.quota.onFetch }, validation.data);
+    const stats = sitemapStats(crawlStats, pages, validation.data);
+
+    if (validation.data.format || (format && format !== 'json')) {
+      return await sendOutput(res, format, { pages, stats }, validation.data, startUrl, 'inline');
+    }
+
+    // For sitemap include the visited pages (those we successfully fetched / recorded)
+    // If there are fewer than discovered, that's ok.
+    const payload = { ...toSitemapPayload(buildSitemapFiles(pages, validation.data, startUrl)), stats };
+    if (sources) payload.sources = sources;
+    if (warnings) payload.warnings = warnings;
+    if (audit) payload.audit = audit;
+    if (includeDebug && Array.isArray(debug)) payload.debug = debug;
+    return res.json(payload);
+  } catch (err) {
+    if (res.headersSent) return handleStreamError(err);
+    // Distinguish timeout-like errors from generic errors
+    // Never expose internal error details to client (security best practice)
+    if (err.code === 'ECONNABORTED') {
+      return res.status(504).json(createSecureErrorResponse(err, 504));
+    }
+    // Log error server-side but return generic message to client
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  } finally {
+    allowance.quota.settle();
+  }
+});
+
+// -----------------------------
+// GET /api/generate-sitemap/stream
+// Same options as /api/generate-sitemap, passed as query parameters so
+// browsers can consume it with EventSource. Emits Server-Sent Events:
+// - `progress`: live counts and the URL being fetched
+// - `crawl`: each crawl decision (same entries as the debug trace)
+// - `complete`: final { sitemapXML, sitemaps?, sources?, warnings?, audit?, stats } (same as the JSON endpoint)
+// - `failed`: generic error message (the stream then ends)
+// Closing the connection cancels the crawl.
+app.get('/api/generate-sitemap/stream', apiKeyAuth, crawlRateLimiter, async (req, res) => {
+  const validation = validateSitemapQuery(req.query);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  if (await resolvesToBlockedAddress(validation.data.url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  const allowance = checkCrawlAllowance(req.apiKey, validation.data);
+  if (allowance.error) {
+    return res.status(allowance.status).json({ error: allowance.error });
+  }
+
+  const { url } = validation.data;
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': heartbeat\n\n');
+  }, 15000);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    // URL is already validated at schema level, safe to parse
+    const startUrl = new URL(url).toString();
+
+    const { pages, stats: crawlStats, sources, warnings, audit } = await crawlWithCache(startUrl, allowance.maxPages, {
+      ...getCrawlOptions(validation.data),
+      maxFetches: allowance.quota.maxFetches,
+      onFetch: allowance.quota.onFetch,
+      signal: controller.signal,
+      onProgress: (progress) => sendEvent('progress', progress),
+      onEvent: (entry) => sendEvent('crawl', entry),
+    }, validation.data);
+    if (controller.signal.aborted) return;
+    const stats = sitemapStats(crawlStats, pages, validation.data);
+
+    const payload = { ...toSitemapPayload(buildSitemapFiles(pages, validation.data, startUrl)), stats };
+    if (sources) payload.sources = sources;
+    if (warnings) payload.warnings = warnings;
+    if (audit) payload.audit = audit;
+    sendEvent('complete', payload);
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    const status = err.code === 'ECONNABORTED' ? 504 : 500;
+    sendEvent('failed', createSecureErrorResponse(err, status));
+  } finally {
+    allowance.quota.settle();
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+});
+
+// -----------------------------
+// POST /api/download-sitemap
+// Same body as /api/generate-sitemap but returns the sitemap XML
+// as an attachment with `application/xml` Content-Type so clients
+// can download it directly.
+// When the URLs don't fit in one sitemap this is the sitemap index;
+// use /api/download-sitemap-bundle to get the parts too.
+// The XML is streamed as it is written; `gzipSitemaps` sends it as sitemap.xml.gz.
+// `format` (or the Accept header) selects txt, json, csv, rss or atom instead.
+// Also uses rate limiting and input validation
+app.post('/api/download-sitemap', apiKeyAuth, crawlRateLimiter, async (req, res) => {
+  // Step 1: Validate request against schema
+  const validation = validateSitemapRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  if (await resolvesToBlockedAddress(validation.data.url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  const allowance = checkCrawlAllowance(req.apiKey, validation.data);
+  if (allowance.error) {
+    return res.status(allowance.status).json({ error: allowance.error });
+  }
+
+  const { url } = validation.data;
+
+  try {
+    // URL is already validated at schema level, safe to parse
+    const startUrl = new URL(url).toString();
+
+    const format = negotiateFormat(req, validation.data.format, DOWNLOAD_MEDIA_TYPES) || 'xml';
+    const { pages, stats: crawlStats } = await crawlWithCache(startUrl, allowance.maxPages, { ...getCrawlOptions(validation.data), maxFetches: allowance.quota.maxFetches, onFetch: allowance.quota.onFetch }, validation.data);
+    const stats = sitemapStats(crawlStats, pages, validation.data);
+
+    // Optionally include stats as a header (also returned in JSON body if needed)
+    res.setHeader('X-Urls-Discovered', String(stats.urlsDiscovered));
+    res.setHeader('X-Urls-In-Sitemap', String(stats.urlsInSitemap));
+    res.setHeader('X-Crawl-Time-Seconds', String(stats.crawlTimeSeconds));
+    res.setHeader('X-Crawl-Stopped-By', stats.stoppedBy);
+
+    // Sent as a file download
+    return await sendOutput(res, format, { pages, stats }, validation.data, startUrl, 'attachment');
+  } catch (err) {
+    if (res.headersSent) return handleStreamError(err);
+    if (err.code === 'ECONNABORTED') {
+      return res.status(504).json(createSecureErrorResponse(err, 504));
+    }
+    // Log error server-side but return generic message to client
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  } finally {
+    allowance.quota.settle();
+  }
+});
+
+// -----------------------------
+// POST /api/download-sitemap-bundle
+// Same body as /api/generate-sitemap, plus `bundleFormat` ('zip' or 'tar.gz')
+// and `gzipSitemaps`. Returns every sitemap file (and the sitemap index when
+// the URLs were split) as one archive. With `gzipSitemaps` each sitemap is
+// stored gzip-compressed as sitemap-N.xml.gz.
+app.post('/api/download-sitemap-bundle', apiKeyAuth, crawlRateLimiter, async (req, res) => {
+  const validation = validateSitemapRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  if (await resolvesToBlockedAddress(validation.data.url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  const allowance = checkCrawlAllowance(req.apiKey, validation.data);
+  if (allowance.error) {
+    return res.status(allowance.status).json({ error: allowance.error });
+  }
+
+  const { url, bundleFormat = 'zip', gzipSitemaps = false } = validation.data;
+
+  try {
+    // URL is already validated at schema level, safe to parse
+    const startUrl = new URL(url).toString();
+
+    const { pages, stats: crawlStats } = await crawlWithCache(startUrl, allowance.maxPages, { ...getCrawlOptions(validation.data), maxFetches: allowance.quota.maxFetches, onFetch: allowance.quota.onFetch }, validation.data);
+    const stats = sitemapStats(crawlStats, pages, validation.data);
+    const { index, files } = buildSitemapFiles(pages, validation.data, startUrl, { gzip: gzipSitemaps });
+
+    const archive = bundleFormat === 'zip'
+      ? archiver('zip', { zlib: { level: 9 } })
+      : archiver('tar', { gzip: true });
+
+    res.setHeader('Content-Type', bundleFormat === 'zip' ? 'application/zip' : 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="sitemaps.${bundleFormat}"`);
+    res.setHeader('X-Urls-Discovered', String(stats.urlsDiscovered));
+    res.setHeader('X-Urls-In-Sitemap', String(stats.urlsInSitemap));
+    res.setHeader('X-Crawl-Time-Seconds', String(stats.crawlTimeSeconds));
+    res.setHeader('X-Crawl-Stopped-By', stats.stoppedBy);
+    res.setHeader('X-Sitemap-Files', String(files.length));
+
+    archive.on('error', (err) => {
+      console.error('[API ERROR]', err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    if (index) archive.append(index.xml, { name: index.filename });
+    for (const file of files) {
+      archive.append(gzipSitemaps ? zlib.gzipSync(file.xml) : file.xml, { name: file.filename });
+    }
+    await archive.finalize();
+  } catch (err) {
+    // Headers may already be out if the archive failed mid-stream
+    if (res.headersSent) {
+      console.error('[API ERROR]', err);
+      return res.destroy(err);
+    }
+    if (err.code === 'ECONNABORTED') {
+      return res.status(504).json(createSecureErrorResponse(err, 504));
+    }
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  } finally {
+    allowance.quota.settle();
+  }
+});
+
+// ========================================
+// Sitemap Validation
+// ========================================
+// Checks a sitemap written by another tool (see sitemap-validator.js). The
+// sitemap comes as the request body (XML or gzip), as a multipart upload (field
+// "file") or, in a JSON body, as the `url` to fetch it from.
+
+const SITEMAP_BODY_TYPES = ['application/xml', 'text/xml', 'application/gzip', 'application/x-gzip', 'application/octet-stream'];
+// Uploads are validated from a temporary file, never held in memory
+const SITEMAP_UPLOAD_DIR = os.tmpdir();
+// Whole download of a `url` sitemap, body included
+const SITEMAP_DOWNLOAD_TIMEOUT_MS = 30000;
+
+const readSitemapUpload = multer({
+  storage: multer.diskStorage({ destination: SITEMAP_UPLOAD_DIR }),
+  limits: { fileSize: SITEMAP_MAX_BYTES, files: 1, fields: 10 },
+}).single('file');
+
+// Writes the request body to a temporary file, at most SITEMAP_MAX_BYTES
+// Resolves with its path, or null for an empty body; rejects with err.type
+// 'entity.too.large' past the limit (the rest of the body is left unread)
+async function spoolRequestBody(req) {
+  const file = path.join(SITEMAP_UPLOAD_DIR, `sitemap-upload-${crypto.randomUUID()}`);
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, done) {
+      bytes += chunk.length;
+      if (bytes <= SITEMAP_MAX_BYTES) return done(null, chunk);
+      return done(Object.assign(new Error('Sitemap too large'), { type: 'entity.too.large' }));
+    },
+  });
+  const abort = (err) => limit.destroy(err || new Error('Request aborted'));
+  req.once('error', abort);
+  req.once('aborted', abort);
+  req.pipe(limit);
+  try {
+    await pipeline(limit, fs.createWriteStream(file));
+  } catch (err) {
+    req.unpipe(limit);
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  } finally {
+    req.off('error', abort);
+    req.off('aborted', abort);
+  }
+  if (bytes === 0) {
+    await fs.promises.rm(file, { force: true });
+    return null;
+  }
+  return file;
+}
+
+// Puts an XML body or upload in req.sitemapFile (the path of a temporary file,
+// removed once the response is done); answers 413/415/400 itself
+function readSitemapFile(req, res, next) {
+  res.once('close', () => {
+    if (req.sitemapFile) fs.rm(req.sitemapFile, { force: true }, () => {});
+  });
+  const tooLarge = () => res.status(413).json({ error: `Sitemap must not exceed ${SITEMAP_MAX_BYTES / 1024 / 1024} MB` });
+  const unreadable = () => res.status(400).json({ error: 'Could not read the sitemap from the request' });
+
+  if (req.is('multipart/form-data')) {
+    return readSitemapUpload(req, res, (err) => {
+      if (err && err.code === 'LIMIT_FILE_SIZE') return tooLarge();
+      if (err) return unreadable();
+      if (req.file) req.sitemapFile = req.file.path;
+      return next();
+    });
+  }
+  if (!req.is(SITEMAP_BODY_TYPES)) return next();
+  if (Number(req.headers['content-length']) > SITEMAP_MAX_BYTES) return tooLarge();
+  // gzip bodies are recognised by their magic bytes, whatever the header says
+  if (!['identity', 'gzip', 'x-gzip'].includes((req.headers['content-encoding'] || 'identity').toLowerCase())) {
+    return res.status(415).json({ error: 'Content-Encoding must be gzip or identity' });
+  }
+  return spoolRequestBody(req).then((file) => {
+    req.sitemapFile = file;
+    next();
+  }, (err) => (err.type === 'entity.too.large' ? tooLarge() : unreadable()));
+}
+
+// Fetches listed URLs for checkListedUrls (and hreflang targets the crawl didn't
+// fetch): robots.txt first (per origin), then the URL itself without following
+// redirects; requests end by the deadline when one is given
+function createListedUrlInspector({ deadline = Infinity } = {}) {
+  const robotsByOrigin = new Map();
+  const axiosInstance = axios.create({
+    ...GUARDED_AXIOS_CONFIG,
+    timeout: 5000,
+    maxRedirects: 0,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: 'text',
+    validateStatus: () => true,
+    headers: { 'User-Agent': CRAWLER_USER_AGENT },
+  });
+
+  return async (url) => {
+    const { origin, pathname, search } = new URL(url);
+    if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, fetchRobots(url, { userAgent: CRAWLER_USER_AGENT }));
+    if (!isPathAllowed(pathname + search, await robotsByOrigin.get(origin))) return { robotsBlocked: true };
+
+    const resp = await axiosInstance.get(url, { timeout: Math.max(1, Math.min(5000, deadline - Date.now())) });
+    const html = /html/i.test(resp.headers['content-type'] || '') ? String(resp.data || '') : '';
+    return {
+      status: resp.status,
+      location: resolveLink(resp.headers.location, url),
+      noindex: readRobotsDirectives(cheerio.load(html), resp.headers).noindex,
+    };
+  };
+}
+
+// POST /api/validate-sitemap
+// Body: the sitemap (Content-Type application/xml, text/xml or application/gzip),
+// a multipart upload, or JSON { url }. Options: checkUrls, sampleSize (JSON
+// fields, or query/form fields with the other two)
+// Responds with the report (200 whether or not the sitemap is valid)
+app.post('/api/validate-sitemap', apiKeyAuth, crawlRateLimiter, readSitemapFile, async (req, res) => {
+  const validation = req.sitemapFile
+    ? validateSitemapValidationFields({ ...req.query, ...(req.file ? req.body : {}) })
+    : validateSitemapValidationRequest(req.is('application/json') ? req.body : {});
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const { url, checkUrls = false } = validation.data;
+  let { sampleSize = DEFAULT_SAMPLE_SIZE } = validation.data;
+  if (!req.sitemapFile && !url) {
+    return res.status(400).json({ error: 'Send the sitemap as the request body (application/xml), as an upload (multipart field "file") or as a JSON { url }' });
+  }
+  if (url && await resolvesToBlockedAddress(url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  // Checked URLs count against the API key's page quota
+  let quota = holdPageQuota(null);
+  if (checkUrls) {
+    const allowance = checkCrawlAllowance(req.apiKey, {}, { fetches: sampleSize });
+    if (allowance.error) {
+      return res.status(allowance.status).json({ error: allowance.error });
+    }
+    quota = allowance.quota;
+    sampleSize = Math.min(sampleSize, quota.maxFetches);
+  }
+
+  try {
+    const couldNotFetch = (err) => {
+      const status = err.response && err.response.status;
+      return res.status(502).json({ error: `Could not fetch the sitemap (${status ? `HTTP ${status}` : 'network error'})` });
+    };
+    let source;
+    if (url) {
+      try {
+        source = await openSitemapDownload(url, { userAgent: CRAWLER_USER_AGENT, timeoutMs: SITEMAP_DOWNLOAD_TIMEOUT_MS });
+      } catch (err) {
+        return couldNotFetch(err);
+      }
+    } else {
+      source = fs.createReadStream(req.sitemapFile);
+    }
+    // Read by the validator as it goes: a download can still fail midway
+    let readError = null;
+    source.once('error', (err) => {
+      readError = err;
+    });
+
+    let result;
+    try {
+      result = await validateSitemap(source, { sitemapUrl: url });
+    } catch (err) {
+      if (url && readError) return couldNotFetch(readError);
+      throw err;
+    } finally {
+      source.destroy();
+    }
+    const { locs, ...report } = result;
+    if (checkUrls) {
+      const inspect = createListedUrlInspector();
+      report.urlCheck = await checkListedUrls(locs, {
+        sampleSize,
+        inspect: (loc) => {
+          quota.onFetch();
+          return inspect(loc);
+        },
+      });
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  } finally {
+    quota.settle();
+  }
+});
+
+// ========================================
+// Crawl Jobs (asynchronous crawling)
+// ========================================
+// Clients enqueue a crawl, poll its status and fetch the sitemap when done,
+// so large sites don't hit client-side request timeouts.
+
+// Job state goes to the shared store too when it is persistent (file or redis)
+const sharedStore = getSharedStore();
+const jobManager = createJobManager({
+  store: sharedStore.persistent ? sharedStore : null,
+  runJob: async (params, { signal, onProgress, apiKeyId }) => {
+    const startUrl = new URL(params.url).toString();
+
+    // The quota is held when the job starts, as queued jobs may run much later
+    // (a used-up quota stops the crawl at once, with stoppedBy 'pageQuota')
+    const apiKey = apiKeyId && apiKeyStore.getKey(apiKeyId);
+    const quota = holdPageQuota(apiKey, crawlFetchLimit(params.maxPages, params));
+
+    try {
+      const { pages, stats, warnings, audit } = await crawlWithCache(startUrl, params.maxPages, {
+        ...getCrawlOptions(params),
+        signal,
+        onProgress,
+        maxFetches: quota.maxFetches,
+        onFetch: quota.onFetch,
+      }, params);
+
+      const result = { ...toSitemapPayload(buildSitemapFiles(pages, params, startUrl)), stats: sitemapStats(stats, pages, params) };
+      if (warnings) result.warnings = warnings;
+      if (audit) result.audit = audit;
+      return result;
+    } finally {
+      quota.settle();
+    }
+  },
+});
+
+// POST /api/jobs
+// Same body as /api/generate-sitemap; responds 202 with the job ID
+app.post('/api/jobs', apiKeyAuth, crawlRateLimiter, async (req, res) => {
+  const validation = validateSitemapRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  if (await resolvesToBlockedAddress(validation.data.url)) {
+    return res.status(400).json(SSRF_REJECTION);
+  }
+  const allowance = checkCrawlAllowance(req.apiKey, validation.data);
+  if (allowance.error) {
+    return res.status(allowance.status).json({ error: allowance.error });
+  }
+  // The job holds its quota once it runs
+  allowance.quota.release();
+
+  try {
+    const job = jobManager.createJob({ ...validation.data, maxPages: allowance.maxPages }, { apiKeyId: req.apiKey?.id });
+    res.setHeader('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json(toPublicJob(job));
+  } catch (err) {
+    if (err instanceof JobQueueFullError) {
+      return res.status(503).json(createSecureErrorResponse(err, 503));
+    }
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// GET /api/jobs/:id
+// Job state (queued/running/done/failed/cancelled) and live progress counts
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  return res.json(toPublicJob(job));
+});
+
+// GET /api/jobs/:id/sitemap.xml
+// GET /api/jobs/:id/sitemap-N.xml
+// Sitemap XML of a finished job (the sitemap index when it was split, and
+// each part by name); 409 while the job is not done
+app.get('/api/jobs/:id/:filename', async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { filename } = req.params;
+  if (!/^sitemap(-\d+)?\.xml$/.test(filename)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (job.state !== JOB_STATES.DONE) {
+    return res.status(409).json({ error: `Job is ${job.state}`, state: job.state });
+  }
+
+  const { sitemapXML, sitemaps = [] } = job.result;
+  const file = filename === 'sitemap.xml' ? { xml: sitemapXML } : sitemaps.find((f) => f.filename === filename);
+  if (!file) {
+    return res.status(404).json({ error: 'Sitemap file not found' });
+  }
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.send(file.xml);
+});
+
+// DELETE /api/jobs/:id
+// Cancels a queued or running crawl; 409 if it already finished
+app.delete('/api/jobs/:id', async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  try {
+    if (!(await jobManager.cancelJob(job.id))) {
+      return res.status(409).json({ error: `Job is already ${job.state}`, state: job.state });
+    }
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(503).json(createSecureErrorResponse(err, 503));
+  }
+  return res.status(202).json(toPublicJob(job));
+});
+
+// ========================================
+// Scheduled Crawls
+// ========================================
+// Recurring crawls on a cron schedule (see schedules.js), owned by an API key.
+// Each run keeps a snapshot of the sitemap and its URLs' content hashes, so
+// runs can be diffed, and a signed webhook can be called when a run ends.
+
+const requireApiKey = createApiKeyAuth(apiKeyStore, { required: true });
+
+const scheduler = createScheduler({
+  runCrawl: async (params, { apiKeyId }) => {
+    const apiKey = apiKeyStore.getKey(apiKeyId);
+    if (!apiKey || apiKey.revokedAt) throw new ScheduleRunError('API key revoked');
+    if (await resolvesToBlockedAddress(params.url)) throw new ScheduleRunError(SSRF_REJECTION.error);
+    const allowance = checkCrawlAllowance(apiKey, params);
+    if (allowance.error) throw new ScheduleRunError(allowance.error);
+
+    // Always a fresh crawl: a cached result would hide the changes a run is meant to find
+    const startUrl = new URL(params.url).toString();
+    try {
+      const { pages, stats } = await crawlWithCache(startUrl, allowance.maxPages, {
+        ...getCrawlOptions(params),
+        maxFetches: allowance.quota.maxFetches,
+        onFetch: allowance.quota.onFetch,
+      }, { forceRefresh: true });
+      return { ...toSitemapPayload(buildSitemapFiles(pages, params, startUrl)), stats: sitemapStats(stats, pages, params), pages };
+    } finally {
+      allowance.quota.settle();
+    }
+  },
+});
+scheduler.start();
+
+// Schedule of the request's API key, or null (others' schedules look missing)
+function ownSchedule(req) {
+  const schedule = scheduler.getSchedule(req.params.id);
+  return schedule && schedule.apiKeyId === req.apiKey.id ? schedule : null;
+}
+
+// POST /api/schedules
+// Body: { name?, cron, crawl: <same body as /api/generate-sitemap>, webhookUrl?, webhookSecret? }
+// Responds 201 with the schedule; `webhookSecret` is only shown here
+app.post('/api/schedules', requireApiKey, crawlRateLimiter, async (req, res) => {
+  try {
+    const validation = validateScheduleRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { name, cron, crawl, webhookUrl, webhookSecret } = validation.data;
+    if (await resolvesToBlockedAddress(crawl.url)) {
+      return res.status(400).json({ error: `crawl.${SSRF_REJECTION.error}` });
+    }
+    if (webhookUrl && await resolvesToBlockedAddress(webhookUrl)) {
+      return res.status(400).json({ error: 'webhookUrl: hostname resolves to a private or reserved address (SSRF prevention)' });
+    }
+    if (crawl.maxPages !== undefined && crawl.maxPages > req.apiKey.limits.maxPages) {
+      return res.status(400).json({ error: `crawl.maxPages: must be <= ${req.apiKey.limits.maxPages} for this API key` });
+    }
+
+    const created = scheduler.createSchedule({ apiKeyId: req.apiKey.id, name, cron, params: crawl, webhookUrl, webhookSecret });
+    if (!created) {
+      return res.status(403).json({ error: 'Schedule limit reached for this API key' });
+    }
+    res.setHeader('Location', `/api/schedules/${created.schedule.id}`);
+    return res.status(201).json({ ...toPublicSchedule(created.schedule), webhookSecret: created.webhookSecret });
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// GET /api/schedules
+app.get('/api/schedules', requireApiKey, (req, res) => {
+  return res.json({ schedules: scheduler.listSchedules(req.apiKey.id).map(toPublicSchedule) });
+});
+
+// GET /api/schedules/:id
+// The schedule with its next run time and the summaries of its kept runs
+app.get('/api/schedules/:id', requireApiKey, (req, res) => {
+  const schedule = ownSchedule(req);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  return res.json(toPublicSchedule(schedule));
+});
+
+// DELETE /api/schedules/:id
+// Deletes the schedule and its run snapshots
+app.delete('/api/schedules/:id', requireApiKey, async (req, res) => {
+  try {
+    const schedule = ownSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    await scheduler.deleteSchedule(schedule.id);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// POST /api/schedules/:id/runs
+// Starts a run now (outside the cron schedule); 409 if one is already queued or running
+app.post('/api/schedules/:id/runs', requireApiKey, crawlRateLimiter, (req, res) => {
+  const schedule = ownSchedule(req);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (!scheduler.runNow(schedule.id)) {
+    return res.status(409).json({ error: 'A run of this schedule is already queued or running' });
+  }
+  return res.status(202).json(toPublicSchedule(schedule));
+});
+
+// GET /api/schedules/:id/diff?from=<runId>&to=<runId>
+// URLs added, removed and changed (by content hash) between two finished runs;
+// defaults to the latest finished run and the one before it
+app.get('/api/schedules/:id/diff', requireApiKey, async (req, res) => {
+  try {
+    const schedule = ownSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const { from, to } = req.query;
+    if ((from !== undefined && typeof from !== 'string') || (to !== undefined && typeof to !== 'string')) {
+      return res.status(400).json({ error: 'from and to must be run IDs' });
+    }
+    const diff = await scheduler.diffRuns(schedule.id, { from, to });
+    if (!diff) {
+      return res.status(404).json({ error: 'Two finished runs are needed for a diff' });
+    }
+    return res.json(diff);
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// GET /api/schedules/:id/runs/:runId
+app.get('/api/schedules/:id/runs/:runId', requireApiKey, async (req, res) => {
+  try {
+    const run = ownSchedule(req) && await scheduler.getRun(req.params.id, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    return res.json(toPublicRun(run));
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// GET /api/schedules/:id/runs/:runId/sitemap.xml
+// GET /api/schedules/:id/runs/:runId/sitemap-N.xml
+// Sitemap snapshot of a finished run, as for jobs
+app.get('/api/schedules/:id/runs/:runId/:filename', requireApiKey, async (req, res) => {
+  try {
+    const run = ownSchedule(req) && await scheduler.getRun(req.params.id, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { filename } = req.params;
+    if (!/^sitemap(-\d+)?\.xml$/.test(filename)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (run.state !== RUN_STATES.DONE) {
+      return res.status(409).json({ error: `Run is ${run.state}`, state: run.state });
+    }
+
+    const file = filename === 'sitemap.xml' ? { xml: run.sitemapXML } : (run.sitemaps || []).find((f) => f.filename === filename);
+    if (!file) {
+      return res.status(404).json({ error: 'Sitemap file not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(file.xml);
+  } catch (err) {
+    console.error('[API ERROR]', err);
+    return res.status(500).json(createSecureErrorResponse(err, 500));
+  }
+});
+
+// ========================================
+// API Key Administration
+// ========================================
+// Requires `Authorization: Bearer <ADMIN_API_TOKEN>`; disabled (404) when unset.
+
+// POST /api/admin/keys
+// Body: { name, limits?: { requestsPer15Min, dailyPageQuota, maxPages } }
+// Responds 201 with the key; `key` is the secret and is never shown again
+app.post('/api/admin/keys', requireAdminToken, (req, res) => {
+  const validation = validateApiKeyRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { token, key } = apiKeyStore.issueKey(validation.data);
+  return res.status(201).json({ ...toPublicKey(key), key: token });
+});
+
+// GET /api/admin/keys
+app.get('/api/admin/keys', requireAdminToken, (req, res) => {
+  const keys = apiKeyStore.listKeys().map((key) => ({ ...toPublicKey(key), usageToday: apiKeyStore.usageToday(key.id) }));
+  return res.json({ keys });
+});
+
+// GET /api/admin/keys/:id
+// The key with its usage ledger (crawls and pages per UTC day, newest first)
+app.get('/api/admin/keys/:id', requireAdminToken, (req, res) => {
+  const key = apiKeyStore.getKey(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  return res.json({ ...toPublicKey(key), usage: apiKeyStore.usageHistory(key.id) });
+});
+
+// DELETE /api/admin/keys/:id
+// Revokes the key; requests using it get 401 from then on
+app.delete('/api/admin/keys/:id', requireAdminToken, (req, res) => {
+  const key = apiKeyStore.revokeKey(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  return res.json(toPublicKey(key));
+});
+
+// ========================================
+// Health Check Route (exempt from rate limiting)
+// ========================================
+app.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'Sitemap Generator API',
+    version: '2.0.0',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// ========================================
+// Start server
+// ========================================
+// The file store writes lazily: flush it and the schedules (and close Redis
+// connections and the headless browser) before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    Promise.allSettled([sharedStore.close(), scheduler.stop(), closeRenderer()]).finally(() => process.exit(0));
+  });
+}
 
-// ========================================
-// Start server
-// ========================================
 app.listen(PORT, () => {
   console.log(`Sitemap Generator API listening on port ${PORT}`);
   console.log('Security features enabled:');
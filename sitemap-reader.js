@@ -0,0 +1,228 @@
+// sitemap-reader.js
+// Reads a site's existing sitemaps
+// - Discovers them from robots.txt Sitemap: lines and /sitemap.xml
+// - Parses both <urlset> and <sitemapindex> files, plain or gzip-compressed, in
+//   one streaming pass (htmlparser2) as they download: only the <loc>s are kept
+// - Follows sitemap indexes breadth-first, within file and URL limits
+
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { Parser } = require('htmlparser2');
+const { guardedAxios } = require('./ssrf-guard');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+// Stop after reading this many sitemap files (indexes can fan out widely)
+const SITEMAP_READER_MAX_FILES = Number(process.env.SITEMAP_READER_MAX_FILES) || 20;
+
+// Stop collecting page URLs after this many
+const SITEMAP_READER_MAX_URLS = Number(process.env.SITEMAP_READER_MAX_URLS) || 50000;
+
+// sitemaps.org limit for one sitemap file (uncompressed)
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+
+const SITEMAP_FETCH_TIMEOUT_MS = 10000;
+
+// Buffers are read in chunks too, so a large one doesn't hold up other requests
+const CHUNK_BYTES = 64 * 1024;
+
+// ========================================
+// SECTION 2: PARSING
+// ========================================
+
+function* inChunks(buffer) {
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_BYTES) yield buffer.subarray(offset, offset + CHUNK_BYTES);
+}
+
+/**
+ * The file's bytes, gunzipped when they start with the gzip magic bytes
+ * (servers often send .xml.gz files without Content-Encoding)
+ * `source` is a Buffer, a string or a readable stream (read as it is consumed)
+ * Resolves with { stream, compressed }
+ */
+async function openSitemapStream(source) {
+  const input = Buffer.isBuffer(source) || typeof source === 'string' ? Readable.from(inChunks(Buffer.from(source))) : source;
+  const chunks = input[Symbol.asyncIterator]();
+  const head = [];
+  let headBytes = 0;
+  let ended = false;
+  while (headBytes < 2 && !ended) {
+    const { value, done } = await chunks.next();
+    if (done) ended = true;
+    else {
+      head.push(value);
+      headBytes += value.length;
+    }
+  }
+  async function* all() {
+    yield* head;
+    if (!ended) yield* { [Symbol.asyncIterator]: () => chunks };
+  }
+  const first = Buffer.concat(head.map((chunk) => Buffer.from(chunk)));
+  const compressed = first.length > 2 && first[0] === 0x1f && first[1] === 0x8b;
+  const stream = Readable.from(all(), { objectMode: false });
+  return { stream: compressed ? pipeline(stream, zlib.createGunzip(), () => {}) : stream, compressed };
+}
+
+/**
+ * Reads the <loc>s of a sitemap file (a Buffer, a string or a readable stream,
+ * plain or gzip-compressed) without holding the document
+ * - onLoc(loc, type): called for each entry's <loc> in order; returning false
+ *   stops the reading (the rest of the file is not downloaded)
+ * Resolves with { type: 'urlset' | 'sitemapindex' | null, entries: <loc>s read };
+ * rejects past SITEMAP_MAX_BYTES uncompressed, or when the source fails
+ */
+async function readSitemapLocs(source, onLoc) {
+  const open = []; // local names of the open elements
+  let type;
+  let entries = 0;
+  let loc = null; // text of the <loc> being read
+  let stopped = false;
+
+  // Drop a namespace prefix such as <sm:urlset>
+  const localName = (name) => name.split(':').pop().toLowerCase();
+  const parser = new Parser({
+    onopentag(name) {
+      const local = localName(name);
+      if (type === undefined) type = local === 'urlset' || local === 'sitemapindex' ? local : null;
+      open.push(local);
+      if (type && open.length === 3 && local === 'loc' && open[1] === (type === 'urlset' ? 'url' : 'sitemap')) loc = '';
+    },
+    ontext(text) {
+      if (loc !== null) loc += text;
+    },
+    onclosetag() {
+      if (open.length === 3 && loc !== null) {
+        const value = loc.trim();
+        loc = null;
+        if (value && !stopped) {
+          entries += 1;
+          if (onLoc(value, type) === false) stopped = true;
+        }
+      }
+      open.pop();
+    },
+  }, { xmlMode: true });
+
+  const { stream } = await openSitemapStream(source);
+  const decoder = new TextDecoder(); // drops a leading BOM
+  let bytes = 0;
+  for await (const chunk of stream) {
+    bytes += chunk.length;
+    if (bytes > SITEMAP_MAX_BYTES) throw new Error(`Sitemap is larger than ${SITEMAP_MAX_BYTES / 1024 / 1024} MB uncompressed`);
+    parser.write(decoder.decode(chunk, { stream: true }));
+    if (stopped) break;
+  }
+  if (!stopped) {
+    parser.write(decoder.decode());
+    parser.end();
+  }
+  return { type: type || null, entries };
+}
+
+// ========================================
+// SECTION 3: FETCHING
+// ========================================
+
+/**
+ * Starts downloading one sitemap file; resolves with the response body as a
+ * readable stream once the headers are in (rejects on HTTP errors)
+ * timeoutMs bounds the whole download, body included. The caller limits how much
+ * it reads: axios doesn't apply maxContentLength to streams.
+ */
+async function openSitemapDownload(url, { userAgent, signal, timeoutMs = SITEMAP_FETCH_TIMEOUT_MS } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const resp = await guardedAxios.get(url, {
+    timeout: timeoutMs,
+    responseType: 'stream',
+    headers: userAgent ? { 'User-Agent': userAgent } : {},
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  return resp.data;
+}
+
+/**
+ * Reads every sitemap reachable from robots.txt Sitemap: lines and /sitemap.xml
+ * Returns {
+ *   urls: page URLs in the order they were listed (deduplicated),
+ *   files: [{ url, type, entries } | { url, error }] for each sitemap file tried
+ *     (entries: the <loc>s read, up to where the limits stopped the reading)
+ * }
+ * Never rejects: unreadable files are reported in `files`.
+ * Stops when `signal` is aborted or at `deadline` (a timestamp; each download's
+ * timeout is shortened to fit), so the reading fits in the crawl's time budget
+ */
+async function readExistingSitemaps(startUrl, options = {}) {
+  const {
+    sitemapUrls = [],
+    userAgent,
+    signal,
+    maxFiles = SITEMAP_READER_MAX_FILES,
+    maxUrls = SITEMAP_READER_MAX_URLS,
+    deadline = Infinity,
+  } = options;
+
+  const pending = [...sitemapUrls, new URL('/sitemap.xml', startUrl).toString()];
+  const seenFiles = new Set();
+  const seenUrls = new Set();
+  const urls = [];
+  const files = [];
+
+  // Page URLs are collected up to maxUrls; indexes list at most maxFiles files worth reading
+  function onLoc(loc, type) {
+    if (type === 'sitemapindex') {
+      if (!seenFiles.has(loc)) pending.push(loc);
+      return pending.length < maxFiles;
+    }
+    if (!seenUrls.has(loc)) {
+      seenUrls.add(loc);
+      urls.push(loc);
+    }
+    return urls.length < maxUrls;
+  }
+
+  while (pending.length > 0 && files.length < maxFiles && urls.length < maxUrls) {
+    if (signal && signal.aborted) break;
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) break;
+
+    const fileUrl = pending.shift();
+    if (seenFiles.has(fileUrl)) continue;
+    seenFiles.add(fileUrl);
+
+    try {
+      const body = await openSitemapDownload(fileUrl, {
+        userAgent,
+        signal,
+        timeoutMs: Math.min(SITEMAP_FETCH_TIMEOUT_MS, remainingMs),
+      });
+      let result;
+      try {
+        result = await readSitemapLocs(body, onLoc);
+      } finally {
+        body.destroy();
+      }
+      files.push(result.type
+        ? { url: fileUrl, type: result.type, entries: result.entries }
+        : { url: fileUrl, error: 'Not a sitemap' });
+    } catch (err) {
+      const status = err.response && err.response.status;
+      files.push({ url: fileUrl, error: status ? `HTTP ${status}` : 'Fetch failed' });
+    }
+  }
+
+  return { urls, files };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  openSitemapStream,
+  readSitemapLocs,
+  openSitemapDownload,
+  readExistingSitemaps,
+};
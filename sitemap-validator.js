@@ -0,0 +1,676 @@
+// sitemap-validator.js
+// Checks sitemap files written by other tools (POST /api/validate-sitemap)
+// - One streaming pass (htmlparser2) over the file, read and decompressed chunk
+//   by chunk, checks well-formedness and the sitemaps.org schema with the image,
+//   video, news and xhtml extensions; other requests are served between chunks
+// - Limits: 50,000 URLs (or sitemaps) and 50 MB uncompressed per file, 1,000
+//   news URLs, 1,000 images per URL
+// - Values: <loc> URLs (absolute, escaped, at most 2,048 characters),
+//   W3C Datetime dates, <changefreq>, <priority>, duplicate <loc>s
+// - checkListedUrls fetches a sample of the listed URLs and reports the ones
+//   search engines would skip
+// Issues are { severity: 'error' | 'warning', code, message, line }; a sitemap is
+// valid when it has no errors.
+
+const { Parser } = require('htmlparser2');
+const { openSitemapStream } = require('./sitemap-reader');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+// sitemaps.org limits for one file
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024; // 50 MB, uncompressed
+const SITEMAP_MAX_LOC_LENGTH = 2048;
+
+// Google limits for the extensions
+const NEWS_SITEMAP_MAX_URLS = 1000;
+const MAX_IMAGES_PER_URL = 1000;
+const MAX_VIDEO_TAGS = 32;
+const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+const MAX_VIDEO_DURATION_SECONDS = 28800;
+
+// Issues listed in a report (the counts include the rest)
+const VALIDATION_MAX_ISSUES = 1000;
+
+// Listed URLs fetched by checkListedUrls by default, and at once
+const DEFAULT_SAMPLE_SIZE = 20;
+const SAMPLE_CONCURRENCY = 4;
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const EXTENSION_NAMESPACES = {
+  image: 'http://www.google.com/schemas/sitemap-image/1.1',
+  video: 'http://www.google.com/schemas/sitemap-video/1.1',
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  news: 'http://www.google.com/schemas/sitemap-news/0.9',
+};
+
+const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// YYYY, YYYY-MM, YYYY-MM-DD or a date with hh:mm[:ss[.s]] and a time zone
+const W3C_DATETIME_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2}):(\d{2})))?)?)?$/;
+
+// Characters allowed in a URL as-is (RFC 3986); anything else must be percent-encoded
+const URL_CHARACTERS_PATTERN = /^[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]*$/;
+
+const HREFLANG_PATTERN = /^([a-z]{2,3}(-[a-z0-9]{2,8})*|x-default)$/i;
+
+// ISO 639 language code, plus the two Chinese scripts Google News names
+const NEWS_LANGUAGE_PATTERN = /^([a-z]{2,3}|zh-cn|zh-tw)$/i;
+
+// Entity references XML knows without a DTD
+const XML_ENTITY_PATTERN = /^&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/i;
+
+// ========================================
+// SECTION 2: SCHEMA
+// ========================================
+// Each element spec lists its allowed `children` (by local name, in the spec's
+// namespace) or the `format` of its text, plus how often it may appear.
+
+const urlSpec = {
+  order: ['loc', 'lastmod', 'changefreq', 'priority'],
+  children: {
+    loc: { required: true, max: 1, format: 'loc' },
+    lastmod: { max: 1, format: 'datetime' },
+    changefreq: { max: 1, format: 'changefreq' },
+    priority: { max: 1, format: 'priority' },
+  },
+};
+
+const sitemapSpec = {
+  order: ['loc', 'lastmod'],
+  children: {
+    loc: { required: true, max: 1, format: 'loc' },
+    lastmod: { max: 1, format: 'datetime' },
+  },
+};
+
+// Extension elements allowed in <url>, by namespace
+const EXTENSION_SPECS = {
+  [EXTENSION_NAMESPACES.image]: {
+    image: {
+      extension: 'image',
+      max: MAX_IMAGES_PER_URL,
+      children: {
+        loc: { required: true, max: 1, format: 'url' },
+        caption: { deprecated: true },
+        geo_location: { deprecated: true },
+        title: { deprecated: true },
+        license: { deprecated: true },
+      },
+    },
+  },
+  [EXTENSION_NAMESPACES.video]: {
+    video: {
+      extension: 'video',
+      oneOf: ['content_loc', 'player_loc'],
+      children: {
+        thumbnail_loc: { required: true, max: 1, format: 'url' },
+        title: { required: true, max: 1 },
+        description: { required: true, max: 1, maxLength: MAX_VIDEO_DESCRIPTION_LENGTH },
+        content_loc: { max: 1, format: 'url' },
+        player_loc: { max: 1, format: 'url' },
+        duration: { max: 1, format: 'duration' },
+        expiration_date: { max: 1, format: 'datetime' },
+        rating: { max: 1, format: 'rating' },
+        view_count: { max: 1, format: 'integer' },
+        publication_date: { max: 1, format: 'datetime' },
+        family_friendly: { max: 1, format: 'yesno' },
+        restriction: { max: 1, relationship: true },
+        platform: { max: 1, relationship: true },
+        requires_subscription: { max: 1, format: 'yesno' },
+        uploader: { max: 1 },
+        live: { max: 1, format: 'yesno' },
+        tag: { max: MAX_VIDEO_TAGS },
+        price: {},
+        category: { deprecated: true },
+        gallery_loc: { deprecated: true },
+      },
+    },
+  },
+  [EXTENSION_NAMESPACES.news]: {
+    news: {
+      extension: 'news',
+      max: 1,
+      children: {
+        publication: {
+          required: true,
+          max: 1,
+          children: {
+            name: { required: true, max: 1 },
+            language: { required: true, max: 1, format: 'newsLanguage' },
+          },
+        },
+        publication_date: { required: true, max: 1, format: 'datetime' },
+        title: { required: true, max: 1 },
+        access: { deprecated: true },
+        genres: { deprecated: true },
+        keywords: { deprecated: true },
+        stock_tickers: { deprecated: true },
+      },
+    },
+  },
+  [EXTENSION_NAMESPACES.xhtml]: {
+    link: { extension: 'xhtml', alternate: true },
+  },
+};
+
+// ========================================
+// SECTION 3: VALUE CHECKS
+// ========================================
+// Each returns an error message, or null when the value is fine
+
+function checkW3cDatetime(value) {
+  const match = W3C_DATETIME_PATTERN.exec(value);
+  if (!match) return 'is not a W3C Datetime (e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00)';
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', tzHour = '00', tzMinute = '00'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  const dateExists = date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+  if (!dateExists || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59 || Number(tzHour) > 14 || Number(tzMinute) > 59) {
+    return 'is not a valid date';
+  }
+  return null;
+}
+
+function checkUrlValue(value) {
+  if (value.length > SITEMAP_MAX_LOC_LENGTH) return `is longer than ${SITEMAP_MAX_LOC_LENGTH} characters`;
+  if (!URL_CHARACTERS_PATTERN.test(value) || /%(?![0-9a-f]{2})/i.test(value)) {
+    return 'has characters that must be percent-encoded';
+  }
+  if (!URL.canParse(value) || !/^https?:$/.test(new URL(value).protocol)) return 'is not an absolute http(s) URL';
+  return null;
+}
+
+const FORMAT_CHECKS = {
+  loc: checkUrlValue,
+  url: checkUrlValue,
+  datetime: checkW3cDatetime,
+  changefreq: (value) => (CHANGE_FREQUENCIES.includes(value) ? null : `must be one of ${CHANGE_FREQUENCIES.join(', ')}`),
+  priority: (value) => (/^(\d+\.?\d*|\.\d+)$/.test(value) && Number(value) <= 1 ? null : 'must be a number from 0.0 to 1.0'),
+  duration: (value) => (/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_VIDEO_DURATION_SECONDS
+    ? null
+    : `must be whole seconds from 1 to ${MAX_VIDEO_DURATION_SECONDS}`),
+  rating: (value) => (/^(\d+\.?\d*|\.\d+)$/.test(value) && Number(value) <= 5 ? null : 'must be a number from 0.0 to 5.0'),
+  integer: (value) => (/^\d+$/.test(value) ? null : 'must be a whole number'),
+  yesno: (value) => (value === 'yes' || value === 'no' ? null : 'must be "yes" or "no"'),
+  newsLanguage: (value) => (NEWS_LANGUAGE_PATTERN.test(value) ? null : 'must be an ISO 639 language code'),
+};
+
+const FORMAT_ISSUE_CODES = {
+  loc: 'invalid-url',
+  url: 'invalid-url',
+  datetime: 'invalid-date',
+  changefreq: 'invalid-changefreq',
+  priority: 'invalid-priority',
+};
+
+// Problem with the escaping of raw text or an attribute value, or null
+function checkEscaping(raw) {
+  if (raw.includes('<')) return 'has an unescaped "<" (write &lt;)';
+  for (let i = raw.indexOf('&'); i !== -1; i = raw.indexOf('&', i + 1)) {
+    if (!XML_ENTITY_PATTERN.test(raw.slice(i, i + 12))) {
+      return /^&[a-z][a-z0-9]*;/i.test(raw.slice(i)) ? 'uses an entity XML doesn\'t define' : 'has an unescaped "&" (write &amp;)';
+    }
+  }
+  return null;
+}
+
+function decodeXmlEntities(raw) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return raw.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return named[name.toLowerCase()];
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+}
+
+// ========================================
+// SECTION 4: VALIDATION
+// ========================================
+
+// 1-based line of character offsets in text that arrives in chunks; the offsets
+// asked for must not go backwards (the parser reports them in document order)
+function createLineCounter() {
+  let text = ''; // the text from `base` on
+  let base = 0;
+  let position = 0; // index in `text` counted up to
+  let line = 1;
+  return {
+    append(chunk) {
+      text = text.slice(position) + chunk;
+      base += position;
+      position = 0;
+    },
+    lineAt(offset) {
+      const target = offset - base;
+      for (let i = text.indexOf('\n', position); i !== -1 && i < target; i = text.indexOf('\n', i + 1)) line += 1;
+      position = Math.max(position, Math.min(target, text.length));
+      return line;
+    },
+  };
+}
+
+/**
+ * Validates a sitemap file, plain or gzip-compressed: a Buffer, a string or a
+ * readable stream (such as a file's), read chunk by chunk
+ * - sitemapUrl: where the file lives, if known (listed URLs should be on its host)
+ * Resolves with {
+ *   valid, type ('urlset' | 'sitemapindex' | null), bytes, compressed,
+ *   entries, extensions, errors, warnings, issues, issuesTruncated,
+ *   locs: the listed URLs that passed the checks, deduplicated (for checkListedUrls)
+ * }
+ */
+async function validateSitemap(source, { sitemapUrl = null } = {}) {
+  const issues = [];
+  const counts = { errors: 0, warnings: 0 };
+  const report = (severity, code, message, line = null) => {
+    counts[severity === 'error' ? 'errors' : 'warnings'] += 1;
+    if (issues.length < VALIDATION_MAX_ISSUES) issues.push({ severity, code, message, line });
+  };
+  const result = (extra) => ({
+    valid: counts.errors === 0,
+    type: null,
+    bytes: 0,
+    compressed: false,
+    entries: 0,
+    extensions: [],
+    ...extra,
+    errors: counts.errors,
+    warnings: counts.warnings,
+    issues,
+    issuesTruncated: counts.errors + counts.warnings > issues.length,
+  });
+
+  const lines = createLineCounter();
+  const sitemapHost = sitemapUrl ? new URL(sitemapUrl).host : null;
+  const extensionsUsed = new Set();
+  const seenLocs = new Map(); // loc -> line of its first entry
+  const locs = [];
+  let type = null;
+  let sitemapNamespace = SITEMAP_NAMESPACE; // the root's, so a missing xmlns is reported once
+  let entries = 0;
+  let newsEntries = 0;
+  let rootSeen = false;
+
+  // Open elements: { name, local, namespace, spec, line, end, prefixes, counts, text }
+  const stack = [];
+  let inCdata = false;
+  let parser = null;
+  const currentLine = () => lines.lineAt(parser.startIndex);
+
+  // The start tag being read: { name, line, attributes (names seen) }
+  let opening = null;
+
+  // The parser reports every part of the document in order, except closing tags
+  // that match no open element, which it drops: they show up as a gap
+  let reportedUpTo = 0;
+  function checkSkipped() {
+    if (parser.startIndex > reportedUpTo) {
+      report('error', 'not-well-formed', 'Closing tag without a matching start tag', lines.lineAt(reportedUpTo));
+    }
+  }
+  function markReported() {
+    reportedUpTo = parser.endIndex + 1;
+  }
+
+  function resolveName(name, prefixes) {
+    const colon = name.indexOf(':');
+    const prefix = colon === -1 ? '' : name.slice(0, colon);
+    const local = colon === -1 ? name : name.slice(colon + 1);
+    return { local, namespace: prefixes.has(prefix) ? prefixes.get(prefix) : null, prefix };
+  }
+
+  // Spec of an element opened inside `parent` (null: skip the subtree)
+  function specFor(parent, name, local, namespace, line) {
+    if (parent.spec.kind === 'root') {
+      if (namespace !== sitemapNamespace) return null; // other namespaces are allowed and ignored
+      const entryName = type === 'urlset' ? 'url' : 'sitemap';
+      if (local !== entryName) {
+        report('error', 'unknown-element', `<${name}> is not allowed in <${type}>`, line);
+        return null;
+      }
+      return { ...(type === 'urlset' ? urlSpec : sitemapSpec), kind: 'entry' };
+    }
+
+    let spec = null;
+    if (namespace === parent.namespace && parent.spec.children) {
+      spec = parent.spec.children[local] || null;
+    } else if (parent.spec.kind === 'entry' && type === 'urlset' && EXTENSION_SPECS[namespace]) {
+      spec = EXTENSION_SPECS[namespace][local] || null;
+    } else if (parent.spec.kind === 'entry' && !EXTENSION_SPECS[namespace] && namespace !== sitemapNamespace) {
+      return null; // unknown extensions are allowed (xsd:any ##other)
+    }
+    if (!spec) {
+      report('error', 'unknown-element', `<${name}> is not allowed in <${parent.name}>`, line);
+      return null;
+    }
+    if (spec.deprecated) {
+      report('warning', 'deprecated', `<${name}> is deprecated and ignored by search engines`, line);
+    }
+
+    const seen = (parent.counts.get(local) || 0) + 1;
+    parent.counts.set(local, seen);
+    if (spec.max && seen === spec.max + 1) {
+      report('error', 'too-many-elements', `<${parent.name}> may have at most ${spec.max} <${name}>`, line);
+    }
+    if (parent.spec.order && spec.format && parent.spec.order.includes(local)) {
+      const position = parent.spec.order.indexOf(local);
+      if (parent.lastOrdered > position) {
+        report('warning', 'element-order', `<${name}> comes after <${parent.spec.order[parent.lastOrdered]}>; the schema expects ${parent.spec.order.map((n) => `<${n}>`).join(', ')} in this order`, line);
+      }
+      parent.lastOrdered = Math.max(parent.lastOrdered, position);
+    }
+    return spec;
+  }
+
+  function checkAlternate(attribs, line) {
+    const { rel, hreflang, href } = attribs;
+    if (rel !== 'alternate') report('error', 'invalid-alternate', '<xhtml:link> needs rel="alternate"', line);
+    if (!hreflang || !HREFLANG_PATTERN.test(hreflang)) {
+      report('error', 'invalid-alternate', `<xhtml:link> hreflang "${hreflang || ''}" is not a language code or x-default`, line);
+    }
+    const escaping = href ? checkEscaping(href) : null;
+    const problem = !href ? 'is missing' : escaping || checkUrlValue(decodeXmlEntities(href));
+    if (problem) report('error', 'invalid-url', `<xhtml:link> href ${problem}`, line);
+  }
+
+  function onOpenName(name) {
+    checkSkipped();
+    opening = { name, line: currentLine(), attributes: new Set() };
+  }
+
+  // Attribute values must be quoted, and appear once per element
+  function onAttribute(name, value, quote) {
+    if (opening.attributes.has(name)) {
+      report('error', 'not-well-formed', `<${opening.name}> has the attribute ${name} more than once`, opening.line);
+    } else if (quote === null || quote === undefined) {
+      report('error', 'not-well-formed', `Attribute ${name} of <${opening.name}> needs a quoted value`, opening.line);
+    }
+    opening.attributes.add(name);
+  }
+
+  function onOpen(name, attribs) {
+    const { line } = opening;
+    markReported();
+    const parent = stack[stack.length - 1];
+    const prefixes = new Map(parent ? parent.prefixes : [['xml', 'http://www.w3.org/XML/1998/namespace']]);
+    for (const [attribute, value] of Object.entries(attribs)) {
+      if (attribute === 'xmlns') prefixes.set('', value);
+      else if (attribute.startsWith('xmlns:')) prefixes.set(attribute.slice(6), value);
+    }
+    const { local, namespace, prefix } = resolveName(name, prefixes);
+    const frame = { name, local, namespace, spec: null, line, end: parser.endIndex, prefixes, counts: new Map(), text: '', lastOrdered: -1 };
+    stack.push(frame);
+
+    if (!parent) {
+      if (rootSeen) {
+        report('error', 'not-well-formed', 'Document has more than one root element', line);
+        return;
+      }
+      rootSeen = true;
+      if (local !== 'urlset' && local !== 'sitemapindex') {
+        report('error', 'not-a-sitemap', `Root element is <${name}>, not <urlset> or <sitemapindex>`, line);
+        return;
+      }
+      type = local;
+      if (namespace !== SITEMAP_NAMESPACE) {
+        report('error', 'namespace', `<${local}> must be in the namespace ${SITEMAP_NAMESPACE} (xmlns="${SITEMAP_NAMESPACE}")`, line);
+      }
+      sitemapNamespace = namespace;
+      frame.spec = { kind: 'root' };
+      return;
+    }
+    if (!parent.spec) return; // inside a skipped subtree
+
+    if (prefix && namespace === null) {
+      report('error', 'undeclared-prefix', `Namespace prefix "${prefix}" of <${name}> is not declared`, line);
+      return;
+    }
+    if (parent.spec.format || parent.spec.alternate || (!parent.spec.children && parent.spec.kind !== 'root' && parent.spec.kind !== 'entry')) {
+      report('error', 'unknown-element', `<${parent.name}> may only contain text`, line);
+      return;
+    }
+    frame.spec = specFor(parent, name, local, namespace, line);
+    if (!frame.spec) return;
+
+    if (frame.spec.kind === 'entry') {
+      entries += 1;
+      if (entries === SITEMAP_MAX_URLS + 1) {
+        report('error', 'too-many-urls', `Sitemap has more than ${SITEMAP_MAX_URLS} ${type === 'urlset' ? 'URLs' : 'sitemaps'}`, line);
+      }
+    }
+    if (frame.spec.extension) {
+      extensionsUsed.add(frame.spec.extension);
+      if (frame.spec.extension === 'news' && parent.counts.get(local) === 1) newsEntries += 1;
+    }
+    if (frame.spec.alternate) checkAlternate(attribs, line);
+    if (frame.spec.relationship && !['allow', 'deny'].includes(attribs.relationship)) {
+      report('error', 'invalid-value', `<${name}> needs relationship="allow" or "deny"`, line);
+    }
+  }
+
+  function onText(text) {
+    checkSkipped();
+    markReported();
+    const frame = stack[stack.length - 1];
+    if (!frame || !frame.spec) {
+      if (!frame && text.trim()) report('error', 'not-well-formed', 'Text outside the root element', currentLine());
+      return;
+    }
+    if (!inCdata) {
+      const problem = checkEscaping(text);
+      if (problem) report('error', 'unescaped-character', `<${frame.name}> ${problem}`, currentLine());
+    }
+    frame.text += inCdata ? text : decodeXmlEntities(text);
+  }
+
+  // Checks an element's text and required children; returns its value
+  function checkClosed(frame) {
+    const { spec } = frame;
+    const value = frame.text.trim();
+    const isTextElement = !spec.children && spec.kind !== 'root' && spec.kind !== 'entry' && !spec.alternate;
+
+    if (!isTextElement && value) {
+      report('error', 'unexpected-text', `<${frame.name}> may not contain text`, frame.line);
+    }
+    for (const [child, childSpec] of Object.entries(spec.children || {})) {
+      if (childSpec.required && !frame.counts.get(child)) {
+        report('error', 'missing-element', `<${frame.name}> has no <${child}>`, frame.line);
+      }
+    }
+    if (spec.oneOf && !spec.oneOf.some((child) => frame.counts.get(child))) {
+      report('error', 'missing-element', `<${frame.name}> needs ${spec.oneOf.map((n) => `<${n}>`).join(' or ')}`, frame.line);
+    }
+    if (!isTextElement) return null;
+
+    if (!value) {
+      report('error', 'empty-value', `<${frame.name}> is empty`, frame.line);
+      return null;
+    }
+    if (value !== frame.text) {
+      report('warning', 'whitespace', `<${frame.name}> has whitespace around its value`, frame.line);
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      report('error', 'invalid-value', `<${frame.name}> is longer than ${spec.maxLength} characters`, frame.line);
+    }
+    const problem = spec.format ? FORMAT_CHECKS[spec.format](value) : null;
+    if (problem) {
+      report('error', FORMAT_ISSUE_CODES[spec.format] || 'invalid-value', `<${frame.name}> "${value.slice(0, 200)}" ${problem}`, frame.line);
+      return null;
+    }
+    if (spec.format === 'datetime' && Date.parse(value) > Date.now() + 24 * 60 * 60 * 1000) {
+      report('warning', 'future-date', `<${frame.name}> ${value} is in the future`, frame.line);
+    }
+    return value;
+  }
+
+  // Records the <loc> of a closed entry
+  function addEntryLoc(loc, line) {
+    if (seenLocs.has(loc)) {
+      report('warning', 'duplicate-loc', `${loc} is listed again (first on line ${seenLocs.get(loc)})`, line);
+      return;
+    }
+    seenLocs.set(loc, line);
+    if (sitemapHost && new URL(loc).host !== sitemapHost) {
+      report('warning', 'cross-host', `${loc} is not on the sitemap's host (${sitemapHost}); search engines only accept it when both hosts are verified together`, line);
+    }
+    locs.push(loc);
+  }
+
+  // isImplied: closed by the parser, either self-closing (<a/>, ending where it
+  // started) or never closed
+  function onClose(name, isImplied) {
+    const frame = stack.pop();
+    if (isImplied && parser.endIndex !== frame.end) {
+      report('error', 'not-well-formed', `<${name}> is not closed`, frame.line);
+    } else if (!isImplied) {
+      checkSkipped();
+    }
+    markReported();
+    if (!frame.spec) return;
+    const value = checkClosed(frame);
+    const parent = stack[stack.length - 1];
+
+    if (frame.spec.format === 'loc' && value) parent.loc = value;
+    if (frame.spec.kind === 'entry' && frame.loc) addEntryLoc(frame.loc, frame.line);
+    if (frame.spec.kind === 'root' && entries === 0) {
+      report('warning', 'empty-sitemap', `<${type}> lists no ${type === 'urlset' ? 'URLs' : 'sitemaps'}`, frame.line);
+    }
+  }
+
+  parser = new Parser({
+    onprocessinginstruction(name, data) {
+      checkSkipped();
+      markReported();
+      if (name.toLowerCase() !== '?xml') return;
+      const encoding = /encoding\s*=\s*["']([^"']+)["']/i.exec(data);
+      if (encoding && encoding[1].toLowerCase() !== 'utf-8') {
+        report('error', 'encoding', `Sitemaps must be UTF-8 encoded (declared ${encoding[1]})`, currentLine());
+      }
+    },
+    onopentagname: onOpenName,
+    onattribute: onAttribute,
+    onopentag: onOpen,
+    ontext: onText,
+    oncomment() {
+      checkSkipped();
+      markReported();
+    },
+    oncdatastart() {
+      checkSkipped();
+      inCdata = true;
+    },
+    oncdataend() {
+      inCdata = false;
+    },
+    onclosetag: onClose,
+  }, { xmlMode: true, decodeEntities: false });
+
+  let bytes = 0;
+  let compressed = false;
+
+  // Problems that stop the validation: the report has only that error
+  const failed = (code, message) => {
+    issues.length = 0;
+    counts.errors = 0;
+    counts.warnings = 0;
+    report('error', code, message);
+    return { ...result({ compressed }), locs: [] };
+  };
+  const write = (text) => {
+    if (!text) return;
+    lines.append(text);
+    parser.write(text);
+  };
+
+  try {
+    const opened = await openSitemapStream(source);
+    compressed = opened.compressed;
+    const decoder = new TextDecoder('utf-8', { fatal: true }); // drops a leading BOM
+    for await (const chunk of opened.stream) {
+      bytes += chunk.length;
+      if (bytes > SITEMAP_MAX_BYTES) {
+        return failed('too-large', `Sitemap is larger than ${SITEMAP_MAX_BYTES / 1024 / 1024} MB uncompressed`);
+      }
+      write(decoder.decode(chunk, { stream: true }));
+    }
+    write(decoder.decode());
+  } catch (err) {
+    if (err.code === 'ERR_ENCODING_INVALID_ENCODED_DATA') return failed('encoding', 'Sitemap is not valid UTF-8');
+    if (compressed && /^Z_/.test(err.code)) {
+      return failed('invalid-gzip', 'Body looks gzip-compressed but could not be decompressed');
+    }
+    throw err;
+  }
+  parser.end();
+  checkSkipped();
+
+  if (!rootSeen) report('error', 'not-a-sitemap', 'Document has no root element');
+  if (newsEntries > NEWS_SITEMAP_MAX_URLS) {
+    report('error', 'too-many-news', `News sitemaps may list at most ${NEWS_SITEMAP_MAX_URLS} articles (found ${newsEntries})`);
+  }
+
+  return {
+    ...result({ type, bytes, compressed, entries, extensions: Array.from(extensionsUsed) }),
+    locs,
+  };
+}
+
+// ========================================
+// SECTION 5: URL SAMPLE
+// ========================================
+
+// `size` URLs spread evenly over the list (all of them when it is shorter)
+function pickSample(urls, size) {
+  if (urls.length <= size) return urls.slice();
+  return Array.from({ length: size }, (_, i) => urls[Math.floor((i * urls.length) / size)]);
+}
+
+/**
+ * Fetches a sample of the listed URLs and reports the entries search engines
+ * would skip: robots-blocked, redirected, non-200, noindex or unreachable
+ * - inspect(url) resolves with { status, location?, noindex?, robotsBlocked? }
+ *   and rejects when the URL can't be fetched
+ * Returns { listed, sampled, ok, problems: [{ loc, problem, status?, location? }] }
+ */
+async function checkListedUrls(locs, { inspect, sampleSize = DEFAULT_SAMPLE_SIZE, concurrency = SAMPLE_CONCURRENCY }) {
+  const sample = pickSample(locs, sampleSize);
+  const problems = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < sample.length) {
+      const loc = sample[next++];
+      let outcome;
+      try {
+        outcome = await inspect(loc);
+      } catch {
+        problems.push({ loc, problem: 'unreachable' });
+        continue;
+      }
+      const { status, location, noindex, robotsBlocked } = outcome;
+      if (robotsBlocked) problems.push({ loc, problem: 'robots-blocked' });
+      else if (status >= 300 && status < 400 && location) problems.push({ loc, problem: 'redirected', status, location });
+      else if (status !== 200) problems.push({ loc, problem: 'not-200', status });
+      else if (noindex) problems.push({ loc, problem: 'noindex', status });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, sample.length) }, worker));
+
+  // In list order, whatever order the fetches finished in
+  const order = new Map(sample.map((loc, i) => [loc, i]));
+  problems.sort((a, b) => order.get(a.loc) - order.get(b.loc));
+  return { listed: locs.length, sampled: sample.length, ok: sample.length - problems.length, problems };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  SITEMAP_MAX_BYTES,
+  DEFAULT_SAMPLE_SIZE,
+  validateSitemap,
+  checkListedUrls,
+};
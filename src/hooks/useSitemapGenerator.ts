@@ -1,73 +1,98 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
-import { ApiError, generateSitemapRequest } from '../services/sitemap.service';
-import type { SitemapRequest, SitemapResponse } from '../types/sitemap.types';
+import { openSitemapStream } from '../services/sitemap.service';
+import type { CrawlProgress, SitemapRequest, SitemapResponse } from '../types/sitemap.types';
 
-const PROGRESS_MESSAGES = [
-  'Crawling website',
-  'Discovering URLs',
-  'Generating XML',
-  'Finalizing sitemap',
-] as const;
+const INITIAL_PROGRESS_TEXT = 'Starting crawl';
 
 interface UseSitemapGeneratorResult {
   generateSitemap: (request: SitemapRequest) => Promise<void>;
+  cancel: () => void;
   loading: boolean;
   error: string | null;
   data: SitemapResponse | null;
+  progress: CrawlProgress | null;
   progressText: string;
 }
 
+// Turn the crawler's live counters into a status line for the UI.
+function describeProgress(progress: CrawlProgress): string {
+  const { urlsInSitemap, urlsDiscovered, currentUrl } = progress;
+  const counts = `Crawled ${urlsInSitemap} of ${urlsDiscovered} discovered URLs`;
+  return currentUrl ? `${counts} — ${currentUrl}` : counts;
+}
+
 export function useSitemapGenerator(): UseSitemapGeneratorResult {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [data, setData] = useState<SitemapResponse | null>(null);
-  const [progressText, setProgressText] = useState(PROGRESS_MESSAGES[0]);
+  const [progress, setProgress] = useState<CrawlProgress | null>(null);
+  const [progressText, setProgressText] = useState(INITIAL_PROGRESS_TEXT);
+
+  // Closes the open stream (and cancels the crawl on the server).
+  const closeStreamRef = useRef<(() => void) | null>(null);
 
-  const progressIndexRef = useRef(0);
+  const closeStream = useCallback(() => {
+    closeStreamRef.current?.();
+    closeStreamRef.current = null;
+  }, []);
 
-  // Rotate loading message every 2 seconds while loading is true.
-  useEffect(() => {
-    if (!loading) {
-      progressIndexRef.current = 0;
-      setProgressText(PROGRESS_MESSAGES[0]);
-      return;
-    }
+  // Stop the crawl when the component unmounts.
+  useEffect(() => closeStream, [closeStream]);
 
-    const intervalId = window.setInterval(() => {
-      progressIndexRef.current = (progressIndexRef.current + 1) % PROGRESS_MESSAGES.length;
-      setProgressText(PROGRESS_MESSAGES[progressIndexRef.current]);
-    }, 2000);
+  const generateSitemap = useCallback(
+    (request: SitemapRequest) =>
+      new Promise<void>((resolve) => {
+        closeStream();
 
-    return () => window.clearInterval(intervalId);
-  }, [loading]);
+        setLoading(true);
+        setError(null);
+        setProgress(null);
+        setProgressText(INITIAL_PROGRESS_TEXT);
 
-  const generateSitemap = useCallback(async (request: SitemapRequest) => {
-    setLoading(true);
-    setError(null);
+        const close = openSitemapStream(request, {
+          onProgress: (next) => {
+            setProgress(next);
+            setProgressText(next.currentUrl ? describeProgress(next) : 'Generating XML');
+          },
+          onComplete: (response) => {
+            closeStreamRef.current = null;
+            setData(response);
+            setLoading(false);
+            resolve();
+          },
+          onError: (err) => {
+            closeStreamRef.current = null;
+            setData(null);
+            setError(err.message || 'Something went wrong while generating sitemap.');
+            setLoading(false);
+            resolve();
+          },
+        });
 
-    try {
-      const response = await generateSitemapRequest(request);
-      setData(response);
-    } catch (err: unknown) {
-      setData(null);
+        // Closing early (cancel or unmount) also settles the returned promise.
+        closeStreamRef.current = () => {
+          close();
+          resolve();
+        };
+      }),
+    [closeStream],
+  );
 
-      if (err instanceof ApiError) {
-        setError(err.message);
-      } else if (err instanceof Error) {
-        setError(err.message);
-      } else {
-        setError('Something went wrong while generating sitemap.');
-      }
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const cancel = useCallback(() => {
+    if (!closeStreamRef.current) return;
+
+    closeStream();
+    setError('Crawl was cancelled.');
+    setLoading(false);
+  }, [closeStream]);
 
   return {
     generateSitemap,
+    cancel,
     loading,
     error,
     data,
+    progress,
     progressText,
   };
 }
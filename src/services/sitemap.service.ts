@@ -1,7 +1,19 @@
-import type { SitemapRequest, SitemapResponse } from '../types/sitemap.types';
+import type {
+  CrawlEvent,
+  CrawlJob,
+  CrawlProgress,
+  OutputFormat,
+  SitemapRequest,
+  SitemapResponse,
+  SitemapValidationReport,
+  SitemapValidationRequest,
+} from '../types/sitemap.types';
 
 const DEFAULT_TIMEOUT_MS = 10_000;
 
+// Checking listed URLs fetches up to 100 pages
+const VALIDATION_TIMEOUT_MS = 60_000;
+
 // In Vite, you can set this in .env as VITE_API_BASE_URL=http://localhost:3000
 const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL as string | undefined)?.trim() || '';
 
@@ -33,10 +45,30 @@ function isSitemapResponse(value: unknown): value is SitemapResponse {
   );
 }
 
+const CRAWL_JOB_STATES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+function isCrawlJob(value: unknown): value is CrawlJob {
+  if (!isObject(value)) return false;
+
+  const progress = value.progress;
+  if (!isObject(progress)) return false;
+
+  return (
+    typeof value.id === 'string' &&
+    typeof value.state === 'string' &&
+    CRAWL_JOB_STATES.includes(value.state) &&
+    typeof progress.urlsDiscovered === 'number' &&
+    typeof progress.urlsInSitemap === 'number'
+  );
+}
+
+type ResponseFormat = 'json' | 'text';
+
 async function fetchWithTimeout<TResponse>(
   path: string,
   init: RequestInit,
   timeoutMs = DEFAULT_TIMEOUT_MS,
+  format: ResponseFormat = 'json',
 ): Promise<TResponse> {
   const controller = new AbortController();
   const timeoutId = window.setTimeout(() => controller.abort(), timeoutMs);
@@ -51,25 +83,34 @@ async function fetchWithTimeout<TResponse>(
       },
     });
 
-    let responseBody: unknown;
+    if (!response.ok) {
+      let errorBody: unknown = null;
 
-    // Parse JSON safely to improve error handling for invalid payloads.
-    try {
-      responseBody = await response.json();
-    } catch {
-      throw new ApiError('Invalid response format from server', response.status);
-    }
+      // Error bodies are JSON, but fall back to a generic message if not.
+      try {
+        errorBody = await response.json();
+      } catch {
+        errorBody = null;
+      }
 
-    if (!response.ok) {
       const serverMessage =
-        isObject(responseBody) && typeof responseBody.error === 'string'
-          ? responseBody.error
+        isObject(errorBody) && typeof errorBody.error === 'string'
+          ? errorBody.error
           : `Request failed with status ${response.status}`;
 
       throw new ApiError(serverMessage, response.status);
     }
 
-    return responseBody as TResponse;
+    if (format === 'text') {
+      return (await response.text()) as TResponse;
+    }
+
+    // Parse JSON safely to improve error handling for invalid payloads.
+    try {
+      return (await response.json()) as TResponse;
+    } catch {
+      throw new ApiError('Invalid response format from server', response.status);
+    }
   } catch (error: unknown) {
     // Timeout errors from AbortController
     if (error instanceof DOMException && error.name === 'AbortError') {
@@ -104,3 +145,214 @@ export async function generateSitemapRequest(payload: SitemapRequest): Promise<S
 
   return data;
 }
+
+// Crawl and return the result as a file body in the given format (sitemap XML, text, CSV, feed...).
+export async function downloadSitemapAs(payload: SitemapRequest, format: OutputFormat): Promise<string> {
+  return fetchWithTimeout<string>(
+    '/api/download-sitemap',
+    {
+      method: 'POST',
+      body: JSON.stringify({ ...payload, format }),
+    },
+    DEFAULT_TIMEOUT_MS,
+    'text',
+  );
+}
+
+// Start an asynchronous crawl; poll it with getCrawlJob until it settles.
+export async function createCrawlJob(payload: SitemapRequest): Promise<CrawlJob> {
+  const data = await fetchWithTimeout<unknown>('/api/jobs', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+
+  if (!isCrawlJob(data)) {
+    throw new ApiError('Server returned an invalid job response');
+  }
+
+  return data;
+}
+
+export async function getCrawlJob(jobId: string): Promise<CrawlJob> {
+  const data = await fetchWithTimeout<unknown>(`/api/jobs/${encodeURIComponent(jobId)}`, {
+    method: 'GET',
+  });
+
+  if (!isCrawlJob(data)) {
+    throw new ApiError('Server returned an invalid job response');
+  }
+
+  return data;
+}
+
+export async function cancelCrawlJob(jobId: string): Promise<CrawlJob> {
+  const data = await fetchWithTimeout<unknown>(`/api/jobs/${encodeURIComponent(jobId)}`, {
+    method: 'DELETE',
+  });
+
+  if (!isCrawlJob(data)) {
+    throw new ApiError('Server returned an invalid job response');
+  }
+
+  return data;
+}
+
+// Sitemap XML of a finished job.
+export async function fetchCrawlJobSitemap(jobId: string): Promise<string> {
+  return fetchWithTimeout<string>(
+    `/api/jobs/${encodeURIComponent(jobId)}/sitemap.xml`,
+    { method: 'GET' },
+    DEFAULT_TIMEOUT_MS,
+    'text',
+  );
+}
+
+// Validate the sitemap at a URL.
+export async function validateSitemapUrl(payload: SitemapValidationRequest): Promise<SitemapValidationReport> {
+  return fetchWithTimeout<SitemapValidationReport>(
+    '/api/validate-sitemap',
+    {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    },
+    VALIDATION_TIMEOUT_MS,
+  );
+}
+
+// Validate a sitemap file (plain or gzip-compressed) or XML text.
+export async function validateSitemapFile(
+  file: Blob | string,
+  options: Omit<SitemapValidationRequest, 'url'> = {},
+): Promise<SitemapValidationReport> {
+  const query = new URLSearchParams();
+  if (options.checkUrls !== undefined) query.set('checkUrls', String(options.checkUrls));
+  if (options.sampleSize !== undefined) query.set('sampleSize', String(options.sampleSize));
+  const search = query.toString();
+
+  return fetchWithTimeout<SitemapValidationReport>(
+    `/api/validate-sitemap${search ? `?${search}` : ''}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': typeof file === 'string' ? 'application/xml' : 'application/octet-stream' },
+      body: file,
+    },
+    VALIDATION_TIMEOUT_MS,
+  );
+}
+
+export interface SitemapStreamHandlers {
+  onProgress: (progress: CrawlProgress) => void;
+  onEvent?: (event: CrawlEvent) => void;
+  onComplete: (response: SitemapResponse) => void;
+  onError: (error: ApiError) => void;
+}
+
+function parseEventData(event: Event): unknown {
+  try {
+    return JSON.parse((event as MessageEvent<string>).data);
+  } catch {
+    return null;
+  }
+}
+
+// Crawl with live progress over Server-Sent Events.
+// Returns a function that closes the stream, which also cancels the crawl on the server.
+export function openSitemapStream(payload: SitemapRequest, handlers: SitemapStreamHandlers): () => void {
+  const params = new URLSearchParams({
+    url: payload.url,
+    changeFreq: payload.changeFreq,
+    priority: String(payload.priority),
+    includeLastMod: String(payload.includeLastMod),
+  });
+
+  // Optional crawl budgets and tuning, only sent when set
+  const optionalNumbers = [
+    'maxPages',
+    'maxDepth',
+    'timeBudgetSeconds',
+    'concurrency',
+    'delayMs',
+    'maxUrlsPerSitemap',
+    'maxRedirects',
+  ] as const;
+  for (const key of optionalNumbers) {
+    const value = payload[key];
+    if (typeof value === 'number') params.set(key, String(value));
+  }
+  if (payload.sitemapBaseUrl) params.set('sitemapBaseUrl', payload.sitemapBaseUrl);
+  if (payload.seedFromSitemaps) params.set('seedFromSitemaps', 'true');
+  if (payload.skipNofollowLinks) params.set('skipNofollowLinks', 'true');
+  if (payload.includeImages) params.set('includeImages', 'true');
+  if (payload.includeVideos) params.set('includeVideos', 'true');
+  if (payload.includeHreflang) params.set('includeHreflang', 'true');
+  if (payload.sitemapType) params.set('sitemapType', payload.sitemapType);
+  if (payload.newsPublicationName) params.set('newsPublicationName', payload.newsPublicationName);
+  if (payload.newsLanguage) params.set('newsLanguage', payload.newsLanguage);
+  if (payload.audit) params.set('audit', 'true');
+  if (payload.forceRefresh) params.set('forceRefresh', 'true');
+  if (payload.incremental) params.set('incremental', 'true');
+  if (payload.render) params.set('render', 'true');
+  if (payload.ignoreWww) params.set('ignoreWww', 'true');
+  if (payload.pathPrefix) params.set('pathPrefix', payload.pathPrefix);
+  if (payload.lastmodFallback) params.set('lastmodFallback', payload.lastmodFallback);
+  if (payload.urlRules?.length) params.set('urlRules', JSON.stringify(payload.urlRules));
+  if (payload.autoPriority) params.set('autoPriority', payload.autoPriority);
+  // List fields go as JSON text
+  const optionalLists = [
+    'allowedRedirectHosts',
+    'allowedSubdomains',
+    'includePatterns',
+    'excludePatterns',
+    'stripQueryParams',
+  ] as const;
+  for (const key of optionalLists) {
+    const value = payload[key];
+    if (value?.length) params.set(key, JSON.stringify(value));
+  }
+
+  const source = new EventSource(`${API_BASE_URL}/api/generate-sitemap/stream?${params.toString()}`);
+  let settled = false;
+
+  const finish = (): void => {
+    settled = true;
+    source.close();
+  };
+
+  source.addEventListener('progress', (event) => {
+    const data = parseEventData(event);
+    if (isObject(data)) handlers.onProgress(data as unknown as CrawlProgress);
+  });
+
+  source.addEventListener('crawl', (event) => {
+    const data = parseEventData(event);
+    if (isObject(data) && handlers.onEvent) handlers.onEvent(data as unknown as CrawlEvent);
+  });
+
+  source.addEventListener('complete', (event) => {
+    const data = parseEventData(event);
+    finish();
+
+    if (isSitemapResponse(data)) {
+      handlers.onComplete(data);
+    } else {
+      handlers.onError(new ApiError('Server returned an invalid sitemap response'));
+    }
+  });
+
+  source.addEventListener('failed', (event) => {
+    const data = parseEventData(event);
+    finish();
+
+    const message = isObject(data) && typeof data.error === 'string' ? data.error : 'Crawl failed.';
+    handlers.onError(new ApiError(message));
+  });
+
+  // Connection errors: never let EventSource reconnect, as that would start a new crawl.
+  source.onerror = () => {
+    if (settled) return;
+    finish();
+    handlers.onError(new ApiError('Connection to the server was lost. Please try again.'));
+  };
+
+  return finish;
+}
@@ -1,7 +1,73 @@
+// Which budget ended the crawl; anything but 'complete' means the sitemap is truncated.
+export type CrawlStopReason = 'complete' | 'maxPages' | 'maxDepth' | 'timeBudget' | 'fetchCeiling' | 'pageQuota' | 'cancelled';
+
 export interface CrawlStats {
   urlsDiscovered: number;
   urlsInSitemap: number;
+  pagesFetched: number;
   crawlTimeSeconds: number;
+  stoppedBy: CrawlStopReason;
+  truncated: boolean;
+  robotsTxt: 'ok' | 'unavailable' | 'unreachable';
+  redirects: RedirectStats;
+  cache: CrawlCacheStatus;
+  incremental?: IncrementalStats;
+  render?: RenderStats;
+  outOfScope: Record<OutOfScopeReason, number>;
+  sources?: {
+    sitemapOnly: number;
+    crawlOnly: number;
+    both: number;
+  };
+}
+
+// Whether the result came from the crawl cache, and when that crawl ran.
+export interface CrawlCacheStatus {
+  hit: boolean;
+  cachedAt?: string;
+  ageSeconds?: number;
+}
+
+// Incremental crawls: pages that answered 304 Not Modified vs. downloaded and parsed again.
+export interface IncrementalStats {
+  revalidated: number;
+  refetched: number;
+}
+
+// Render mode: whether a headless browser was available, and pages rendered vs. left static after a failed render.
+export interface RenderStats {
+  available: boolean;
+  rendered: number;
+  failed: number;
+}
+
+// Why a URL of the crawled site was left out of the crawl scope.
+export type OutOfScopeReason = 'subdomain' | 'path-prefix' | 'excluded' | 'not-included';
+
+// Include/exclude pattern of the crawl scope (same matching as UrlRule).
+export interface UrlPattern {
+  pattern: string;
+}
+
+export type RedirectRefusal =
+  | 'cross-host'
+  | 'too-many-redirects'
+  | 'redirect-loop'
+  | 'invalid-location'
+  | 'disallowed-by-robots'
+  | 'skipped-resource';
+
+export interface RedirectStats {
+  followed: number;
+  longestChain: number;
+  refused: Record<RedirectRefusal, number>;
+}
+
+// Per-URL override: a glob on the path (`*` within a segment, `**` across, `?` one character).
+export interface UrlRule {
+  pattern: string;
+  priority?: number;
+  changeFreq?: string;
 }
 
 export interface SitemapRequest {
@@ -9,9 +75,253 @@ export interface SitemapRequest {
   changeFreq: string;
   priority: number;
   includeLastMod: boolean;
+  lastmodFallback?: 'none' | 'crawl-time';
+  urlRules?: UrlRule[];
+  autoPriority?: 'none' | 'depth' | 'inlinks';
+  maxPages?: number;
+  maxDepth?: number;
+  timeBudgetSeconds?: number;
+  concurrency?: number;
+  delayMs?: number;
+  maxUrlsPerSitemap?: number;
+  sitemapBaseUrl?: string;
+  seedFromSitemaps?: boolean;
+  skipNofollowLinks?: boolean;
+  maxRedirects?: number;
+  allowedRedirectHosts?: string[];
+  forceRefresh?: boolean;
+  incremental?: boolean;
+  render?: boolean;
+  ignoreWww?: boolean;
+  allowedSubdomains?: string[];
+  pathPrefix?: string;
+  includePatterns?: UrlPattern[];
+  excludePatterns?: UrlPattern[];
+  stripQueryParams?: string[];
+  includeImages?: boolean;
+  includeVideos?: boolean;
+  includeHreflang?: boolean;
+  sitemapType?: 'standard' | 'news';
+  newsPublicationName?: string;
+  newsLanguage?: string;
+  audit?: boolean;
+}
+
+// Download formats besides sitemap XML: plain-text sitemap, URL list as JSON/CSV, feeds.
+export type OutputFormat = 'xml' | 'txt' | 'json' | 'csv' | 'rss' | 'atom';
+
+export interface SitemapFile {
+  filename: string;
+  xml: string;
+}
+
+export interface ExistingSitemapFile {
+  url: string;
+  type?: 'urlset' | 'sitemapindex';
+  entries?: number;
+  error?: string;
+}
+
+// Where each URL was found when seeding from the site's existing sitemaps.
+export interface UrlSources {
+  sitemapOnly: string[];
+  crawlOnly: string[];
+  both: string[];
+  sitemapFiles: ExistingSitemapFile[];
+}
+
+// Problems found while crawling, e.g. hreflang alternates without a return link.
+export interface SitemapWarning {
+  type:
+    | 'hreflang-missing-return-link'
+    | 'hreflang-target-non-200'
+    | 'hreflang-target-redirected'
+    | 'hreflang-target-noindex'
+    | 'hreflang-target-robots-blocked'
+    | 'hreflang-target-unverified'
+    | 'hreflang-conflict';
+  url?: string;
+  hreflang?: string;
+  target?: string;
+  status?: number;
+  location?: string;
+  expected?: string;
+}
+
+export interface RedirectHop {
+  url: string;
+  status: number;
+  location: string;
+}
+
+export interface AuditPage {
+  url: string;
+  status: number | null;
+  finalUrl: string;
+  redirectChain: RedirectHop[];
+  responseTimeMs: number;
+  title?: string | null;
+  metaDescription?: string | null;
+  h1?: string | null;
+  wordCount?: number;
+  canonical?: string | null;
+  error?: string | null;
+}
+
+export interface AuditReport {
+  summary: {
+    pagesAudited: number;
+    duplicateTitles: number;
+    missingDescriptions: number;
+    brokenLinks: number;
+    redirectChains: number;
+    slowPages: number;
+    slowPageThresholdMs: number;
+  };
+  duplicateTitles: { title: string; urls: string[] }[];
+  missingDescriptions: string[];
+  brokenLinks: { url: string; status: number; referrerCount: number; referrers: string[] }[];
+  redirectChains: { url: string; finalUrl: string; hops: RedirectHop[] }[];
+  slowPages: { url: string; responseTimeMs: number }[];
+  pages: AuditPage[];
 }
 
+// When the URLs were split, sitemapXML is the sitemap index and the parts are in sitemaps.
 export interface SitemapResponse {
   sitemapXML: string;
+  sitemaps?: SitemapFile[];
+  sources?: UrlSources;
+  warnings?: SitemapWarning[];
+  audit?: AuditReport;
   stats: CrawlStats;
 }
+
+export type CrawlJobState = 'queued' | 'running' | 'done' | 'failed' | 'cancelled';
+
+export type CrawlJobProgress = CrawlProgress;
+
+export interface CrawlProgress {
+  urlsDiscovered: number;
+  urlsInSitemap: number;
+  queued: number;
+  currentUrl: string | null;
+}
+
+// One crawl decision, as emitted by the stream (same shape as the debug trace).
+export interface CrawlEvent {
+  action: string;
+  url: string;
+  normalized: string;
+  [detail: string]: unknown;
+}
+
+export interface CrawlJob {
+  id: string;
+  state: CrawlJobState;
+  progress: CrawlJobProgress;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  stats?: CrawlStats;
+  sitemapFiles?: string[];
+  warnings?: SitemapWarning[];
+  audit?: AuditReport;
+  error?: string;
+}
+
+export type ScheduleRunState = 'running' | 'done' | 'failed';
+
+export interface ScheduleRunSummary {
+  id: string;
+  state: ScheduleRunState;
+  trigger: 'schedule' | 'manual';
+  startedAt: string;
+  finishedAt: string | null;
+  urlsInSitemap: number | null;
+}
+
+// Scheduled crawl (cron expressions are evaluated in UTC).
+export interface Schedule {
+  id: string;
+  name: string | null;
+  cron: string;
+  url: string;
+  params: SitemapRequest;
+  webhookUrl: string | null;
+  createdAt: string;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  runs: ScheduleRunSummary[];
+  // Only in the response that created the schedule
+  webhookSecret?: string | null;
+}
+
+export interface WebhookDelivery {
+  event: 'run.completed' | 'run.failed';
+  deliveryId: string;
+  delivered: boolean;
+  attempts: number;
+  status: number | null;
+  error: string | null;
+  deliveredAt: string | null;
+}
+
+export interface ScheduleRun {
+  id: string;
+  scheduleId: string;
+  trigger: 'schedule' | 'manual';
+  state: ScheduleRunState;
+  startedAt: string;
+  finishedAt: string | null;
+  stats: CrawlStats | null;
+  // Counts against the previous finished run
+  diff: { previousRunId: string; added: number; removed: number; changed: number } | null;
+  error?: string;
+  webhook?: WebhookDelivery;
+  sitemapFiles?: string[];
+}
+
+export interface ScheduleDiff {
+  from: { id: string; finishedAt: string };
+  to: { id: string; finishedAt: string };
+  added: string[];
+  removed: string[];
+  changed: string[];
+  unchanged: number;
+}
+
+export interface SitemapValidationRequest {
+  url: string;
+  checkUrls?: boolean;
+  // 1–100, default 20
+  sampleSize?: number;
+}
+
+export interface SitemapValidationIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  line: number | null;
+}
+
+export type ListedUrlProblem = 'robots-blocked' | 'redirected' | 'not-200' | 'noindex' | 'unreachable';
+
+// A sitemap is valid when it has no errors (warnings allowed).
+export interface SitemapValidationReport {
+  valid: boolean;
+  type: 'urlset' | 'sitemapindex' | null;
+  bytes: number;
+  compressed: boolean;
+  entries: number;
+  extensions: Array<'image' | 'video' | 'news' | 'xhtml'>;
+  errors: number;
+  warnings: number;
+  issues: SitemapValidationIssue[];
+  issuesTruncated: boolean;
+  urlCheck?: {
+    listed: number;
+    sampled: number;
+    ok: number;
+    problems: Array<{ loc: string; problem: ListedUrlProblem; status?: number; location?: string }>;
+  };
+}
@@ -0,0 +1,200 @@
+// ssrf-guard.js
+// Keeps every outgoing request (crawler, robots.txt, sitemap reader) away from
+// private networks, whatever the URL looks like
+// - Blocks loopback, private, link-local, CGNAT, multicast and reserved ranges
+//   for IPv4 and IPv6, including IPv4 embedded in IPv6 (::ffff:10.0.0.1, NAT64)
+// - Hostnames are resolved by the connection itself and every address is
+//   checked, so the socket connects to the address that was checked (no DNS
+//   rebinding window); IP literals are checked before connecting
+// - Applies to every redirect hop, since each hop opens its own connection
+// Set SSRF_ALLOW_PRIVATE_NETWORKS=true to crawl local sites (development only)
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// ========================================
+// SECTION 1: BLOCKED RANGES
+// ========================================
+
+// Special-purpose IPv4 ranges (RFC 6890 and successors)
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+];
+
+// Special-purpose IPv6 ranges
+const BLOCKED_IPV6_RANGES = [
+  ['::', 96], // unspecified, loopback and deprecated IPv4-compatible addresses
+  ['64:ff9b:1::', 48], // local-use NAT64
+  ['100::', 64], // discard-only
+  ['2001::', 23], // IETF protocol assignments (Teredo included)
+  ['2001:db8::', 32], // documentation
+  ['2002::', 16], // 6to4 (can wrap any IPv4 address)
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['fec0::', 10], // deprecated site-local
+  ['ff00::', 8], // multicast
+];
+
+// IPv6 prefixes that carry an IPv4 address in their last 32 bits
+const IPV4_EMBEDDING_PREFIXES = ['::ffff:', '64:ff9b::'];
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of BLOCKED_IPV4_RANGES) {
+  blockList.addSubnet(address, prefix, 'ipv4');
+  for (const embedding of IPV4_EMBEDDING_PREFIXES) {
+    blockList.addSubnet(`${embedding}${address}`, 96 + prefix, 'ipv6');
+  }
+}
+for (const [address, prefix] of BLOCKED_IPV6_RANGES) {
+  blockList.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Error for a request to a blocked address
+ * `code` is ERR_SSRF_BLOCKED; axios errors keep it
+ */
+class SsrfError extends Error {
+  constructor(target) {
+    super(`Requests to private or reserved addresses are not allowed (${target})`);
+    this.name = 'SsrfError';
+    this.code = 'ERR_SSRF_BLOCKED';
+  }
+}
+
+// Read on each call so tests and local setups can toggle it
+function privateNetworksAllowed() {
+  return process.env.SSRF_ALLOW_PRIVATE_NETWORKS === 'true';
+}
+
+/**
+ * True if an IP address (v4 or v6, without brackets) must not be contacted
+ */
+function isBlockedAddress(address) {
+  if (privateNetworksAllowed()) return false;
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Synchronous check of a URL hostname (as returned by `new URL().hostname`):
+ * true for blocked IP literals and localhost names
+ * Names that only resolve to private addresses are caught when connecting
+ */
+function isBlockedHostname(hostname) {
+  if (privateNetworksAllowed()) return false;
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isBlockedAddress(host);
+}
+
+// ========================================
+// SECTION 2: GUARDED CONNECTIONS
+// ========================================
+
+/**
+ * dns.lookup replacement for sockets: resolves every address of the name and
+ * fails with SsrfError if any is blocked (so a name mixing public and private
+ * records can't be used to rebind)
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const lookupOptions = typeof options === 'number' ? { family: options } : options;
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) return callback(new SsrfError(`${hostname} resolves to ${blocked.address}`));
+    if (lookupOptions.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agent that resolves names with guardedLookup and refuses blocked IP literals
+// (sockets skip the lookup for those)
+function guardAgentClass(Agent) {
+  return class extends Agent {
+    constructor(options = {}) {
+      super({ ...options, lookup: guardedLookup });
+    }
+
+    createConnection(options, callback) {
+      const host = options.host || options.hostname || '';
+      if (isBlockedAddress(host.replace(/^\[|\]$/g, ''))) {
+        callback(new SsrfError(host));
+        return undefined;
+      }
+      return super.createConnection(options, callback);
+    }
+  };
+}
+
+const GuardedHttpAgent = guardAgentClass(http.Agent);
+const GuardedHttpsAgent = guardAgentClass(https.Agent);
+
+const httpAgent = new GuardedHttpAgent({ keepAlive: true });
+const httpsAgent = new GuardedHttpsAgent({ keepAlive: true });
+
+/**
+ * axios config for guarded requests; spread it into axios.create() options
+ * Proxies are disabled: a proxy would resolve (and reach) hosts itself
+ */
+const GUARDED_AXIOS_CONFIG = { httpAgent, httpsAgent, proxy: false };
+
+// Shared axios instance for one-off guarded requests
+const guardedAxios = axios.create(GUARDED_AXIOS_CONFIG);
+
+/**
+ * Resolves the hostname of `url` and rejects with SsrfError when it is (or
+ * resolves to) a blocked address. Lets routes refuse a crawl up front;
+ * connections are checked again either way. DNS failures are left to the crawl.
+ */
+async function assertPublicUrl(url) {
+  const { hostname } = new URL(url);
+  if (isBlockedHostname(hostname)) throw new SsrfError(hostname);
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    return;
+  }
+  const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+  if (blocked) throw new SsrfError(`${hostname} resolves to ${blocked.address}`);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  SsrfError,
+  isBlockedAddress,
+  isBlockedHostname,
+  guardedLookup,
+  GUARDED_AXIOS_CONFIG,
+  guardedAxios,
+  assertPublicUrl,
+};
@@ -0,0 +1,298 @@
+// store.js
+// Shared key-value store for rate-limit counters, cached crawl results and job state
+// - memory: per process (default); everything resets on restart
+// - file: JSON file (STORE_FILE), survives restarts; for a single instance
+// - redis: any Redis-protocol server (Redis, Valkey, KeyDB, ...) at REDIS_URL,
+//   shared by every instance behind a load balancer
+// Chosen with STORE_BACKEND. Values must be JSON-serializable.
+//
+// Every backend has the same async interface:
+// - get(key) -> value, or null when missing or expired
+// - set(key, value, { ttlMs }) -> stores a value (kept forever without ttlMs)
+// - delete(key)
+// - increment(key, windowMs) -> { count, resetAt }: a counter whose window
+//   starts with the first hit and ends windowMs later
+// - decrement(key)
+// - close()
+// plus `persistent`: false for the memory backend, whose data dies with the process
+
+const fs = require('fs');
+const path = require('path');
+
+// ========================================
+// SECTION 1: CONFIGURATION
+// ========================================
+
+const STORE_BACKENDS = ['memory', 'file', 'redis'];
+const STORE_BACKEND = process.env.STORE_BACKEND || 'memory';
+const STORE_FILE = process.env.STORE_FILE || path.join(__dirname, 'data', 'store.json');
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+// Prepended to every Redis key so several apps can share one server
+const STORE_KEY_PREFIX = process.env.STORE_KEY_PREFIX || 'sitemap-generator:';
+
+// How often expired entries are swept from the memory and file backends
+const STORE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The file backend writes at most this often
+const STORE_FILE_WRITE_DELAY_MS = 1000;
+
+// ========================================
+// SECTION 2: MEMORY & FILE BACKENDS
+// ========================================
+
+/**
+ * In-process store
+ * Values are kept serialized so every backend hands out copies, never shared objects.
+ * `entries` (key -> { data, count, expiresAt }) and `onChange` let the file backend
+ * load and persist it.
+ */
+function createMemoryStore({ entries = new Map(), onChange = () => {} } = {}) {
+  // Entry for a key, dropping it if it has expired
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  const sweepTimer = setInterval(() => {
+    for (const key of entries.keys()) live(key);
+  }, STORE_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    persistent: false,
+
+    async get(key) {
+      const entry = live(key);
+      if (!entry) return null;
+      return entry.data === undefined ? entry.count : JSON.parse(entry.data);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      entries.set(key, { data: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      onChange();
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) onChange();
+    },
+
+    async increment(key, windowMs) {
+      let entry = live(key);
+      if (!entry || entry.count === undefined) {
+        entry = { count: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      onChange();
+      return { count: entry.count, resetAt: new Date(entry.expiresAt) };
+    },
+
+    async decrement(key) {
+      const entry = live(key);
+      if (entry && entry.count > 0) {
+        entry.count -= 1;
+        onChange();
+      }
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+    },
+  };
+}
+
+/**
+ * Memory store saved to a JSON file (temp file + rename, at most once per second)
+ * Only one process should use a given file.
+ */
+function createFileStore({ file = STORE_FILE } = {}) {
+  const entries = new Map();
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, entry] of Object.entries(saved)) entries.set(key, entry);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  function write() {
+    writeTimer = null;
+    const snapshot = JSON.stringify(Object.fromEntries(entries));
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => console.error('[STORE] Could not save store file', err));
+    return writing;
+  }
+
+  const store = createMemoryStore({
+    entries,
+    onChange: () => {
+      if (!writeTimer) {
+        writeTimer = setTimeout(write, STORE_FILE_WRITE_DELAY_MS);
+        writeTimer.unref();
+      }
+    },
+  });
+
+  return {
+    ...store,
+    persistent: true,
+
+    async close() {
+      await store.close();
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        await write();
+      }
+      await writing;
+    },
+  };
+}
+
+// ========================================
+// SECTION 3: REDIS BACKEND
+// ========================================
+
+// Decrements a counter without recreating it (without a TTL) once it has expired
+const REDIS_DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 and tonumber(redis.call('GET', KEYS[1])) > 0 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0`;
+
+/**
+ * Store on a Redis-protocol server; every instance pointing at the same
+ * server and prefix shares counters, cache and jobs
+ */
+function createRedisStore({ url = REDIS_URL, prefix = STORE_KEY_PREFIX } = {}) {
+  // Loaded here so the other backends don't need the package
+  const Redis = require('ioredis');
+  const client = new Redis(url, {
+    keyPrefix: prefix,
+    // The ready check uses INFO, which not every Redis-compatible server implements
+    enableReadyCheck: false,
+    // Fail requests quickly while the server is unreachable instead of queueing them for long
+    maxRetriesPerRequest: 2,
+  });
+  client.on('error', (err) => console.error('[STORE] Redis error:', err.message));
+
+  // MULTI/EXEC replies are [err, result] pairs
+  async function exec(transaction) {
+    const replies = await transaction.exec();
+    const failed = replies.find(([err]) => err);
+    if (failed) throw failed[0];
+    return replies.map(([, result]) => result);
+  }
+
+  return {
+    persistent: true,
+
+    async get(key) {
+      const raw = await client.get(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      const raw = JSON.stringify(value);
+      if (ttlMs) await client.set(key, raw, 'PX', Math.ceil(ttlMs));
+      else await client.set(key, raw);
+    },
+
+    async delete(key) {
+      await client.del(key);
+    },
+
+    async increment(key, windowMs) {
+      // The window starts with the key (NX), so later hits don't extend it
+      const [, count, ttl] = await exec(
+        client.multi().set(key, 0, 'PX', windowMs, 'NX').incr(key).pttl(key),
+      );
+      return { count, resetAt: new Date(Date.now() + Math.max(ttl, 0)) };
+    },
+
+    async decrement(key) {
+      await client.eval(REDIS_DECREMENT_SCRIPT, 1, key);
+    },
+
+    async close() {
+      // QUIT is deprecated on newer servers; drop the connection if it is refused
+      await client.quit().catch(() => client.disconnect());
+    },
+  };
+}
+
+// ========================================
+// SECTION 4: FACTORY & ADAPTERS
+// ========================================
+
+/**
+ * Creates the store selected by `backend` (default: STORE_BACKEND)
+ */
+function createStore({ backend = STORE_BACKEND, ...options } = {}) {
+  if (backend === 'memory') return createMemoryStore();
+  if (backend === 'file') return createFileStore(options);
+  if (backend === 'redis') return createRedisStore(options);
+  throw new Error(`Unknown STORE_BACKEND "${backend}" (expected ${STORE_BACKENDS.join(', ')})`);
+}
+
+let sharedStore = null;
+
+/**
+ * The process-wide store used by rate limiting, caching and jobs
+ */
+function getSharedStore() {
+  if (!sharedStore) sharedStore = createStore();
+  return sharedStore;
+}
+
+/**
+ * express-rate-limit store on top of a shared store
+ * Each limiter needs its own adapter; `prefix` keeps their counters apart.
+ */
+function createRateLimitStore(store, prefix) {
+  let windowMs = 60 * 1000;
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, resetAt } = await store.increment(prefix + key, windowMs);
+      return { totalHits: count, resetTime: resetAt };
+    },
+
+    async decrement(key) {
+      await store.decrement(prefix + key);
+    },
+
+    async resetKey(key) {
+      await store.delete(prefix + key);
+    },
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createStore,
+  getSharedStore,
+  createRateLimitStore,
+};
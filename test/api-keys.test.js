@@ -0,0 +1,62 @@
+// api-keys.js: the daily page quota held by running crawls
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createApiKeyStore } = require('../api-keys');
+
+// Stores write their file in the background, so the directory goes once they are done
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('page quota holds', () => {
+  let store;
+  let key;
+  let stores = 0;
+
+  beforeEach(() => {
+    stores += 1;
+    store = createApiKeyStore({ file: path.join(dir, `keys-${stores}.json`) });
+    ({ key } = store.issueKey({ name: 'test', limits: { dailyPageQuota: 100 } }));
+  });
+
+  test('concurrent holds never grant more than the quota', () => {
+    const first = store.reserveUsage(key.id, 60);
+    const second = store.reserveUsage(key.id, 60);
+    const third = store.reserveUsage(key.id, 60);
+    assert.deepEqual([first.pages, second.pages, third.pages], [60, 40, 0]);
+    assert.equal(store.remainingPages(key.id), 0);
+  });
+
+  test('settle records the pages used and frees the rest', () => {
+    const hold = store.reserveUsage(key.id, 60);
+    hold.settle(25);
+    assert.deepEqual(store.usageToday(key.id), { crawls: 1, pages: 25 });
+    assert.equal(store.remainingPages(key.id), 75);
+  });
+
+  test('release frees the hold without recording a crawl', () => {
+    store.reserveUsage(key.id, 30).release();
+    assert.deepEqual(store.usageToday(key.id), { crawls: 0, pages: 0 });
+    assert.equal(store.remainingPages(key.id), 100);
+  });
+
+  test('only the first settle or release counts', () => {
+    const hold = store.reserveUsage(key.id, 50);
+    const other = store.reserveUsage(key.id, 20);
+    hold.settle(10);
+    hold.settle(10);
+    hold.release();
+    assert.deepEqual(store.usageToday(key.id), { crawls: 1, pages: 10 });
+    assert.equal(store.remainingPages(key.id), 70); // 100 - 10 used - 20 still held
+    other.release();
+    assert.equal(store.remainingPages(key.id), 90);
+  });
+
+  test('unknown keys get nothing', () => {
+    assert.equal(store.reserveUsage('missing', 10).pages, 0);
+  });
+});
@@ -0,0 +1,45 @@
+// Shared helpers for the test suites
+
+const http = require('http');
+
+/**
+ * Starts an HTTP server on a free local port
+ * Resolves with { server, origin, close() }; `origin` is like http://127.0.0.1:PORT
+ */
+function startServer(handler) {
+  const server = http.createServer(handler);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        origin: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Runs `fn` with environment variables set, restoring them afterwards
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+module.exports = {
+  startServer,
+  withEnv,
+};
@@ -0,0 +1,40 @@
+// jobs.js: the queue limit counts only the jobs still waiting to run
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JOB_STATES, JobQueueFullError, createJobManager } = require('../jobs');
+
+// A runJob whose crawls last until they are aborted
+function blockingRunJob() {
+  return (params, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+  });
+}
+
+describe('queue limit', () => {
+  test('a cancelled queued job frees its place in the queue', async () => {
+    const manager = createJobManager({ runJob: blockingRunJob(), concurrency: 1, queueLimit: 2 });
+    const running = manager.createJob({});
+    const first = manager.createJob({});
+    const second = manager.createJob({});
+    assert.equal(running.state, JOB_STATES.RUNNING);
+    assert.throws(() => manager.createJob({}), JobQueueFullError);
+
+    assert.equal(await manager.cancelJob(first.id), true);
+    assert.equal(first.state, JOB_STATES.CANCELLED);
+    const third = manager.createJob({});
+    assert.equal(third.state, JOB_STATES.QUEUED);
+    assert.throws(() => manager.createJob({}), JobQueueFullError);
+
+    // The cancelled job is skipped once the running one is done
+    await manager.cancelJob(running.id);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(second.state, JOB_STATES.RUNNING);
+    assert.equal(first.state, JOB_STATES.CANCELLED);
+    assert.equal(third.state, JOB_STATES.QUEUED);
+
+    await manager.cancelJob(second.id);
+    await manager.cancelJob(third.id);
+  });
+});
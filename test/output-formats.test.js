@@ -0,0 +1,43 @@
+// output-formats.js: XML escaping and the text sitemap limits
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeXml, renderUrlList } = require('../output-formats');
+
+const pagesOf = (count, path = '/p') => Array.from({ length: count }, (_, i) => ({ loc: `https://example.com${path}${i}` }));
+
+describe('escapeXml', () => {
+  test('escapes markup and quote characters', () => {
+    assert.equal(escapeXml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+
+  test('accepts non-string values', () => {
+    assert.equal(escapeXml(0.5), '0.5');
+  });
+});
+
+describe('txt format', () => {
+  test('lists one URL per line', () => {
+    const output = renderUrlList('txt', pagesOf(2));
+    assert.equal(output.body, 'https://example.com/p0\nhttps://example.com/p1\n');
+    assert.equal(output.files, 1);
+  });
+
+  test('an empty crawl gives an empty file', () => {
+    assert.deepEqual([renderUrlList('txt', []).body, renderUrlList('txt', []).files], ['', 1]);
+  });
+
+  test('holds at most 50,000 URLs per file', () => {
+    const output = renderUrlList('txt', pagesOf(100001));
+    assert.equal(output.files, 3);
+    assert.equal(output.body.split('\n').length - 1, 50000);
+  });
+
+  test('holds at most 50 MB per file', () => {
+    const output = renderUrlList('txt', pagesOf(30000, `/${'x'.repeat(2000)}`));
+    assert.equal(output.files, 2);
+    assert.ok(Buffer.byteLength(output.body) <= 50 * 1024 * 1024);
+    assert.ok(output.body.endsWith('\n'));
+  });
+});
@@ -0,0 +1,208 @@
+// A Redis-protocol server for the tests, in process: the commands store.js sends
+// (GET, SET with PX/NX, DEL, INCR, PTTL, MULTI/EXEC, EVAL, QUIT) over RESP2,
+// with keys expiring like Redis does
+// EVAL can't run Lua here: scripts are answered by the JS functions passed in
+// `scripts`, tried in order, each (source, keys, args, db) -> reply or undefined
+
+const net = require('net');
+
+// ========================================
+// SECTION 1: RESP
+// ========================================
+
+class ReplyError extends Error {}
+
+function encode(reply) {
+  if (reply === null) return '$-1\r\n';
+  if (reply instanceof ReplyError) return `-${reply.message}\r\n`;
+  if (typeof reply === 'number') return `:${reply}\r\n`;
+  if (Array.isArray(reply)) return `*${reply.length}\r\n${reply.map(encode).join('')}`;
+  if (reply.status) return `+${reply.status}\r\n`;
+  return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+}
+
+// Reads the complete commands (arrays of bulk strings) at the start of the buffer
+// Returns { commands, rest }: rest is the incomplete tail, kept for the next chunk
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  const line = (from) => {
+    const end = buffer.indexOf('\r\n', from);
+    return end === -1 ? null : { text: buffer.toString('utf8', from, end), next: end + 2 };
+  };
+  for (;;) {
+    const header = line(offset);
+    if (!header) break;
+    if (header.text[0] !== '*') throw new Error(`Inline commands are not supported: ${header.text}`);
+    const args = [];
+    let position = header.next;
+    let complete = true;
+    for (let i = 0; i < Number(header.text.slice(1)); i++) {
+      const size = line(position);
+      if (!size) {
+        complete = false;
+        break;
+      }
+      const length = Number(size.text.slice(1));
+      if (buffer.length < size.next + length + 2) {
+        complete = false;
+        break;
+      }
+      args.push(buffer.toString('utf8', size.next, size.next + length));
+      position = size.next + length + 2;
+    }
+    if (!complete) break;
+    commands.push(args);
+    offset = position;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+// ========================================
+// SECTION 2: COMMANDS
+// ========================================
+
+const OK = { status: 'OK' };
+
+function createDatabase() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    live,
+    exists: (key) => live(key) !== null,
+    get: (key) => (live(key) || { value: null }).value,
+    set: (key, value, expiresAt = null) => entries.set(key, { value, expiresAt }),
+    // Whether there was a (live) key to delete
+    delete: (key) => {
+      const existed = live(key) !== null;
+      entries.delete(key);
+      return existed;
+    },
+  };
+}
+
+const commands = {
+  GET: (db, [key]) => db.get(key),
+
+  SET: (db, [key, value, ...options]) => {
+    let expiresAt = null;
+    let onlyNew = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === 'NX') onlyNew = true;
+      else return new ReplyError(`ERR syntax error near ${options[i]}`);
+    }
+    if (onlyNew && db.exists(key)) return null;
+    db.set(key, value, expiresAt);
+    return OK;
+  },
+
+  DEL: (db, keys) => keys.filter((key) => db.delete(key)).length,
+
+  INCR: (db, [key]) => {
+    const entry = db.live(key);
+    const count = entry ? Number(entry.value) : 0;
+    if (!Number.isInteger(count)) return new ReplyError('ERR value is not an integer or out of range');
+    // Like Redis, INCR keeps the key's TTL
+    db.set(key, String(count + 1), entry ? entry.expiresAt : null);
+    return count + 1;
+  },
+
+  PTTL: (db, [key]) => {
+    const entry = db.live(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  },
+};
+
+// ========================================
+// SECTION 3: SERVER
+// ========================================
+
+/**
+ * Starts the stand-in on a free local port
+ * Resolves with { url, db, commandsSeen, close() }: `db` is the data (for checking
+ * TTLs from the tests), `commandsSeen` the names of the commands received
+ */
+function startRedisStandIn({ scripts = [] } = {}) {
+  const db = createDatabase();
+  const commandsSeen = [];
+  const sockets = new Set();
+
+  function run([name, ...args]) {
+    const command = name.toUpperCase();
+    if (command === 'EVAL') {
+      const [source, keyCount, ...rest] = args;
+      const keys = rest.slice(0, Number(keyCount));
+      for (const script of scripts) {
+        const reply = script(source, keys, rest.slice(keys.length), db);
+        if (reply !== undefined) return reply;
+      }
+      return new ReplyError('NOSCRIPT the stand-in has no implementation of this script');
+    }
+    if (!commands[command]) return new ReplyError(`ERR unknown command '${name}'`);
+    return commands[command](db, args);
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let queued = null; // commands of an open MULTI
+
+    socket.on('data', (chunk) => {
+      const parsed = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = parsed.rest;
+      for (const args of parsed.commands) {
+        const command = args[0].toUpperCase();
+        commandsSeen.push(command);
+        if (command === 'QUIT') {
+          socket.end(encode(OK));
+          return;
+        }
+        if (command === 'MULTI') {
+          queued = [];
+          socket.write(encode(OK));
+        } else if (command === 'EXEC') {
+          const replies = queued ? queued.map(run) : new ReplyError('ERR EXEC without MULTI');
+          queued = null;
+          socket.write(encode(replies));
+        } else if (queued) {
+          queued.push(args);
+          socket.write(encode({ status: 'QUEUED' }));
+        } else {
+          socket.write(encode(run(args)));
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        db,
+        commandsSeen,
+        close: () => new Promise((done) => {
+          for (const socket of sockets) socket.destroy();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  startRedisStandIn,
+};
@@ -0,0 +1,199 @@
+// renderer.js: what a page being rendered may request (answered against a local
+// fixture server, with stand-ins for the browser's intercepted requests), and a
+// full render of a script-built page when a headless browser can start here
+
+// Chrome refuses to run as root without this
+if (process.getuid && process.getuid() === 0 && !process.env.RENDER_BROWSER_ARGS) {
+  process.env.RENDER_BROWSER_ARGS = '--no-sandbox';
+}
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRequestHandler, isRenderingAvailable, renderPage, closeRenderer } = require('../renderer');
+const { startServer, withEnv } = require('./helpers');
+
+const USER_AGENT = 'SitemapGeneratorTest/1.0';
+
+// The page's scripts fetch its links; the other calls try what a page shouldn't do
+const APP_SCRIPT = `
+fetch('/api/links').then((r) => r.json()).then((links) => {
+  for (const href of links) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.textContent = href;
+    document.body.appendChild(a);
+  }
+});
+fetch('/api/track', { method: 'POST', body: 'x', headers: { 'X-Token': 'secret' } }).catch(() => {});
+fetch('/api/links?again', { headers: { Authorization: 'Bearer secret' } }).catch(() => {});
+`;
+const SHELL_HTML = '<!doctype html><html><head><script src="/app.js"></script></head><body></body></html>';
+
+let fixture;
+let received = []; // { method, url, headers } of every request the fixture got
+
+before(async () => {
+  fixture = await startServer((req, res) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers });
+    if (req.url === '/app.js') {
+      res.writeHead(200, { 'Content-Type': 'application/javascript' });
+      return res.end(APP_SCRIPT);
+    }
+    if (req.url.startsWith('/api/links')) {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Fixture': 'yes' });
+      return res.end(JSON.stringify(['/about', '/pricing']));
+    }
+    res.writeHead(404);
+    return res.end();
+  });
+});
+after(async () => {
+  await fixture.close();
+  await closeRenderer();
+});
+beforeEach(() => {
+  received = [];
+});
+
+// Stand-in for puppeteer's HTTPRequest; `outcome` resolves with what the handler did
+const mainFrame = { name: 'main' };
+const page = { mainFrame: () => mainFrame };
+
+function interceptedRequest(url, { method = 'GET', headers = {}, resourceType = 'fetch', navigation = false, frame = mainFrame } = {}) {
+  let settle;
+  const outcome = new Promise((resolve) => {
+    settle = resolve;
+  });
+  return {
+    outcome,
+    url: () => url,
+    method: () => method,
+    headers: () => headers,
+    postData: () => (method === 'GET' ? undefined : 'payload'),
+    resourceType: () => resourceType,
+    isNavigationRequest: () => navigation,
+    frame: () => frame,
+    respond: async (response) => settle({ respond: response }),
+    abort: async (reason) => settle({ abort: reason }),
+    continue: async () => settle({ continue: true }),
+  };
+}
+
+// Runs one request through the handler; resolves with the outcome
+async function answer(handler, url, options) {
+  const request = interceptedRequest(url, options);
+  await handler(request);
+  return request.outcome;
+}
+
+describe('requests of a page being rendered', () => {
+  let handler;
+  beforeEach(() => {
+    handler = createRequestHandler(page, { pageUrl: `${fixture.origin}/`, html: SHELL_HTML, userAgent: USER_AGENT });
+  });
+
+  // The fixture is on a private address
+  const allowingLocal = (fn) => withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, fn);
+
+  test('the document is the fetched HTML, served once', async () => {
+    const first = await answer(handler, `${fixture.origin}/`, { navigation: true, resourceType: 'document' });
+    assert.equal(first.respond.body, SHELL_HTML);
+    const again = await answer(handler, `${fixture.origin}/`, { navigation: true, resourceType: 'document' });
+    assert.equal(again.abort, 'blockedbyclient');
+    assert.equal(received.length, 0);
+  });
+
+  test('GET requests are answered through the guard', async () => {
+    await allowingLocal(async () => {
+      const { respond } = await answer(handler, `${fixture.origin}/api/links`);
+      assert.equal(respond.status, 200);
+      assert.equal(respond.headers['x-fixture'], 'yes');
+      assert.deepEqual(JSON.parse(respond.body.toString()), ['/about', '/pricing']);
+      const head = await answer(handler, `${fixture.origin}/app.js`, { method: 'HEAD', resourceType: 'script' });
+      assert.equal(head.respond.status, 200);
+    });
+    assert.deepEqual(received.map((r) => r.method), ['GET', 'HEAD']);
+  });
+
+  test('other methods are refused without reaching the site', async () => {
+    await allowingLocal(async () => {
+      for (const method of ['POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']) {
+        const outcome = await answer(handler, `${fixture.origin}/api/links`, { method });
+        assert.equal(outcome.abort, 'blockedbyclient', method);
+      }
+    });
+    assert.equal(received.length, 0);
+  });
+
+  test('headers set by the page are not sent', async () => {
+    const headers = {
+      authorization: 'Bearer secret',
+      cookie: 'session=secret',
+      'x-api-key': 'secret',
+      'user-agent': 'Page/1.0',
+      host: 'internal.example',
+    };
+    await allowingLocal(() => answer(handler, `${fixture.origin}/api/links`, { headers }));
+    const sent = received[0].headers;
+    for (const name of ['authorization', 'cookie', 'x-api-key']) assert.equal(sent[name], undefined, name);
+    assert.equal(sent['user-agent'], USER_AGENT);
+    assert.equal(sent.host, new URL(fixture.origin).host);
+  });
+
+  test('a page makes at most RENDER_MAX_REQUESTS requests', async () => {
+    const outcomes = await allowingLocal(() => Promise.all(
+      Array.from({ length: 105 }, (_, i) => answer(handler, `${fixture.origin}/api/links?${i}`)),
+    ));
+    assert.equal(outcomes.filter((outcome) => outcome.respond).length, 100);
+    assert.equal(outcomes.filter((outcome) => outcome.abort === 'blockedbyclient').length, 5);
+    assert.equal(received.length, 100);
+    // Refused requests don't use up the allowance
+    const other = createRequestHandler(page, { pageUrl: `${fixture.origin}/`, html: SHELL_HTML, userAgent: USER_AGENT });
+    await allowingLocal(() => answer(other, `${fixture.origin}/api/links`, { method: 'POST' }));
+    assert.ok((await allowingLocal(() => answer(other, `${fixture.origin}/api/links`))).respond);
+  });
+
+  test('images, fonts, media and navigations are not loaded', async () => {
+    await allowingLocal(async () => {
+      for (const resourceType of ['image', 'font', 'media']) {
+        assert.equal((await answer(handler, `${fixture.origin}/x`, { resourceType })).abort, 'blockedbyclient');
+      }
+      await answer(handler, `${fixture.origin}/`, { navigation: true, resourceType: 'document' });
+      const navigation = await answer(handler, `${fixture.origin}/other`, { navigation: true, resourceType: 'document' });
+      assert.equal(navigation.abort, 'blockedbyclient');
+      const frame = await answer(handler, `${fixture.origin}/frame`, { navigation: true, resourceType: 'document', frame: {} });
+      assert.equal(frame.abort, 'blockedbyclient');
+    });
+    assert.equal(received.length, 0);
+  });
+
+  test('data: URLs stay in the browser', async () => {
+    assert.deepEqual(await answer(handler, 'data:text/plain,hi'), { continue: true });
+  });
+
+  test('requests to private addresses are refused by the guard', async () => {
+    const { port } = new URL(fixture.origin);
+    await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'false' }, async () => {
+      for (const url of [`http://localhost:${port}/api/links`, `http://[::ffff:127.0.0.1]:${port}/api/links`]) {
+        await assert.rejects(handler(interceptedRequest(url)), (err) => err.code === 'ERR_SSRF_BLOCKED', url);
+      }
+    });
+    assert.equal(received.length, 0);
+  });
+});
+
+describe('rendering in the headless browser', () => {
+  test('links built by scripts end up in the DOM', async (t) => {
+    if (!(await isRenderingAvailable())) return t.skip('no headless browser can start here');
+    const html = await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, () => (
+      renderPage(`${fixture.origin}/`, SHELL_HTML, { userAgent: USER_AGENT })
+    ));
+    assert.match(html, /<a href="\/about">/);
+    assert.match(html, /<a href="\/pricing">/);
+    // The POST was refused and the page's Authorization header dropped
+    assert.ok(received.every((r) => r.method === 'GET' && !r.headers.authorization && !r.headers['x-token']));
+    assert.ok(received.every((r) => r.headers['user-agent'] === USER_AGENT));
+    return undefined;
+  });
+});
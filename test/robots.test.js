@@ -0,0 +1,154 @@
+// robots.js: parsing and matching against the robots.txt files in
+// fixtures/robots (expectations in cases.json), and fetching from a local server
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseRobotsTxt, isPathAllowed, fetchRobots } = require('../robots');
+const { startServer } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'robots');
+const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'cases.json'), 'utf8'));
+
+describe('robots.txt fixtures', () => {
+  for (const { file, agent, expect, crawlDelay, sitemaps } of cases) {
+    test(`${file} as ${agent || 'sitemap-generator'}`, () => {
+      const text = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+      const robots = parseRobotsTxt(text, agent);
+      for (const [urlPath, allowed] of Object.entries(expect)) {
+        assert.equal(isPathAllowed(urlPath, robots), allowed, `${urlPath} should be ${allowed ? 'allowed' : 'disallowed'}`);
+      }
+      if (crawlDelay !== undefined) assert.equal(robots.crawlDelay, crawlDelay);
+      if (sitemaps !== undefined) assert.deepEqual(robots.sitemaps, sitemaps);
+    });
+  }
+});
+
+describe('wildcard matching cost', () => {
+  test('patterns built to backtrack stay fast on long paths', () => {
+    const rules = ['/' + '*a'.repeat(12) + 'b$', '/' + '*a'.repeat(200) + 'b', '*'.repeat(500) + 'x$'];
+    const robots = parseRobotsTxt(`User-agent: *\n${rules.map((rule) => `Disallow: ${rule}`).join('\n')}\n`);
+    const started = Date.now();
+    assert.equal(isPathAllowed('/' + 'a'.repeat(2000), robots), true);
+    assert.equal(isPathAllowed('/' + 'a'.repeat(2000) + 'x', robots), false);
+    assert.ok(Date.now() - started < 1000, 'matching took longer than a second');
+  });
+
+  test('only the first 500 KiB are parsed', () => {
+    const filler = `# ${'x'.repeat(1000)}\n`.repeat(600);
+    const robots = parseRobotsTxt(`User-agent: *\n${filler}Disallow: /late\n`);
+    assert.equal(isPathAllowed('/late', robots), true);
+  });
+});
+
+describe('fetchRobots', () => {
+  let previousAllow;
+
+  // The test sites run on loopback
+  before(() => {
+    previousAllow = process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+    process.env.SSRF_ALLOW_PRIVATE_NETWORKS = 'true';
+  });
+
+  after(() => {
+    if (previousAllow === undefined) delete process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+    else process.env.SSRF_ALLOW_PRIVATE_NETWORKS = previousAllow;
+  });
+
+  async function robotsFrom(handler) {
+    const server = await startServer(handler);
+    try {
+      return await fetchRobots(`${server.origin}/some/page`, { userAgent: 'sitemap-generator-test' });
+    } finally {
+      await server.close();
+    }
+  }
+
+  test('2xx: rules are parsed', async () => {
+    const robots = await robotsFrom((req, res) => {
+      assert.equal(req.url, '/robots.txt');
+      assert.equal(req.headers['user-agent'], 'sitemap-generator-test');
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('User-agent: *\nDisallow: /private\nCrawl-delay: 3\nSitemap: http://example.com/s.xml\n');
+    });
+    assert.equal(robots.status, 'ok');
+    assert.equal(robots.disallowAll, false);
+    assert.equal(robots.crawlDelay, 3);
+    assert.deepEqual(robots.sitemaps, ['http://example.com/s.xml']);
+    assert.equal(isPathAllowed('/private/x', robots), false);
+  });
+
+  test('4xx: unavailable, everything allowed', async () => {
+    const robots = await robotsFrom((req, res) => {
+      res.writeHead(404);
+      res.end();
+    });
+    assert.equal(robots.status, 'unavailable');
+    assert.equal(isPathAllowed('/anything', robots), true);
+  });
+
+  test('5xx: unreachable, everything disallowed', async () => {
+    const robots = await robotsFrom((req, res) => {
+      res.writeHead(503);
+      res.end();
+    });
+    assert.equal(robots.status, 'unreachable');
+    assert.equal(isPathAllowed('/anything', robots), false);
+  });
+
+  test('network error: unreachable, everything disallowed', async () => {
+    const server = await startServer((req, res) => res.end());
+    const { origin } = server;
+    await server.close();
+    const robots = await fetchRobots(`${origin}/`);
+    assert.equal(robots.status, 'unreachable');
+    assert.equal(robots.disallowAll, true);
+  });
+
+  test('up to five redirects are followed', async () => {
+    const robots = await robotsFrom((req, res) => {
+      const hop = req.url === '/robots.txt' ? 0 : Number(req.url.split('/')[2]);
+      if (hop < 5) {
+        res.writeHead(301, { Location: `/hop/${hop + 1}` });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('User-agent: *\nDisallow: /moved\n');
+    });
+    assert.equal(robots.status, 'ok');
+    assert.equal(isPathAllowed('/moved', robots), false);
+  });
+
+  test('too many redirects: unavailable, everything allowed', async () => {
+    const robots = await robotsFrom((req, res) => {
+      const hop = req.url === '/robots.txt' ? 0 : Number(req.url.split('/')[2]);
+      res.writeHead(302, { Location: `/hop/${hop + 1}` });
+      res.end();
+    });
+    assert.equal(robots.status, 'unavailable');
+    assert.equal(robots.disallowAll, false);
+  });
+
+  test('a 20 MB file: the first 500 KiB are parsed and the download stops', async () => {
+    const total = 20 * 1024 * 1024;
+    let sent = 0;
+    const robots = await robotsFrom((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('User-agent: *\nDisallow: /early\n');
+      const line = `# ${'x'.repeat(1000)}\n`;
+      const more = () => {
+        while (!res.destroyed && sent < total) {
+          sent += line.length;
+          if (!res.write(line)) return res.once('drain', more);
+        }
+        return res.end();
+      };
+      more();
+    });
+    assert.equal(robots.status, 'ok');
+    assert.equal(isPathAllowed('/early', robots), false);
+    assert.ok(sent < total / 2, `${sent} bytes were sent`);
+  });
+});
@@ -0,0 +1,322 @@
+// schedules.js: webhook deliveries to a local receiver (signatures, retries, the
+// SSRF guard, not holding up the run queue), run snapshots and diffs, and cron
+// expressions
+
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ScheduleRunError,
+  parseCron,
+  nextCronTime,
+  checkCronExpression,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createScheduler,
+} = require('../schedules');
+const { startServer, withEnv } = require('./helpers');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+// Polls until `check` returns something truthy (or fails after `timeoutMs`)
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const pageList = (...entries) => entries.map(([loc, contentHash]) => ({ loc: `https://example.com${loc}`, contentHash }));
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'd1', event: 'run.completed' });
+
+  test('a signature verifies against the same secret and body', () => {
+    assert.equal(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body)), true);
+  });
+
+  test('other secrets, changed bodies and malformed headers fail', () => {
+    const header = signWebhookPayload(SECRET, body);
+    assert.equal(verifyWebhookSignature('whsec_other_secret_0123456', body, header), false);
+    assert.equal(verifyWebhookSignature(SECRET, `${body} `, header), false);
+    for (const bad of [undefined, '', 't=abc,v1=00', `t=${Math.floor(Date.now() / 1000)}`, header.replace(/v1=../, 'v1=')]) {
+      assert.equal(verifyWebhookSignature(SECRET, body, bad), false, String(bad));
+    }
+  });
+
+  test('old signatures fail', () => {
+    const old = Math.floor(Date.now() / 1000) - 10 * 60;
+    assert.equal(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body, old)), false);
+    assert.equal(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body, old), { toleranceSeconds: 3600 }), true);
+  });
+});
+
+describe('scheduled runs and webhooks', () => {
+  let receiver;
+  let deliveries; // { headers, body } of each request the receiver got
+  let answers; // status codes to answer with, in order (then 200)
+  let held; // while set, the receiver waits for it before answering
+  let dir;
+  let scheduler;
+  let crawls; // pages the next crawls list, in order; an Error makes the crawl fail
+  let crawlsStarted;
+
+  before(async () => {
+    receiver = await startServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', async () => {
+        deliveries.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+        if (held) await held;
+        res.writeHead(answers.shift() || 200);
+        res.end();
+      });
+    });
+  });
+  after(() => receiver.close());
+
+  beforeEach(() => {
+    deliveries = [];
+    answers = [];
+    held = null;
+    crawls = [];
+    crawlsStarted = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-test-'));
+    scheduler = createScheduler({
+      dir,
+      runCrawl: async (params) => {
+        crawlsStarted.push(params.url);
+        const pages = crawls.shift() || [];
+        if (pages instanceof Error) throw pages;
+        return { sitemapXML: '<urlset/>', stats: { urlsInSitemap: pages.length }, pages };
+      },
+    });
+  });
+  afterEach(async () => {
+    await scheduler.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // The receiver is on a private address
+  const allowingLocal = (fn) => withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, fn);
+
+  function createSchedule(name, { webhookUrl = `${receiver.origin}/hooks` } = {}) {
+    const { schedule, webhookSecret } = scheduler.createSchedule({
+      apiKeyId: 'key-1',
+      name,
+      cron: '@daily',
+      params: { url: `https://${name}.example.com/` },
+      webhookUrl,
+      webhookSecret: webhookUrl ? SECRET : null,
+    });
+    return { schedule, webhookSecret };
+  }
+
+  // Resolves with the stored run once the schedule's latest run has its webhook outcome
+  async function deliveredRun(schedule, count = 1) {
+    return waitFor(async () => {
+      const runs = schedule.runs;
+      if (runs.length < count || runs[count - 1].state === 'running') return null;
+      const run = await scheduler.getRun(schedule.id, runs[count - 1].id);
+      return run && run.webhook ? run : null;
+    });
+  }
+
+  test('a finished run is posted signed to the webhook', async () => {
+    const { schedule, webhookSecret } = createSchedule('site-a');
+    assert.equal(webhookSecret, SECRET);
+    crawls.push(pageList(['/', 'h1'], ['/about', 'h2']));
+
+    const run = await allowingLocal(async () => {
+      assert.equal(scheduler.runNow(schedule.id), true);
+      return deliveredRun(schedule);
+    });
+
+    assert.equal(deliveries.length, 1);
+    const [{ headers, body }] = deliveries;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-sitemap-event'], 'run.completed');
+    assert.equal(verifyWebhookSignature(SECRET, body, headers['x-sitemap-signature']), true);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers['x-sitemap-delivery']);
+    assert.equal(payload.event, 'run.completed');
+    assert.equal(payload.data.run.id, run.id);
+    assert.equal(payload.data.run.state, 'done');
+    assert.equal(payload.data.run.stats.urlsInSitemap, 2);
+    assert.equal(payload.data.schedule.id, schedule.id);
+    // The secret stays on the server
+    assert.ok(!body.includes(SECRET));
+
+    assert.equal(run.webhook.delivered, true);
+    assert.equal(run.webhook.attempts, 1);
+    assert.equal(run.webhook.status, 200);
+    assert.equal(run.webhook.deliveryId, payload.id);
+  });
+
+  test('a failed run is posted as run.failed with its error', async () => {
+    const { schedule } = createSchedule('site-b');
+    crawls.push(new ScheduleRunError('Daily page quota exceeded for this API key'));
+
+    const run = await allowingLocal(async () => {
+      scheduler.runNow(schedule.id);
+      return deliveredRun(schedule);
+    });
+    const payload = JSON.parse(deliveries[0].body);
+    assert.equal(deliveries[0].headers['x-sitemap-event'], 'run.failed');
+    assert.equal(payload.data.run.state, 'failed');
+    assert.equal(payload.data.run.error, 'Daily page quota exceeded for this API key');
+    assert.equal(run.state, 'failed');
+  });
+
+  test('server errors are retried, with the same delivery id', async () => {
+    const { schedule } = createSchedule('site-c');
+    answers.push(503);
+
+    const run = await allowingLocal(async () => {
+      scheduler.runNow(schedule.id);
+      return deliveredRun(schedule);
+    });
+    assert.equal(deliveries.length, 2);
+    assert.equal(deliveries[0].headers['x-sitemap-delivery'], deliveries[1].headers['x-sitemap-delivery']);
+    assert.deepEqual([run.webhook.delivered, run.webhook.attempts, run.webhook.status], [true, 2, 200]);
+  });
+
+  test('client errors are not retried', async () => {
+    const { schedule } = createSchedule('site-d');
+    answers.push(410);
+
+    const run = await allowingLocal(async () => {
+      scheduler.runNow(schedule.id);
+      return deliveredRun(schedule);
+    });
+    assert.equal(deliveries.length, 1);
+    assert.deepEqual([run.webhook.delivered, run.webhook.attempts, run.webhook.error], [false, 1, 'HTTP 410']);
+  });
+
+  test('webhooks to private addresses are refused', async () => {
+    const { schedule } = createSchedule('site-e', { webhookUrl: `http://localhost:${new URL(receiver.origin).port}/hooks` });
+
+    const run = await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'false' }, async () => {
+      scheduler.runNow(schedule.id);
+      return deliveredRun(schedule);
+    });
+    assert.equal(deliveries.length, 0);
+    assert.equal(run.state, 'done');
+    assert.deepEqual([run.webhook.delivered, run.webhook.attempts, run.webhook.error], [false, 1, 'Webhook URL resolves to a private address']);
+  });
+
+  test('a slow webhook does not hold up the next run', async () => {
+    const first = createSchedule('site-f').schedule;
+    const second = createSchedule('site-g').schedule;
+    let release;
+    held = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    await allowingLocal(async () => {
+      scheduler.runNow(first.id);
+      scheduler.runNow(second.id);
+      // The second run finishes while the first webhook is still waiting for an answer
+      await waitFor(() => second.runs[0]?.state === 'done');
+      assert.equal(first.runs[0].state, 'done');
+      assert.deepEqual(crawlsStarted, ['https://site-f.example.com/', 'https://site-g.example.com/']);
+      await waitFor(() => deliveries.length === 2);
+      release();
+      await deliveredRun(first);
+      await deliveredRun(second);
+    });
+    assert.ok((await scheduler.getRun(first.id, first.runs[0].id)).webhook.delivered);
+  });
+
+  test('a schedule runs once at a time, and runs without a webhook still finish', async () => {
+    const { schedule } = createSchedule('site-h', { webhookUrl: null });
+    assert.equal(scheduler.runNow(schedule.id), true);
+    assert.equal(scheduler.runNow(schedule.id), false);
+    await waitFor(() => schedule.runs[0]?.state === 'done');
+    assert.equal((await scheduler.getRun(schedule.id, schedule.runs[0].id)).webhook, null);
+    assert.equal(deliveries.length, 0);
+  });
+
+  test('a run whose snapshot cannot be written ends as failed', async () => {
+    const { schedule } = createSchedule('site-k', { webhookUrl: null });
+    // A file where the schedule's run directory should go
+    fs.mkdirSync(path.join(dir, 'runs'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'runs', schedule.id), '');
+    crawls.push(pageList(['/', 'h1']));
+    scheduler.runNow(schedule.id);
+    await waitFor(() => schedule.runs[0]?.state === 'failed');
+    assert.ok(schedule.runs[0].finishedAt);
+    assert.equal(schedule.lastRunAt, schedule.runs[0].finishedAt);
+    // The queue goes on
+    fs.rmSync(path.join(dir, 'runs', schedule.id));
+    scheduler.runNow(schedule.id);
+    await waitFor(() => schedule.runs[1]?.state === 'done');
+  });
+
+  test('runs are diffed by content hash', async () => {
+    const { schedule } = createSchedule('site-i', { webhookUrl: null });
+    crawls.push(pageList(['/', 'h1'], ['/old', 'h2'], ['/same', 'h3']));
+    crawls.push(pageList(['/', 'h1-changed'], ['/new', 'h4'], ['/same', 'h3']));
+
+    scheduler.runNow(schedule.id);
+    await waitFor(() => schedule.runs[0]?.state === 'done');
+    scheduler.runNow(schedule.id);
+    await waitFor(() => schedule.runs[1]?.state === 'done');
+
+    const diff = await scheduler.diffRuns(schedule.id);
+    assert.deepEqual(diff.added, ['https://example.com/new']);
+    assert.deepEqual(diff.removed, ['https://example.com/old']);
+    assert.deepEqual(diff.changed, ['https://example.com/']);
+    assert.equal(diff.unchanged, 1);
+    assert.equal(diff.from.id, schedule.runs[0].id);
+    const run = await scheduler.getRun(schedule.id, schedule.runs[1].id);
+    assert.deepEqual(run.diff, { previousRunId: schedule.runs[0].id, added: 1, removed: 1, changed: 1 });
+  });
+
+  test('schedules and runs are kept across restarts', async () => {
+    const { schedule } = createSchedule('site-j', { webhookUrl: null });
+    scheduler.runNow(schedule.id);
+    await waitFor(() => schedule.runs[0]?.state === 'done');
+    await scheduler.stop();
+
+    const restarted = createScheduler({ dir, runCrawl: async () => { throw new Error('not called'); } });
+    const reloaded = restarted.getSchedule(schedule.id);
+    assert.equal(reloaded.params.url, 'https://site-j.example.com/');
+    assert.equal((await restarted.getRun(schedule.id, reloaded.runs[0].id)).state, 'done');
+    await restarted.stop();
+  });
+});
+
+describe('cron expressions', () => {
+  const at = (iso) => new Date(iso);
+
+  test('next times in UTC', () => {
+    const cases = [
+      ['0 3 * * mon', '2026-10-19T10:00:00Z', '2026-10-26T03:00:00.000Z'],
+      ['*/15 * * * *', '2026-10-19T10:07:30Z', '2026-10-19T10:15:00.000Z'],
+      ['@monthly', '2026-10-19T10:00:00Z', '2026-11-01T00:00:00.000Z'],
+      ['0 0 29 2 *', '2026-10-19T10:00:00Z', '2028-02-29T00:00:00.000Z'],
+      // Both day fields restricted: either may match
+      ['0 0 1 * fri', '2026-10-19T10:00:00Z', '2026-10-23T00:00:00.000Z'],
+      ['0 0 * * 7', '2026-10-19T10:00:00Z', '2026-10-25T00:00:00.000Z'],
+    ];
+    for (const [expression, after, expected] of cases) {
+      assert.equal(nextCronTime(parseCron(expression), at(after)).toISOString(), expected, expression);
+    }
+  });
+
+  test('invalid, impossible and too frequent expressions are refused', () => {
+    assert.match(checkCronExpression('0 3 * *'), /expected 5 fields/);
+    assert.match(checkCronExpression('61 * * * *'), /minute must be 0-59/);
+    assert.match(checkCronExpression('0 0 30 2 *'), /never matches/);
+    assert.match(checkCronExpression('*/5 * * * *'), /more often than every 60 minutes/);
+    assert.equal(checkCronExpression('0 3 * * mon-fri'), null);
+  });
+});
@@ -0,0 +1,25 @@
+// security.js: malformed request fields are answered with validation errors
+// (a throw from a refine would escape the route and end the process)
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSitemapRequest, validateScheduleRequest } = require('../security');
+
+describe('invalid URLs in requests', () => {
+  for (const sitemapBaseUrl of ['nope', 'ftp://files.example.com/', '']) {
+    test(`sitemapBaseUrl ${JSON.stringify(sitemapBaseUrl)}`, () => {
+      const crawl = { url: 'https://example.com', sitemapBaseUrl };
+      const schedule = validateScheduleRequest({ cron: '@daily', crawl });
+      assert.equal(schedule.valid, false);
+      assert.match(schedule.error, /crawl\.sitemapBaseUrl: /);
+      assert.equal(validateSitemapRequest(crawl).valid, false);
+    });
+  }
+
+  test('an http(s) sitemapBaseUrl is accepted', () => {
+    const crawl = { url: 'https://example.com', sitemapBaseUrl: 'https://cdn.example.com/sitemaps/' };
+    const schedule = validateScheduleRequest({ cron: '@daily', crawl });
+    assert.equal(schedule.valid, true, schedule.error);
+  });
+});
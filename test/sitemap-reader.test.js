@@ -0,0 +1,135 @@
+// sitemap-reader.js: <loc>s read in one streaming pass, and sitemap indexes,
+// gzip and the limits when reading a site's existing sitemaps from a local server
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const { readSitemapLocs, readExistingSitemaps } = require('../sitemap-reader');
+const { startServer } = require('./helpers');
+
+const NS = 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"';
+
+const urlset = (...locs) => `<?xml version="1.0" encoding="UTF-8"?>\n<urlset ${NS}>${locs.map((loc) => `<url><loc>${loc}</loc></url>`).join('\n')}</urlset>`;
+const sitemapindex = (...locs) => `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex ${NS}>${locs.map((loc) => `<sitemap><loc>${loc}</loc></sitemap>`).join('\n')}</sitemapindex>`;
+
+// A stream handing out the text a few bytes at a time
+function trickle(text, size = 5) {
+  const bytes = Buffer.from(text);
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += size) chunks.push(bytes.subarray(offset, offset + size));
+  return Readable.from(chunks);
+}
+
+async function locsOf(source) {
+  const locs = [];
+  const result = await readSitemapLocs(source, (loc) => {
+    locs.push(loc);
+  });
+  return { ...result, locs };
+}
+
+describe('readSitemapLocs', () => {
+  test('entries of a urlset, split across chunks', async () => {
+    const xml = urlset('https://example.com/', ' https://example.com/a?x=1&amp;y=2 ', '<![CDATA[https://example.com/café]]>');
+    const expected = ['https://example.com/', 'https://example.com/a?x=1&y=2', 'https://example.com/café'];
+    for (const source of [xml, trickle(xml), zlib.gzipSync(xml)]) {
+      const { type, entries, locs } = await locsOf(source);
+      assert.equal(type, 'urlset');
+      assert.equal(entries, 3);
+      assert.deepEqual(locs, expected);
+    }
+  });
+
+  test('only an entry\'s own <loc> counts', async () => {
+    const xml = `<sm:urlset xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="urn:image">
+      <sm:url><sm:loc>https://example.com/</sm:loc><image:image><image:loc>https://example.com/a.png</image:loc></image:image></sm:url>
+      <loc>https://example.com/stray</loc>
+    </sm:urlset>`;
+    const { type, locs } = await locsOf(xml);
+    assert.equal(type, 'urlset');
+    assert.deepEqual(locs, ['https://example.com/']);
+  });
+
+  test('other documents have no type', async () => {
+    const { type, entries } = await locsOf('<!doctype html><html><body><url><loc>https://example.com/</loc></url></body></html>');
+    assert.equal(type, null);
+    assert.equal(entries, 0);
+  });
+
+  test('returning false stops the reading', async () => {
+    const xml = sitemapindex('https://example.com/1.xml', 'https://example.com/2.xml', 'https://example.com/3.xml');
+    const seen = [];
+    const result = await readSitemapLocs(trickle(xml), (loc, type) => {
+      assert.equal(type, 'sitemapindex');
+      seen.push(loc);
+      return seen.length < 2;
+    });
+    assert.deepEqual(seen, ['https://example.com/1.xml', 'https://example.com/2.xml']);
+    assert.equal(result.entries, 2);
+  });
+});
+
+describe('readExistingSitemaps', () => {
+  let previousAllow;
+
+  // The test sites run on loopback
+  before(() => {
+    previousAllow = process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+    process.env.SSRF_ALLOW_PRIVATE_NETWORKS = 'true';
+  });
+
+  after(() => {
+    if (previousAllow === undefined) delete process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+    else process.env.SSRF_ALLOW_PRIVATE_NETWORKS = previousAllow;
+  });
+
+  // Serves `files` (path -> body), 404 for the rest
+  async function readFrom(files, options = {}) {
+    const server = await startServer((req, res) => {
+      const body = files[req.url];
+      if (body === undefined) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(typeof body === 'function' ? body(server.origin) : body);
+    });
+    try {
+      return await readExistingSitemaps(`${server.origin}/`, options);
+    } finally {
+      await server.close();
+    }
+  }
+
+  test('indexes, gzip-compressed files and unreadable files', async () => {
+    const { urls, files } = await readFrom({
+      '/sitemap.xml': (origin) => sitemapindex(`${origin}/pages.xml.gz`, `${origin}/posts.xml`, `${origin}/gone.xml`, `${origin}/page.html`),
+      '/pages.xml.gz': zlib.gzipSync(urlset('https://example.com/', 'https://example.com/a')),
+      '/posts.xml': urlset('https://example.com/a', 'https://example.com/post'),
+      '/page.html': '<html><body>Not here</body></html>',
+    });
+    assert.deepEqual(urls, ['https://example.com/', 'https://example.com/a', 'https://example.com/post']);
+    assert.deepEqual(files.map(({ url, ...file }) => ({ file: new URL(url).pathname, ...file })), [
+      { file: '/sitemap.xml', type: 'sitemapindex', entries: 4 },
+      { file: '/pages.xml.gz', type: 'urlset', entries: 2 },
+      { file: '/posts.xml', type: 'urlset', entries: 2 },
+      { file: '/gone.xml', error: 'HTTP 404' },
+      { file: '/page.html', error: 'Not a sitemap' },
+    ]);
+  });
+
+  test('page URLs stop at maxUrls and indexes at maxFiles', async () => {
+    const locs = Array.from({ length: 5000 }, (_, i) => `https://example.com/p/${i}`);
+    const { urls, files } = await readFrom({ '/sitemap.xml': urlset(...locs) }, { maxUrls: 10 });
+    assert.deepEqual(urls, locs.slice(0, 10));
+    assert.deepEqual(files.map((file) => file.entries), [10]);
+
+    const index = await readFrom({
+      '/sitemap.xml': (origin) => sitemapindex(...Array.from({ length: 50 }, (_, i) => `${origin}/s/${i}.xml`)),
+    }, { maxFiles: 3 });
+    assert.equal(index.files.length, 3);
+    assert.equal(index.files[0].entries, 3);
+  });
+});
@@ -0,0 +1,128 @@
+// sitemap-validator.js: the streaming pass over a sitemap file (well-formedness,
+// encoding, gzip, line numbers) whatever the chunks it arrives in
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const { validateSitemap } = require('../sitemap-validator');
+
+const NS = 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"';
+
+function urlset(...entries) {
+  return [`<?xml version="1.0" encoding="UTF-8"?>`, `<urlset ${NS}>`, ...entries, '</urlset>'].join('\n');
+}
+const entry = (loc) => `<url><loc>${loc}</loc></url>`;
+
+// A stream handing out the text a few bytes at a time
+function trickle(text, size = 7) {
+  const bytes = Buffer.from(text);
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += size) chunks.push(bytes.subarray(offset, offset + size));
+  return Readable.from(chunks);
+}
+
+// The issues of a report as 'code@line'
+const issues = (report) => report.issues.map((issue) => `${issue.code}@${issue.line}`);
+
+describe('well-formedness', () => {
+  test('a valid sitemap has no issues', async () => {
+    const report = await validateSitemap(urlset(entry('https://example.com/'), entry('https://example.com/a?x=1&amp;y=2')));
+    assert.equal(report.valid, true);
+    assert.equal(report.type, 'urlset');
+    assert.equal(report.entries, 2);
+    assert.deepEqual(report.issues, []);
+  });
+
+  test('self-closing elements, comments and CDATA are fine', async () => {
+    const xml = urlset('<!-- pages -->', '<url><loc><![CDATA[https://example.com/]]></loc><x:extra xmlns:x="urn:x"/></url>');
+    const report = await validateSitemap(xml);
+    assert.equal(report.valid, true, JSON.stringify(report.issues));
+    assert.deepEqual(report.locs, ['https://example.com/']);
+  });
+
+  test('unclosed elements', async () => {
+    const report = await validateSitemap(urlset('<url><loc>https://example.com/</loc>', entry('https://example.com/a')));
+    assert.equal(report.valid, false);
+    assert.ok(report.issues.some((issue) => issue.code === 'not-well-formed' && /<url> is not closed/.test(issue.message)));
+  });
+
+  test('mismatched closing tags', async () => {
+    const report = await validateSitemap(urlset('<url><loc>https://example.com/</lo></url>'));
+    assert.ok(issues(report).includes('not-well-formed@3'));
+    assert.match(report.issues[0].message, /<loc> is not closed/);
+  });
+
+  test('a document that ends early', async () => {
+    const report = await validateSitemap(urlset(entry('https://example.com/')).replace('</urlset>', ''));
+    assert.match(report.issues.find((issue) => issue.code === 'not-well-formed').message, /<urlset> is not closed/);
+  });
+
+  test('closing tags without a start tag', async () => {
+    const stray = await validateSitemap(urlset(entry('https://example.com/'), '</url>'));
+    assert.deepEqual(issues(stray), ['not-well-formed@4']);
+    assert.match(stray.issues[0].message, /Closing tag without a matching start tag/);
+    const trailing = await validateSitemap(`${urlset(entry('https://example.com/'))}</urlset>`);
+    assert.deepEqual(issues(trailing), ['not-well-formed@4']);
+  });
+
+  test('unquoted and repeated attributes', async () => {
+    const unquoted = await validateSitemap(urlset(entry('https://example.com/')).replace(NS, 'xmlns=http://www.sitemaps.org/schemas/sitemap/0.9'));
+    assert.match(unquoted.issues[0].message, /Attribute xmlns of <urlset> needs a quoted value/);
+    const repeated = await validateSitemap(urlset(entry('https://example.com/')).replace(NS, `${NS} ${NS}`));
+    assert.match(repeated.issues[0].message, /<urlset> has the attribute xmlns more than once/);
+  });
+
+  test('unescaped characters in values', async () => {
+    const amp = await validateSitemap(urlset(entry('https://example.com/?a=1&b=2')));
+    assert.deepEqual(issues(amp), ['unescaped-character@3']);
+    const lt = await validateSitemap(urlset(entry('https://example.com/?a < b')));
+    assert.equal(lt.valid, false);
+    assert.ok(lt.issues.some((issue) => /unescaped "<"/.test(issue.message)), JSON.stringify(lt.issues));
+  });
+});
+
+describe('reading the file', () => {
+  const valid = urlset(entry('https://example.com/'), entry('https://example.com/caf%C3%A9'));
+
+  test('gzip-compressed sitemaps are read decompressed', async () => {
+    const report = await validateSitemap(zlib.gzipSync(valid));
+    assert.equal(report.valid, true);
+    assert.equal(report.compressed, true);
+    assert.equal(report.bytes, Buffer.byteLength(valid));
+    assert.equal(report.entries, 2);
+  });
+
+  test('truncated gzip is reported, not thrown', async () => {
+    const report = await validateSitemap(zlib.gzipSync(valid).subarray(0, 30));
+    assert.deepEqual(issues(report), ['invalid-gzip@null']);
+  });
+
+  test('bytes that are not UTF-8', async () => {
+    const body = Buffer.concat([Buffer.from(urlset(entry('https://example.com/'))), Buffer.from([0xff, 0xfe])]);
+    const report = await validateSitemap(body);
+    assert.deepEqual(issues(report), ['encoding@null']);
+    assert.equal(report.valid, false);
+  });
+
+  test('streams are read chunk by chunk, characters split across chunks included', async () => {
+    const xml = urlset(entry('https://example.com/café'), entry('https://example.com/a&b'));
+    const whole = await validateSitemap(xml);
+    const trickled = await validateSitemap(trickle(xml, 3));
+    assert.deepEqual(trickled.locs, whole.locs);
+    assert.deepEqual(trickled.issues, whole.issues);
+    assert.deepEqual(issues(trickled), ['invalid-url@3', 'unescaped-character@4']);
+  });
+
+  test('line numbers hold across chunks', async () => {
+    const entries = Array.from({ length: 3000 }, (_, i) => entry(`https://example.com/page-${i}`));
+    entries[2500] = '<url><loc>https://example.com/broken</loc>';
+    const xml = urlset(...entries);
+    assert.ok(Buffer.byteLength(xml) > 64 * 1024 * 2);
+    for (const source of [xml, trickle(xml, 1000), zlib.gzipSync(xml)]) {
+      const report = await validateSitemap(source);
+      assert.equal(report.issues.find((issue) => issue.code === 'not-well-formed').line, 2500 + 3);
+    }
+  });
+});
@@ -0,0 +1,188 @@
+// ssrf-guard.js: address payloads that try to reach private networks (in the
+// forms URL parsers accept), DNS names resolving to private addresses, and
+// redirect hops, against local servers
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+
+const {
+  SsrfError,
+  isBlockedHostname,
+  guardedLookup,
+  guardedAxios,
+  assertPublicUrl,
+} = require('../ssrf-guard');
+const { startServer, withEnv } = require('./helpers');
+
+// Every test here runs with the guard on, whatever the environment says
+let previousAllow;
+before(() => {
+  previousAllow = process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+  delete process.env.SSRF_ALLOW_PRIVATE_NETWORKS;
+});
+after(() => {
+  if (previousAllow !== undefined) process.env.SSRF_ALLOW_PRIVATE_NETWORKS = previousAllow;
+});
+
+const hostnameOf = (url) => new URL(url).hostname;
+
+describe('blocked address payloads', () => {
+  const payloads = {
+    'decimal IPv4': ['http://2130706433/', 'http://3232235521/', 'http://167772161/'],
+    'octal IPv4': ['http://0177.0.0.1/', 'http://0300.0250.0.1/', 'http://012.0.0.1/'],
+    'hex IPv4': ['http://0x7f.0x0.0x0.0x1/', 'http://0x7f000001/', 'http://0xa9.0xfe.0xa9.0xfe/'],
+    'short IPv4': ['http://127.1/', 'http://10.1/', 'http://0/'],
+    '0.0.0.0': ['http://0.0.0.0/', 'http://0.0.0.0:8080/', 'http://[::]/'],
+    'loopback and localhost': ['http://127.0.0.1/', 'http://[::1]/', 'http://localhost/', 'http://LOCALHOST./', 'http://app.localhost/'],
+    'private ranges': ['http://10.0.0.1/', 'http://172.16.5.4/', 'http://192.168.1.1/', 'http://100.64.0.1/', 'http://[fd00::1]/', 'http://[fe80::1]/'],
+    'cloud metadata': ['http://169.254.169.254/latest/meta-data/', 'http://[fd00:ec2::254]/', 'http://100.100.100.200/', 'http://169.254.170.2/'],
+    'IPv4-mapped IPv6': ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/', 'http://[0:0:0:0:0:ffff:a9fe:a9fe]/', 'http://[::ffff:10.0.0.1]/'],
+    'IPv4-compatible IPv6': ['http://[::127.0.0.1]/', 'http://[::a00:1]/'],
+    'NAT64 IPv6': ['http://[64:ff9b::127.0.0.1]/', 'http://[64:ff9b::a9fe:a9fe]/', 'http://[64:ff9b:1::1]/'],
+    '6to4 and Teredo': ['http://[2002:7f00:1::]/', 'http://[2001:0:4136:e378:8000:63bf:3fff:fdd2]/'],
+    multicast: ['http://224.0.0.1/', 'http://[ff02::1]/'],
+  };
+
+  for (const [kind, urls] of Object.entries(payloads)) {
+    test(kind, async () => {
+      for (const url of urls) {
+        assert.equal(isBlockedHostname(hostnameOf(url)), true, `${url} (${hostnameOf(url)}) should be blocked`);
+        await assert.rejects(assertPublicUrl(url), SsrfError, `${url} should be rejected`);
+      }
+    });
+  }
+
+  test('public addresses pass', async () => {
+    const urls = ['http://8.8.8.8/', 'http://[2001:4860:4860::8888]/', 'http://[::ffff:8.8.8.8]/', 'http://[64:ff9b::8.8.8.8]/', 'http://134744072/'];
+    for (const url of urls) {
+      assert.equal(isBlockedHostname(hostnameOf(url)), false, `${url} should pass`);
+      await assertPublicUrl(url);
+    }
+  });
+
+  test('SSRF_ALLOW_PRIVATE_NETWORKS=true lets everything through', async () => {
+    await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, () => {
+      assert.equal(isBlockedHostname('127.0.0.1'), false);
+      assert.equal(isBlockedHostname('localhost'), false);
+    });
+  });
+});
+
+describe('DNS names resolving to private addresses', () => {
+  // Answers for the names the tests look up; others fail like unknown names
+  const records = {
+    'internal.test': [{ address: '10.1.2.3', family: 4 }],
+    'metadata.test': [{ address: '169.254.169.254', family: 4 }],
+    'mapped.test': [{ address: '::ffff:127.0.0.1', family: 6 }],
+    'mixed.test': [{ address: '93.184.216.34', family: 4 }, { address: '192.168.0.10', family: 4 }],
+    'public.test': [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }],
+  };
+  const notFound = (hostname) => Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+
+  beforeEach(() => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      if (!records[hostname]) return process.nextTick(callback, notFound(hostname));
+      return process.nextTick(callback, null, records[hostname]);
+    });
+    mock.method(dns.promises, 'lookup', async (hostname) => {
+      if (!records[hostname]) throw notFound(hostname);
+      return records[hostname];
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const lookup = (hostname, options = {}) => new Promise((resolve, reject) => {
+    guardedLookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+  });
+
+  test('names with a private address are refused when connecting', async () => {
+    for (const hostname of ['internal.test', 'metadata.test', 'mapped.test', 'mixed.test']) {
+      await assert.rejects(lookup(hostname), SsrfError, `${hostname} should be refused`);
+    }
+  });
+
+  test('names with only public addresses resolve', async () => {
+    assert.deepEqual(await lookup('public.test'), { address: '93.184.216.34', family: 4 });
+  });
+
+  test('assertPublicUrl checks every resolved address', async () => {
+    await assert.rejects(assertPublicUrl('http://internal.test/'), SsrfError);
+    await assert.rejects(assertPublicUrl('https://mixed.test/page'), SsrfError);
+    await assertPublicUrl('http://public.test/');
+    // Unknown names are left to the request, which fails on its own
+    await assertPublicUrl('http://unknown.test/');
+  });
+});
+
+describe('guarded requests', () => {
+  let target; // stands in for an internal service; counts the requests it gets
+  let targetHits = 0;
+
+  before(async () => {
+    target = await startServer((req, res) => {
+      targetHits += 1;
+      res.end('internal');
+    });
+  });
+  after(() => target.close());
+  beforeEach(() => {
+    targetHits = 0;
+  });
+
+  const port = () => new URL(target.origin).port;
+
+  test('private IP literals are refused before connecting', async () => {
+    for (const url of [`${target.origin}/`, `http://2130706433:${port()}/`, `http://[::ffff:127.0.0.1]:${port()}/`, `http://0x7f.1:${port()}/`]) {
+      await assert.rejects(guardedAxios.get(url), (err) => err.code === 'ERR_SSRF_BLOCKED', url);
+    }
+    assert.equal(targetHits, 0);
+  });
+
+  test('names resolving to private addresses are refused before connecting', async () => {
+    await assert.rejects(guardedAxios.get(`http://localhost:${port()}/`), (err) => err.code === 'ERR_SSRF_BLOCKED');
+    mock.method(dns, 'lookup', (hostname, options, callback) => process.nextTick(callback, null, [{ address: '127.0.0.1', family: 4 }]));
+    try {
+      await assert.rejects(guardedAxios.get(`http://rebind.test:${port()}/`), (err) => err.code === 'ERR_SSRF_BLOCKED');
+    } finally {
+      mock.restoreAll();
+    }
+    assert.equal(targetHits, 0);
+  });
+
+  test('redirect hops to private addresses are refused', async () => {
+    // The first hop stands in for a public site: it is reached with the guard
+    // off, which it turns back on before answering with the redirect
+    const locations = [
+      `${target.origin}/`,
+      `http://localhost:${port()}/`,
+      `http://2130706433:${port()}/`,
+      `http://[::ffff:7f00:1]:${port()}/`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://0.0.0.0/',
+    ];
+    for (const location of locations) {
+      const redirector = await startServer((req, res) => {
+        process.env.SSRF_ALLOW_PRIVATE_NETWORKS = 'false';
+        res.writeHead(302, { Location: location });
+        res.end();
+      });
+      try {
+        await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, async () => {
+          await assert.rejects(guardedAxios.get(`${redirector.origin}/start`), (err) => err.code === 'ERR_SSRF_BLOCKED', location);
+        });
+      } finally {
+        await redirector.close();
+      }
+    }
+    assert.equal(targetHits, 0);
+  });
+
+  test('with SSRF_ALLOW_PRIVATE_NETWORKS=true local servers are reachable', async () => {
+    await withEnv({ SSRF_ALLOW_PRIVATE_NETWORKS: 'true' }, async () => {
+      const resp = await guardedAxios.get(`${target.origin}/`);
+      assert.equal(resp.data, 'internal');
+    });
+    assert.equal(targetHits, 1);
+  });
+});
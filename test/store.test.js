@@ -0,0 +1,228 @@
+// store.js: the memory, file and Redis backends (the Redis one against a local
+// Redis-protocol stand-in), and the express-rate-limit adapter on each of them
+
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+const { createStore, createRateLimitStore } = require('../store');
+const { startServer } = require('./helpers');
+const { startRedisStandIn } = require('./redis-stand-in');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The store's decrement script, in JS: lowers a live counter, never below 0
+function decrementScript(source, [key], args, db) {
+  if (!source.includes("'DECR'")) return undefined;
+  const entry = db.live(key);
+  if (!entry || Number(entry.value) <= 0) return 0;
+  db.set(key, String(Number(entry.value) - 1), entry.expiresAt);
+  return Number(entry.value);
+}
+
+let redis;
+let dir;
+before(async () => {
+  redis = await startRedisStandIn({ scripts: [decrementScript] });
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+});
+after(async () => {
+  await redis.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Each test gets a fresh store; Redis ones get their own key prefix on the shared stand-in
+let stores = 0;
+const backends = {
+  memory: () => createStore({ backend: 'memory' }),
+  file: () => createStore({ backend: 'file', file: path.join(dir, `store-${++stores}.json`) }),
+  redis: () => createStore({ backend: 'redis', url: redis.url, prefix: `test-${++stores}:` }),
+};
+
+for (const [backend, create] of Object.entries(backends)) {
+  describe(`${backend} backend`, () => {
+    let store;
+    beforeEach(() => {
+      store = create();
+    });
+    afterEach(() => store.close());
+
+    test('persistent only when data outlives the process', () => {
+      assert.equal(store.persistent, backend !== 'memory');
+    });
+
+    test('get, set and delete JSON values', async () => {
+      assert.equal(await store.get('missing'), null);
+      await store.set('job', { status: 'queued', pages: [1, 2] });
+      assert.deepEqual(await store.get('job'), { status: 'queued', pages: [1, 2] });
+      await store.delete('job');
+      assert.equal(await store.get('job'), null);
+    });
+
+    test('values are copies', async () => {
+      const value = { pages: [1] };
+      await store.set('copy', value);
+      value.pages.push(2);
+      const read = await store.get('copy');
+      read.pages.push(3);
+      assert.deepEqual(await store.get('copy'), { pages: [1] });
+    });
+
+    test('values expire after ttlMs', async () => {
+      await store.set('short', 'a', { ttlMs: 40 });
+      await store.set('forever', 'b');
+      assert.equal(await store.get('short'), 'a');
+      await sleep(60);
+      assert.equal(await store.get('short'), null);
+      assert.equal(await store.get('forever'), 'b');
+    });
+
+    test('increment counts hits in a window that starts with the first one', async () => {
+      const started = Date.now();
+      const first = await store.increment('hits', 1000);
+      const answered = Date.now();
+      await sleep(20);
+      const second = await store.increment('hits', 1000);
+      assert.deepEqual([first.count, second.count], [1, 2]);
+      // Later hits don't move the end of the window
+      assert.ok(first.resetAt instanceof Date);
+      assert.ok(Math.abs(second.resetAt - first.resetAt) < 15, `${second.resetAt - first.resetAt} ms apart`);
+      assert.ok(first.resetAt >= started + 985 && first.resetAt <= answered + 1015);
+    });
+
+    test('counters start over once their window has passed', async () => {
+      await store.increment('hits', 40);
+      await store.increment('hits', 40);
+      await sleep(60);
+      const { count, resetAt } = await store.increment('hits', 40);
+      assert.equal(count, 1);
+      assert.ok(resetAt > Date.now());
+    });
+
+    test('counters are separate per key', async () => {
+      await store.increment('a', 1000);
+      await store.increment('a', 1000);
+      assert.equal((await store.increment('b', 1000)).count, 1);
+    });
+
+    test('decrement lowers a counter but not below zero', async () => {
+      await store.increment('hits', 1000);
+      await store.increment('hits', 1000);
+      await store.decrement('hits');
+      assert.equal((await store.increment('hits', 1000)).count, 2);
+      await store.decrement('hits');
+      await store.decrement('hits');
+      await store.decrement('hits');
+      assert.equal((await store.increment('hits', 1000)).count, 1);
+    });
+
+    test('decrement keeps the window and does not revive expired counters', async () => {
+      const { resetAt } = await store.increment('hits', 1000);
+      await store.increment('hits', 1000);
+      await store.decrement('hits');
+      assert.ok(Math.abs((await store.increment('hits', 1000)).resetAt - resetAt) < 15);
+
+      await store.increment('gone', 40);
+      await sleep(60);
+      await store.decrement('gone');
+      assert.equal((await store.increment('gone', 40)).count, 1);
+    });
+
+    test('the rate-limit adapter counts in the limiter window, per prefix', async () => {
+      const limits = createRateLimitStore(store, 'rate-limit:a:');
+      const others = createRateLimitStore(store, 'rate-limit:b:');
+      limits.init({ windowMs: 1000 });
+      others.init({ windowMs: 1000 });
+
+      assert.equal((await limits.increment('1.2.3.4')).totalHits, 1);
+      const { totalHits, resetTime } = await limits.increment('1.2.3.4');
+      assert.equal(totalHits, 2);
+      assert.ok(resetTime - Date.now() > 900);
+      assert.equal((await others.increment('1.2.3.4')).totalHits, 1);
+
+      await limits.decrement('1.2.3.4');
+      assert.equal((await limits.increment('1.2.3.4')).totalHits, 2);
+      await limits.resetKey('1.2.3.4');
+      assert.equal((await limits.increment('1.2.3.4')).totalHits, 1);
+      assert.equal((await others.increment('1.2.3.4')).totalHits, 2);
+    });
+
+    test('express-rate-limit enforces limits through the adapter', async () => {
+      const app = express();
+      app.use(rateLimit({
+        windowMs: 60 * 1000,
+        limit: 2,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        store: createRateLimitStore(store, 'rate-limit:test:'),
+      }));
+      app.get('/', (req, res) => res.send('ok'));
+      const server = await startServer(app);
+      try {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) statuses.push((await fetch(`${server.origin}/`)).status);
+        assert.deepEqual(statuses, [200, 200, 429]);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+}
+
+describe('shared state across instances', () => {
+  test('file stores keep their data across restarts', async () => {
+    const file = path.join(dir, 'restart.json');
+    const first = createStore({ backend: 'file', file });
+    await first.set('job', { status: 'done' });
+    await first.set('short', 'a', { ttlMs: 40 });
+    await first.increment('hits', 60 * 1000);
+    await first.close();
+
+    await sleep(60);
+    const second = createStore({ backend: 'file', file });
+    try {
+      assert.deepEqual(await second.get('job'), { status: 'done' });
+      assert.equal(await second.get('short'), null);
+      assert.equal((await second.increment('hits', 60 * 1000)).count, 2);
+    } finally {
+      await second.close();
+    }
+  });
+
+  test('Redis stores with the same prefix share counters and values', async () => {
+    const one = createStore({ backend: 'redis', url: redis.url, prefix: 'shared:' });
+    const two = createStore({ backend: 'redis', url: redis.url, prefix: 'shared:' });
+    const other = createStore({ backend: 'redis', url: redis.url, prefix: 'other-app:' });
+    try {
+      await one.increment('hits', 60 * 1000);
+      assert.equal((await two.increment('hits', 60 * 1000)).count, 2);
+      assert.equal((await other.increment('hits', 60 * 1000)).count, 1);
+      await two.set('job', { status: 'running' });
+      assert.deepEqual(await one.get('job'), { status: 'running' });
+      // Keys are stored under the prefix
+      assert.ok(redis.db.exists('shared:hits'));
+    } finally {
+      await Promise.all([one.close(), two.close(), other.close()]);
+    }
+  });
+
+  test('Redis increments are one transaction', async () => {
+    const store = createStore({ backend: 'redis', url: redis.url, prefix: 'transaction:' });
+    try {
+      await store.get('warm-up');
+      redis.commandsSeen.length = 0;
+      await store.increment('hits', 1000);
+      assert.deepEqual(redis.commandsSeen, ['MULTI', 'SET', 'INCR', 'PTTL', 'EXEC']);
+    } finally {
+      await store.close();
+    }
+  });
+});
+
+test('unknown backends are refused', () => {
+  assert.throws(() => createStore({ backend: 'sqlite' }), /Unknown STORE_BACKEND "sqlite"/);
+});
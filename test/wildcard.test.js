@@ -0,0 +1,63 @@
+// wildcard.js in glob mode (urlRules and crawl scope patterns), and the request
+// validation of those patterns
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileWildcard } = require('../wildcard');
+const { validateSitemapRequest } = require('../security');
+
+describe('glob patterns', () => {
+  const cases = [
+    ['/', { '/': true, '/a': false }],
+    ['/blog/*', { '/blog/': true, '/blog/post': true, '/blog/2024/post': false, '/blog': false }],
+    ['/blog/**', { '/blog/': true, '/blog/2024/post': true, '/blogs/x': false }],
+    ['/archive/????/**', { '/archive/2024/jan': true, '/archive/24/jan': false, '/archive/20/4/jan': false }],
+    ['**.pdf', { '/a.pdf': true, '/docs/a/b.pdf': true, '/a.pdf/x': false }],
+    ['/*.html', { '/index.html': true, '/a/index.html': false }],
+    ['/a.b(c)[d]+$^', { '/a.b(c)[d]+$^': true, '/aXb(c)[d]+$^': false }],
+  ];
+  for (const [pattern, expect] of cases) {
+    test(pattern, () => {
+      const matches = compileWildcard(pattern, { glob: true });
+      for (const [path, expected] of Object.entries(expect)) {
+        assert.equal(matches(path), expected, `${path} should ${expected ? '' : 'not '}match`);
+      }
+    });
+  }
+
+  test('patterns built to backtrack stay fast on long paths', () => {
+    const patterns = ['**a'.repeat(12) + 'b', '*a'.repeat(100) + 'b', '/' + '?*'.repeat(99)];
+    const path = '/' + 'a'.repeat(2000) + '/';
+    const started = Date.now();
+    for (const pattern of patterns) assert.equal(compileWildcard(pattern, { glob: true })(path), false);
+    assert.ok(Date.now() - started < 1000, 'matching took longer than a second');
+  });
+});
+
+describe('pattern validation', () => {
+  const request = (urlRules) => ({ url: 'https://example.com', urlRules });
+
+  test('accepts glob rules', () => {
+    const result = validateSitemapRequest(request([{ pattern: '/blog/**', priority: 0.5 }]));
+    assert.equal(result.valid, true, result.error);
+  });
+
+  test('rejects regular expression rules', () => {
+    const result = validateSitemapRequest(request([{ pattern: '^/a(b+)+$', type: 'regex', priority: 0.5 }]));
+    assert.equal(result.valid, false);
+  });
+
+  test('caps the length of each pattern and of all patterns together', () => {
+    const patterns = (count, length) => Array.from({ length: count }, () => ({ pattern: `/${'a'.repeat(length - 1)}` }));
+    assert.equal(validateSitemapRequest(request([{ pattern: `/${'a'.repeat(200)}`, priority: 0.5 }])).valid, false);
+
+    // 10 rules + 10 includes of 100 characters: at the cap
+    const atCap = { ...request(patterns(10, 100).map((rule) => ({ ...rule, priority: 0.5 }))), includePatterns: patterns(10, 100) };
+    assert.equal(validateSitemapRequest(atCap).valid, true);
+
+    const result = validateSitemapRequest({ ...atCap, excludePatterns: patterns(1, 1) });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /^excludePatterns: .*2000 pattern characters in total/);
+  });
+});
@@ -0,0 +1,101 @@
+// wildcard.js
+// Wildcard matching for patterns that come from untrusted input (robots.txt rules
+// of crawled sites, urlRules and include/exclude patterns of API requests)
+// - No regular expressions: the pattern is run as a set of active positions over
+//   the text, one character at a time, so a match costs at most
+//   pattern length × text length steps whatever the pattern looks like
+//   (a backtracking RegExp can take exponential time on patterns like `*a*a*a…b`)
+// - Runs of `*` collapse into one wildcard
+// - robots mode: `*` matches any characters
+// - glob mode: `**` matches any characters, `*` any characters except `/`,
+//   `?` one character except `/`
+
+// ========================================
+// SECTION 1: COMPILING
+// ========================================
+
+/**
+ * Compiles a wildcard pattern into a matcher function (text -> boolean)
+ * - glob: use glob wildcards (see above) instead of robots.txt ones
+ * - prefix: the pattern only has to match the start of the text (robots.txt
+ *   rules without a trailing `$`); otherwise it has to match all of it
+ */
+function compileWildcard(pattern, { glob = false, prefix = false } = {}) {
+  // { star: true, crossesSlash } | { one: true } | { char }
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      let run = 1;
+      while (pattern[i + 1] === '*') {
+        i += 1;
+        run += 1;
+      }
+      const crossesSlash = !glob || run > 1;
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.star) previous.crossesSlash = previous.crossesSlash || crossesSlash;
+      else tokens.push({ star: true, crossesSlash });
+    } else if (glob && char === '?') {
+      tokens.push({ one: true });
+    } else {
+      tokens.push({ char });
+    }
+  }
+
+  // Patterns without wildcards are plain string comparisons
+  if (tokens.every((token) => token.char !== undefined)) {
+    return prefix ? (text) => text.startsWith(pattern) : (text) => text === pattern;
+  }
+  return (text) => matchTokens(tokens, text, prefix);
+}
+
+// ========================================
+// SECTION 2: MATCHING
+// ========================================
+
+// Marks the positions reachable without consuming a character (wildcards may match nothing)
+function addSkippedWildcards(tokens, active) {
+  for (let i = 0; i < tokens.length; i++) {
+    if (active[i] && tokens[i].star) active[i + 1] = 1;
+  }
+}
+
+function matchTokens(tokens, text, prefix) {
+  const end = tokens.length;
+  let active = new Uint8Array(end + 1); // active[i]: the next token to match is tokens[i]
+  let next = new Uint8Array(end + 1);
+  active[0] = 1;
+  addSkippedWildcards(tokens, active);
+
+  for (let p = 0; p < text.length; p++) {
+    if (prefix && active[end]) return true;
+    const char = text[p];
+    next.fill(0);
+    let alive = false;
+    for (let i = 0; i < end; i++) {
+      if (!active[i]) continue;
+      const token = tokens[i];
+      if (token.star) {
+        if (token.crossesSlash || char !== '/') {
+          next[i] = 1;
+          alive = true;
+        }
+      } else if (token.one ? char !== '/' : token.char === char) {
+        next[i + 1] = 1;
+        alive = true;
+      }
+    }
+    if (!alive) return false;
+    addSkippedWildcards(tokens, next);
+    [active, next] = [next, active];
+  }
+  return active[end] === 1;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  compileWildcard,
+};